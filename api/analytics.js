@@ -40,7 +40,7 @@ async function getAssessmentStats() {
         const completedResult = await sql`
             SELECT COUNT(*) as completed
             FROM assessment_attempts
-            WHERE status IN ('completed', 'submitted')
+            WHERE status IN ('completed', 'submitted', 'graded')
         `;
 
         const pendingResult = await sql`
@@ -52,7 +52,7 @@ async function getAssessmentStats() {
         const avgScoreResult = await sql`
             SELECT ROUND(AVG(score), 2) as avg_score
             FROM assessment_attempts
-            WHERE status IN ('completed', 'submitted') AND score IS NOT NULL
+            WHERE status IN ('completed', 'submitted', 'graded') AND score IS NOT NULL
         `;
 
         const distributionResult = await sql`
@@ -62,7 +62,7 @@ async function getAssessmentStats() {
                 COUNT(CASE WHEN score >= 70 AND score < 80 THEN 1 END) as satisfactory,
                 COUNT(CASE WHEN score < 70 THEN 1 END) as needs_improvement
             FROM assessment_attempts
-            WHERE status IN ('completed', 'submitted') AND score IS NOT NULL
+            WHERE status IN ('completed', 'submitted', 'graded') AND score IS NOT NULL
         `;
 
         const totalStudents = parseInt(studentsResult.rows[0].total_students) || 0;
@@ -117,7 +117,7 @@ async function getRecentActivity() {
             let action = '';
             if (row.status === 'in_progress') {
                 action = `Started ${row.assessment_title}`;
-            } else if (row.status === 'completed' || row.status === 'submitted') {
+            } else if (row.status === 'completed' || row.status === 'submitted' || row.status === 'graded') {
                 action = `Completed ${row.assessment_title} - Score: ${row.score || 0}%`;
             }
 
@@ -140,13 +140,13 @@ async function getTopPerformers() {
             SELECT
                 u.id,
                 u.first_name || ' ' || u.last_name as name,
-                COUNT(CASE WHEN aa.status IN ('completed', 'submitted') THEN 1 END) as completed_assessments,
-                ROUND(AVG(CASE WHEN aa.status IN ('completed', 'submitted') THEN aa.score END), 2) as average_score
+                COUNT(CASE WHEN aa.status IN ('completed', 'submitted', 'graded') THEN 1 END) as completed_assessments,
+                ROUND(AVG(CASE WHEN aa.status IN ('completed', 'submitted', 'graded') THEN aa.score END), 2) as average_score
             FROM users u
             LEFT JOIN assessment_attempts aa ON u.id = aa.user_id
             WHERE u.role = 'student'
             GROUP BY u.id, u.first_name, u.last_name
-            HAVING COUNT(CASE WHEN aa.status IN ('completed', 'submitted') THEN 1 END) > 0
+            HAVING COUNT(CASE WHEN aa.status IN ('completed', 'submitted', 'graded') THEN 1 END) > 0
             ORDER BY average_score DESC, completed_assessments DESC
             LIMIT 10
         `;
@@ -171,8 +171,8 @@ async function getAssessmentOverview() {
                 a.id,
                 a.step_number as step,
                 a.title,
-                COUNT(CASE WHEN aa.status IN ('completed', 'submitted') THEN 1 END) as completed_count,
-                ROUND(AVG(CASE WHEN aa.status IN ('completed', 'submitted') THEN aa.score END), 2) as average_score
+                COUNT(CASE WHEN aa.status IN ('completed', 'submitted', 'graded') THEN 1 END) as completed_count,
+                ROUND(AVG(CASE WHEN aa.status IN ('completed', 'submitted', 'graded') THEN aa.score END), 2) as average_score
             FROM assessments a
             LEFT JOIN assessment_attempts aa ON a.id = aa.assessment_id
             GROUP BY a.id, a.step_number, a.title
@@ -5,6 +5,19 @@
 
 const jwt = require('jsonwebtoken');
 const { sql } = require('@vercel/postgres');
+const {
+    gradeAnswer, runSamples, parseJson, toStudentExecutionResult, toStudentQuestion
+} = require('../lib/grading');
+const { checkAttemptAllowed } = require('../lib/attempt-policy');
+const {
+    GRACE_SECONDS, getDeadline, isExpired, calculateFinalScore, finalizeAttempt, finalizeExpiredAttempts,
+    getResumeState, getSeenQuestionIds, saveQuestionPosition, recordCodeRun
+} = require('../lib/attempts');
+const { getReviewAvailability, getReviewAttempt, getAttemptReview } = require('../lib/review');
+const {
+    getPoolRules, buildAttemptLayout, getAttemptLayout, isAttemptQuestion, applyAttemptLayout, resolveOptionAnswer
+} = require('../lib/attempt-layout');
+const { getAttemptVariant } = require('../lib/question-variants');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
@@ -52,7 +65,22 @@ async function getAssessmentQuestions(assessmentId) {
     }
 }
 
-async function createAssessmentAttempt(userId, assessmentId) {
+async function getUserAttempts(userId, assessmentId) {
+    try {
+        const result = await sql`
+            SELECT id, status, started_at, submitted_at, score, percentage
+            FROM assessment_attempts
+            WHERE user_id = ${userId} AND assessment_id = ${assessmentId}
+            ORDER BY started_at ASC
+        `;
+        return result.rows;
+    } catch (error) {
+        console.error('Database error in getUserAttempts:', error);
+        throw error;
+    }
+}
+
+async function createAssessmentAttempt(userId, assessmentId, durationMinutes, layout) {
     try {
         // Check for existing in-progress attempt
         const existingAttempt = await sql`
@@ -77,11 +105,19 @@ async function createAssessmentAttempt(userId, assessmentId) {
 
         const attemptNumber = parseInt(attemptCount.rows[0].count) + 1;
 
+        // The deadline is fixed now so the client timer cannot extend it
+        const limitMinutes = parseInt(durationMinutes) > 0 ? parseInt(durationMinutes) : null;
         const result = await sql`
             INSERT INTO assessment_attempts (
-                user_id, assessment_id, started_at, status, attempt_number
+                user_id, assessment_id, started_at, status, attempt_number, deadline_at,
+                shuffle_seed, question_ids, question_order, option_order
             ) VALUES (
-                ${userId}, ${assessmentId}, CURRENT_TIMESTAMP, 'in_progress', ${attemptNumber}
+                ${userId}, ${assessmentId}, CURRENT_TIMESTAMP, 'in_progress', ${attemptNumber},
+                CURRENT_TIMESTAMP + (${limitMinutes}::int * INTERVAL '1 minute'),
+                ${layout.seed},
+                ${layout.questionIds ? JSON.stringify(layout.questionIds) : null},
+                ${layout.questionOrder ? JSON.stringify(layout.questionOrder) : null},
+                ${layout.optionOrder ? JSON.stringify(layout.optionOrder) : null}
             ) RETURNING *
         `;
 
@@ -95,7 +131,7 @@ async function createAssessmentAttempt(userId, assessmentId) {
 async function validateAttempt(userId, attemptId) {
     try {
         const result = await sql`
-            SELECT aa.*, a.passing_score, a.total_questions
+            SELECT aa.*, a.passing_score, a.total_questions, a.duration_minutes, a.review_policy
             FROM assessment_attempts aa
             JOIN assessments a ON aa.assessment_id = a.id
             WHERE aa.id = ${attemptId} AND aa.user_id = ${userId} AND aa.status = 'in_progress'
@@ -120,36 +156,58 @@ async function getQuestion(questionId) {
     }
 }
 
-async function saveQuestionResponse(attemptId, questionId, userAnswer, timeSpent) {
+/**
+ * Store an answer; with grade false (auto-save) it is only stored, and graded
+ * when the answer is submitted or the attempt is finalized
+ */
+async function saveQuestionResponse(attempt, questionId, submittedAnswer, timeSpent, optionIndex, { grade: shouldGrade = true } = {}) {
     try {
-        const question = await getQuestion(questionId);
-        if (!question) {
+        const attemptId = attempt.id;
+        const storedQuestion = await getQuestion(questionId);
+        if (!storedQuestion) {
             throw new Error('Question not found');
         }
+        // Parameterized questions are graded against this attempt's variant
+        const question = getAttemptVariant(storedQuestion, attempt);
 
-        let isCorrect = false;
-        let pointsEarned = 0;
-
-        if (question.question_type === 'multiple_choice' || question.question_type === 'true_false') {
-            isCorrect = userAnswer.toLowerCase().trim() === question.correct_answer.toLowerCase().trim();
-            pointsEarned = isCorrect ? question.points : 0;
-        } else if (question.question_type === 'code_completion' || question.question_type === 'coding_challenge') {
-            isCorrect = userAnswer && userAnswer.trim().length > 0;
-            pointsEarned = isCorrect ? question.points * 0.5 : 0;
-        }
+        // Choice answers picked by position are mapped through the attempt's option order
+        const optionAnswer = optionIndex === undefined || optionIndex === null
+            ? null
+            : resolveOptionAnswer(question, getAttemptLayout(attempt), optionIndex);
+        const userAnswer = optionAnswer ?? submittedAnswer;
 
         const existingResponse = await sql`
-            SELECT id FROM question_responses
+            SELECT id, user_answer, is_correct, points_earned, code_execution_result
+            FROM question_responses
             WHERE attempt_id = ${attemptId} AND question_id = ${questionId}
         `;
+        const previous = existingResponse.rows[0];
+
+        // An unchanged answer keeps its grade - don't run it through the runner again
+        let grade;
+        if (previous && previous.user_answer === userAnswer && previous.is_correct !== null) {
+            grade = {
+                isCorrect: previous.is_correct,
+                pointsEarned: previous.points_earned,
+                executionResult: previous.code_execution_result
+            };
+        } else if (shouldGrade) {
+            grade = await gradeAnswer(question, userAnswer);
+        } else {
+            // Not graded yet: is_correct stays NULL until submit-answer or finalizeAttempt
+            grade = { isCorrect: null, pointsEarned: null, executionResult: null };
+        }
+
+        const executionResult = grade.executionResult ? JSON.stringify(grade.executionResult) : null;
 
-        if (existingResponse.rows.length > 0) {
+        if (previous) {
             const result = await sql`
                 UPDATE question_responses
                 SET user_answer = ${userAnswer},
-                    is_correct = ${isCorrect},
-                    points_earned = ${pointsEarned},
-                    time_spent_seconds = ${timeSpent}
+                    is_correct = ${grade.isCorrect},
+                    points_earned = ${grade.pointsEarned},
+                    time_spent_seconds = ${timeSpent},
+                    code_execution_result = ${executionResult}
                 WHERE attempt_id = ${attemptId} AND question_id = ${questionId}
                 RETURNING *
             `;
@@ -158,10 +216,10 @@ async function saveQuestionResponse(attemptId, questionId, userAnswer, timeSpent
             const result = await sql`
                 INSERT INTO question_responses (
                     attempt_id, question_id, user_answer, is_correct,
-                    points_earned, time_spent_seconds
+                    points_earned, time_spent_seconds, code_execution_result
                 ) VALUES (
-                    ${attemptId}, ${questionId}, ${userAnswer}, ${isCorrect},
-                    ${pointsEarned}, ${timeSpent}
+                    ${attemptId}, ${questionId}, ${userAnswer}, ${grade.isCorrect},
+                    ${grade.pointsEarned}, ${timeSpent}, ${executionResult}
                 ) RETURNING *
             `;
             return result.rows[0];
@@ -172,66 +230,6 @@ async function saveQuestionResponse(attemptId, questionId, userAnswer, timeSpent
     }
 }
 
-async function calculateFinalScore(attemptId) {
-    try {
-        const responses = await sql`
-            SELECT qr.*, q.points as max_points
-            FROM question_responses qr
-            JOIN questions q ON qr.question_id = q.id
-            WHERE qr.attempt_id = ${attemptId}
-        `;
-
-        const totalPointsEarned = responses.rows.reduce((sum, r) => sum + (r.points_earned || 0), 0);
-        const totalMaxPoints = responses.rows.reduce((sum, r) => sum + (r.max_points || 0), 0);
-        const totalTimeSpent = responses.rows.reduce((sum, r) => sum + (r.time_spent_seconds || 0), 0);
-
-        const score = totalMaxPoints > 0 ? Math.round((totalPointsEarned / totalMaxPoints) * 100) : 0;
-
-        return {
-            totalPointsEarned,
-            totalMaxPoints,
-            score,
-            totalTimeSpent,
-            questionsAnswered: responses.rows.length
-        };
-    } catch (error) {
-        console.error('Database error in calculateFinalScore:', error);
-        throw error;
-    }
-}
-
-async function submitAssessment(attemptId, finalScore, timeSpent) {
-    try {
-        const attemptResult = await sql`
-            SELECT aa.*, a.passing_score
-            FROM assessment_attempts aa
-            JOIN assessments a ON aa.assessment_id = a.id
-            WHERE aa.id = ${attemptId}
-        `;
-
-        const attempt = attemptResult.rows[0];
-        const isPassed = finalScore.score >= attempt.passing_score;
-
-        const result = await sql`
-            UPDATE assessment_attempts
-            SET submitted_at = CURRENT_TIMESTAMP,
-                time_spent_seconds = ${timeSpent || finalScore.totalTimeSpent},
-                score = ${finalScore.score},
-                total_points = ${finalScore.totalPointsEarned},
-                percentage = ${finalScore.score},
-                status = 'submitted',
-                is_passed = ${isPassed}
-            WHERE id = ${attemptId}
-            RETURNING *
-        `;
-
-        return result.rows[0];
-    } catch (error) {
-        console.error('Database error in submitAssessment:', error);
-        throw error;
-    }
-}
-
 // Handler for different assessment operations
 module.exports = async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -244,17 +242,31 @@ module.exports = async function handler(req, res) {
     }
 
     try {
-        const user = verifyToken(req);
         const url = new URL(req.url, `http://${req.headers.host}`);
         const action = url.searchParams.get('action');
 
+        // The sweep is also called by the scheduled job, which has no user token
+        if (action === 'sweep') {
+            return await handleSweep(req, res);
+        }
+
+        const user = verifyToken(req);
+
         switch (action) {
             case 'start':
                 return await handleStartAssessment(req, res, user);
             case 'submit-answer':
                 return await handleSubmitAnswer(req, res, user);
+            case 'save-answer':
+                return await handleSubmitAnswer(req, res, user, { grade: false });
+            case 'run':
+                return await handleRunCode(req, res, user);
+            case 'position':
+                return await handleSavePosition(req, res, user);
             case 'submit-assessment':
                 return await handleSubmitAssessment(req, res, user);
+            case 'review':
+                return await handleReview(req, res, user, url.searchParams);
             default:
                 return res.status(400).json({ error: 'Invalid action' });
         }
@@ -298,18 +310,48 @@ async function handleStartAssessment(req, res, user) {
         return res.status(404).json({ error: 'No questions found for this assessment' });
     }
 
-    const attempt = await createAssessmentAttempt(user.id, assessment.id);
+    // Attempts that ran out of time are submitted before deciding whether a new one may start
+    await finalizeExpiredAttempts({ userId: user.id, assessmentId: assessment.id });
 
-    const sanitizedQuestions = questions.map(q => ({
-        id: q.id,
-        question_type: q.question_type,
-        question_text: q.question_text,
-        code_snippet: q.code_snippet,
-        options: typeof q.options === 'string' ? JSON.parse(q.options) : q.options,
-        points: q.points,
-        difficulty: q.difficulty,
-        order_index: q.order_index
-    }));
+    // Retake policy - resuming an in-progress attempt is always allowed
+    const policy = checkAttemptAllowed(assessment, await getUserAttempts(user.id, assessment.id));
+
+    if (policy.code === 'MAX_ATTEMPTS_REACHED') {
+        return res.status(403).json({
+            error: `You have used all ${policy.maxAttempts} attempts for this assessment`,
+            code: policy.code,
+            policy
+        });
+    }
+
+    if (policy.code === 'COOLDOWN_ACTIVE') {
+        const retryAfterSeconds = Math.ceil((new Date(policy.nextAttemptAt) - new Date()) / 1000);
+        res.setHeader('Retry-After', retryAfterSeconds);
+        return res.status(429).json({
+            error: `You can start a new attempt at ${policy.nextAttemptAt}`,
+            code: policy.code,
+            retryAfterSeconds,
+            policy
+        });
+    }
+
+    // A new attempt is drawn and shuffled once here; a resumed one keeps its stored layout
+    const seenQuestionIds = !policy.canResume && getPoolRules(assessment)
+        ? await getSeenQuestionIds(user.id, assessment.id)
+        : [];
+    const attempt = await createAssessmentAttempt(
+        user.id, assessment.id, assessment.duration_minutes,
+        buildAttemptLayout(assessment, questions, { seenQuestionIds })
+    );
+    const attemptQuestions = applyAttemptLayout(
+        questions.map(question => toStudentQuestion(getAttemptVariant(question, attempt))),
+        getAttemptLayout(attempt)
+    );
+    const deadline = getDeadline(attempt, assessment.duration_minutes);
+    // Saved answers let the engine restore a closed tab or crashed browser
+    const resume = policy.canResume ? await getResumeState(attempt) : null;
+    // Includes the attempt that was just started
+    const attemptsUsed = policy.canResume ? policy.attemptsUsed : policy.attemptsUsed + 1;
 
     return res.status(200).json({
         success: true,
@@ -319,27 +361,44 @@ async function handleStartAssessment(req, res, user) {
             title: assessment.title,
             description: assessment.description,
             duration_minutes: assessment.duration_minutes,
-            total_questions: assessment.total_questions,
+            total_questions: attemptQuestions.length,
             passing_score: assessment.passing_score
         },
         attempt: {
             id: attempt.id,
             attempt_number: attempt.attempt_number,
             started_at: attempt.started_at,
-            status: attempt.status
+            status: attempt.status,
+            deadline_at: deadline ? deadline.toISOString() : null,
+            grace_seconds: GRACE_SECONDS,
+            resumed: Boolean(resume)
+        },
+        resume,
+        // Lets the client correct for a skewed local clock
+        server_time: new Date().toISOString(),
+        policy: {
+            maxAttempts: policy.maxAttempts,
+            cooldownMinutes: policy.cooldownMinutes,
+            scoringPolicy: policy.scoringPolicy,
+            attemptsUsed,
+            attemptsRemaining: policy.maxAttempts === null ? null : Math.max(0, policy.maxAttempts - attemptsUsed)
         },
-        questions: sanitizedQuestions
+        // Students never receive the answer key, even when a teacher takes the assessment
+        questions: attemptQuestions
     });
 }
 
-async function handleSubmitAnswer(req, res, user) {
+/**
+ * Save an answer - graded for submit-answer, only stored for save-answer (auto-save)
+ */
+async function handleSubmitAnswer(req, res, user, { grade = true } = {}) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const { attemptId, questionId, answer, timeSpent } = req.body;
+    const { attemptId, questionId, answer, optionIndex, timeSpent, questionIndex } = req.body;
 
-    if (!attemptId || !questionId || answer === undefined) {
+    if (!attemptId || !questionId || (answer === undefined && optionIndex === undefined)) {
         return res.status(400).json({
             error: 'Attempt ID, question ID, and answer are required'
         });
@@ -352,7 +411,38 @@ async function handleSubmitAnswer(req, res, user) {
         });
     }
 
-    const response = await saveQuestionResponse(attemptId, questionId, answer, timeSpent || 0);
+    if (isExpired(attempt)) {
+        const finalized = await finalizeAttempt(attempt.id, { autoSubmitted: true });
+        return res.status(409).json({
+            error: 'Time limit exceeded. Your assessment was submitted with the answers saved before the deadline.',
+            code: 'ATTEMPT_EXPIRED',
+            attempt: finalized && {
+                id: finalized.attempt.id,
+                submittedAt: finalized.attempt.submitted_at,
+                score: finalized.attempt.score,
+                passed: finalized.attempt.is_passed
+            }
+        });
+    }
+
+    if (!isAttemptQuestion(getAttemptLayout(attempt), questionId)) {
+        return res.status(400).json({ error: 'Question is not part of this attempt' });
+    }
+
+    const deadline = getDeadline(attempt);
+    const response = await saveQuestionResponse(attempt, questionId, answer, timeSpent || 0, optionIndex, { grade });
+    if (Number.isInteger(questionIndex) && questionIndex >= 0) {
+        await saveQuestionPosition(attempt.id, questionIndex);
+    }
+
+    if (!grade) {
+        return res.status(200).json({
+            success: true,
+            response: { id: response.id },
+            serverTime: new Date().toISOString(),
+            deadlineAt: deadline ? deadline.toISOString() : null
+        });
+    }
     const progress = await calculateFinalScore(attemptId);
 
     return res.status(200).json({
@@ -360,12 +450,90 @@ async function handleSubmitAnswer(req, res, user) {
         response: {
             id: response.id,
             isCorrect: response.is_correct,
-            pointsEarned: response.points_earned
+            pointsEarned: response.points_earned,
+            executionResult: toStudentExecutionResult(parseJson(response.code_execution_result))
         },
-        progress
+        progress,
+        serverTime: new Date().toISOString(),
+        deadlineAt: deadline ? deadline.toISOString() : null
+    });
+}
+
+/**
+ * "Run" in the code editor: runs the code with the student's stdin and the
+ * visible sample tests. Nothing is graded or saved except the run count.
+ */
+async function handleRunCode(req, res, user) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { attemptId, questionId, code, stdin } = req.body;
+
+    if (!attemptId || !questionId || typeof code !== 'string') {
+        return res.status(400).json({
+            error: 'Attempt ID, question ID, and code are required'
+        });
+    }
+
+    const attempt = await validateAttempt(user.id, attemptId);
+    if (!attempt) {
+        return res.status(404).json({
+            error: 'Assessment attempt not found or not in progress'
+        });
+    }
+
+    if (isExpired(attempt)) {
+        await finalizeAttempt(attempt.id, { autoSubmitted: true });
+        return res.status(409).json({
+            error: 'Time limit exceeded. Your assessment was submitted with the answers saved before the deadline.',
+            code: 'ATTEMPT_EXPIRED'
+        });
+    }
+
+    if (!isAttemptQuestion(getAttemptLayout(attempt), questionId)) {
+        return res.status(400).json({ error: 'Question is not part of this attempt' });
+    }
+
+    const storedQuestion = await getQuestion(questionId);
+    if (!storedQuestion || !['coding_challenge', 'code_completion'].includes(storedQuestion.question_type)) {
+        return res.status(400).json({ error: 'Only code questions can be run' });
+    }
+
+    const question = getAttemptVariant(storedQuestion, attempt);
+    const result = await runSamples(question, code, typeof stdin === 'string' ? stdin : '');
+    const runCount = await recordCodeRun(attempt.id, questionId);
+
+    return res.status(200).json({
+        success: true,
+        ...result,
+        runCount
     });
 }
 
+async function handleSavePosition(req, res, user) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { attemptId, questionIndex } = req.body;
+
+    if (!attemptId || !Number.isInteger(questionIndex) || questionIndex < 0) {
+        return res.status(400).json({ error: 'Attempt ID and question index are required' });
+    }
+
+    const attempt = await validateAttempt(user.id, attemptId);
+    if (!attempt) {
+        return res.status(404).json({
+            error: 'Assessment attempt not found or not in progress'
+        });
+    }
+
+    await saveQuestionPosition(attempt.id, questionIndex);
+
+    return res.status(200).json({ success: true });
+}
+
 async function handleSubmitAssessment(req, res, user) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
@@ -384,8 +552,15 @@ async function handleSubmitAssessment(req, res, user) {
         });
     }
 
-    const finalScore = await calculateFinalScore(attemptId);
-    const submittedAttempt = await submitAssessment(attemptId, finalScore, timeSpent);
+    // Late submissions are still scored, but only with answers saved before the deadline
+    const finalized = await finalizeAttempt(attempt.id, { timeSpent, autoSubmitted: isExpired(attempt) });
+    if (!finalized) {
+        return res.status(409).json({ error: 'Assessment attempt was already submitted' });
+    }
+
+    const { attempt: submittedAttempt, finalScore } = finalized;
+    const { questionIds } = getAttemptLayout(attempt);
+    const review = getReviewAvailability(attempt, submittedAttempt);
 
     return res.status(200).json({
         success: true,
@@ -398,7 +573,8 @@ async function handleSubmitAssessment(req, res, user) {
             timeSpent: submittedAttempt.time_spent_seconds
         },
         summary: {
-            totalQuestions: attempt.total_questions,
+            // Pooled attempts only have the questions drawn for them
+            totalQuestions: questionIds ? questionIds.length : attempt.total_questions,
             answeredQuestions: finalScore.questionsAnswered,
             pointsEarned: finalScore.totalPointsEarned,
             totalPoints: finalScore.totalMaxPoints,
@@ -406,6 +582,78 @@ async function handleSubmitAssessment(req, res, user) {
             passed: submittedAttempt.is_passed,
             passingScore: attempt.passing_score,
             timeSpent: finalScore.totalTimeSpent
+        },
+        review: {
+            available: review.available,
+            reason: review.reason,
+            availableAt: review.availableAt
+        }
+    });
+}
+
+async function handleReview(req, res, user, searchParams) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const attemptId = parseInt(searchParams.get('attemptId'));
+    if (isNaN(attemptId)) {
+        return res.status(400).json({ error: 'Attempt ID is required' });
+    }
+
+    const attempt = await getReviewAttempt(attemptId);
+    if (!attempt) {
+        return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    // Students only see their own attempts; teachers and admins are not bound by the review policy
+    const isStaff = user.role === 'teacher' || user.role === 'admin';
+    if (!isStaff && attempt.user_id !== user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const availability = getReviewAvailability(attempt, attempt);
+    if (!availability.available && !isStaff) {
+        return res.status(403).json({
+            error: availability.reason,
+            code: 'REVIEW_LOCKED',
+            policy: availability.policy,
+            availableAt: availability.availableAt
+        });
+    }
+
+    const review = await getAttemptReview(attempt);
+
+    return res.status(200).json({
+        success: true,
+        policy: availability.policy,
+        ...review
+    });
+}
+
+async function handleSweep(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Scheduled jobs authenticate with CRON_SECRET, people with a teacher/admin token
+    const cronSecret = process.env.CRON_SECRET;
+    const isCron = Boolean(cronSecret) && req.headers.authorization === `Bearer ${cronSecret}`;
+
+    if (!isCron) {
+        const user = verifyToken(req);
+        if (user.role !== 'teacher' && user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access denied. Teacher or admin privileges required.'
+            });
         }
+    }
+
+    const finalized = await finalizeExpiredAttempts();
+
+    return res.status(200).json({
+        success: true,
+        message: `${finalized.length} expired attempt(s) submitted`,
+        finalized
     });
-}
\ No newline at end of file
+}
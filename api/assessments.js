@@ -5,6 +5,15 @@
 
 const jwt = require('jsonwebtoken');
 const { sql } = require('@vercel/postgres');
+const { gradeAnswer, toStudentExecutionResult, toQuestionForRole } = require('../lib/grading');
+const { checkAttemptAllowed } = require('../lib/attempt-policy');
+const {
+    getDeadline, isExpired, finalizeAttempt, finalizeExpiredAttempts, getResumeState, getSeenQuestionIds
+} = require('../lib/attempts');
+const {
+    getPoolRules, buildAttemptLayout, getAttemptLayout, isAttemptQuestion, applyAttemptLayout, resolveOptionAnswer
+} = require('../lib/attempt-layout');
+const { getAttemptVariant } = require('../lib/question-variants');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
@@ -37,6 +46,9 @@ async function getAllAssessments() {
                 total_questions,
                 passing_score,
                 is_active,
+                max_attempts,
+                cooldown_minutes,
+                scoring_policy,
                 created_at
             FROM assessments
             ORDER BY step_number ASC
@@ -72,54 +84,84 @@ async function getAssessmentByStep(stepNumber) {
     }
 }
 
-async function createAssessmentAttempt(userId, assessmentId) {
+async function getUserAttempts(userId, assessmentId) {
     try {
         const result = await sql`
-            INSERT INTO assessment_attempts (user_id, assessment_id, status, started_at)
-            VALUES (${userId}, ${assessmentId}, 'in_progress', NOW())
-            RETURNING *
+            SELECT * FROM assessment_attempts
+            WHERE user_id = ${userId} AND assessment_id = ${assessmentId}
+            ORDER BY started_at ASC
         `;
-        return result.rows[0];
+        return result.rows;
     } catch (error) {
-        console.error('Database error in createAssessmentAttempt:', error);
+        console.error('Database error in getUserAttempts:', error);
         throw error;
     }
 }
 
-async function getAssessmentAttempt(attemptId) {
+async function createAssessmentAttempt(userId, assessmentId, durationMinutes, layout) {
     try {
+        const limitMinutes = parseInt(durationMinutes) > 0 ? parseInt(durationMinutes) : null;
         const result = await sql`
-            SELECT * FROM assessment_attempts WHERE id = ${attemptId}
+            INSERT INTO assessment_attempts (
+                user_id, assessment_id, status, started_at, deadline_at,
+                shuffle_seed, question_ids, question_order, option_order
+            )
+            VALUES (
+                ${userId}, ${assessmentId}, 'in_progress', NOW(),
+                NOW() + (${limitMinutes}::int * INTERVAL '1 minute'),
+                ${layout.seed},
+                ${layout.questionIds ? JSON.stringify(layout.questionIds) : null},
+                ${layout.questionOrder ? JSON.stringify(layout.questionOrder) : null},
+                ${layout.optionOrder ? JSON.stringify(layout.optionOrder) : null}
+            )
+            RETURNING *
         `;
-        return result.rows[0] || null;
+        return result.rows[0];
     } catch (error) {
-        console.error('Database error in getAssessmentAttempt:', error);
+        console.error('Database error in createAssessmentAttempt:', error);
         throw error;
     }
 }
 
-async function updateAssessmentAttempt(attemptId, updateData) {
+async function getAssessmentAttempt(attemptId) {
     try {
         const result = await sql`
-            UPDATE assessment_attempts
-            SET
-                status = ${updateData.status || 'in_progress'},
-                submitted_at = ${updateData.submitted_at || null},
-                time_spent_seconds = ${updateData.time_spent_seconds || 0},
-                score = ${updateData.score !== undefined ? updateData.score : null},
-                total_points = ${updateData.total_points !== undefined ? updateData.total_points : null},
-                percentage = ${updateData.percentage !== undefined ? updateData.percentage : null},
-                is_passed = ${updateData.is_passed !== undefined ? updateData.is_passed : null}
-            WHERE id = ${attemptId}
-            RETURNING *
+            SELECT aa.*, a.duration_minutes
+            FROM assessment_attempts aa
+            JOIN assessments a ON aa.assessment_id = a.id
+            WHERE aa.id = ${attemptId}
         `;
-        return result.rows[0];
+        return result.rows[0] || null;
     } catch (error) {
-        console.error('Database error in updateAssessmentAttempt:', error);
+        console.error('Database error in getAssessmentAttempt:', error);
         throw error;
     }
 }
 
+/**
+ * What a student may see of their own attempt - never the shuffle seed or
+ * stored layout, which would reproduce option orders and variant values
+ */
+function toStudentAttempt(attempt) {
+    return {
+        id: attempt.id,
+        assessmentId: attempt.assessment_id,
+        attemptNumber: attempt.attempt_number,
+        status: attempt.status,
+        startedAt: attempt.started_at,
+        submittedAt: attempt.submitted_at,
+        deadlineAt: attempt.deadline_at,
+        durationMinutes: attempt.duration_minutes,
+        position: attempt.last_question_index || 0,
+        timeSpentSeconds: attempt.time_spent_seconds,
+        score: attempt.score,
+        totalPoints: attempt.total_points,
+        percentage: attempt.percentage,
+        isPassed: attempt.is_passed,
+        autoSubmitted: attempt.auto_submitted || false
+    };
+}
+
 async function getQuestionsByAssessment(assessmentId) {
     try {
         const result = await sql`
@@ -134,6 +176,48 @@ async function getQuestionsByAssessment(assessmentId) {
     }
 }
 
+async function saveQuestionResponse(responseData) {
+    try {
+        const executionResult = responseData.code_execution_result
+            ? JSON.stringify(responseData.code_execution_result)
+            : null;
+
+        const existingResponse = await sql`
+            SELECT id FROM question_responses
+            WHERE attempt_id = ${responseData.attempt_id} AND question_id = ${responseData.question_id}
+        `;
+
+        if (existingResponse.rows.length > 0) {
+            const result = await sql`
+                UPDATE question_responses
+                SET user_answer = ${responseData.user_answer},
+                    is_correct = ${responseData.is_correct},
+                    points_earned = ${responseData.points_earned},
+                    time_spent_seconds = ${responseData.time_spent_seconds},
+                    code_execution_result = ${executionResult}
+                WHERE id = ${existingResponse.rows[0].id}
+                RETURNING *
+            `;
+            return result.rows[0];
+        }
+
+        const result = await sql`
+            INSERT INTO question_responses (
+                attempt_id, question_id, user_answer, is_correct,
+                points_earned, time_spent_seconds, code_execution_result
+            ) VALUES (
+                ${responseData.attempt_id}, ${responseData.question_id}, ${responseData.user_answer},
+                ${responseData.is_correct}, ${responseData.points_earned},
+                ${responseData.time_spent_seconds}, ${executionResult}
+            ) RETURNING *
+        `;
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in saveQuestionResponse:', error);
+        throw error;
+    }
+}
+
 module.exports = async function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -249,8 +333,45 @@ async function handleStartAssessment(req, res) {
             });
         }
 
-        // Create or get existing attempt
-        const attempt = await createAssessmentAttempt(user.id, assessment.id);
+        await finalizeExpiredAttempts({ userId: user.id, assessmentId: assessment.id });
+
+        // Same retake policy as assessment-handler: resume, or check limits before a new attempt
+        const attempts = await getUserAttempts(user.id, assessment.id);
+        const policy = checkAttemptAllowed(assessment, attempts);
+
+        if (policy.code === 'MAX_ATTEMPTS_REACHED') {
+            return res.status(403).json({
+                error: `You have used all ${policy.maxAttempts} attempts for this assessment`,
+                code: policy.code,
+                policy
+            });
+        }
+
+        if (policy.code === 'COOLDOWN_ACTIVE') {
+            const retryAfterSeconds = Math.ceil((new Date(policy.nextAttemptAt) - new Date()) / 1000);
+            res.setHeader('Retry-After', retryAfterSeconds);
+            return res.status(429).json({
+                error: `You can start a new attempt at ${policy.nextAttemptAt}`,
+                code: policy.code,
+                retryAfterSeconds,
+                policy
+            });
+        }
+
+        // Create or get existing attempt - a new one is drawn and shuffled once here
+        let attempt = attempts.find(a => a.status === 'in_progress');
+        if (!policy.canResume) {
+            const seenQuestionIds = getPoolRules(assessment)
+                ? await getSeenQuestionIds(user.id, assessment.id)
+                : [];
+            attempt = await createAssessmentAttempt(
+                user.id, assessment.id, assessment.duration_minutes,
+                buildAttemptLayout(assessment, await getQuestionsByAssessment(assessment.id), { seenQuestionIds })
+            );
+        }
+        const layout = getAttemptLayout(attempt);
+        const deadline = getDeadline(attempt, assessment.duration_minutes);
+        const resume = policy.canResume ? await getResumeState(attempt) : null;
 
         return res.status(200).json({
             success: true,
@@ -259,10 +380,14 @@ async function handleStartAssessment(req, res) {
                 assessmentId: assessment.id,
                 assessmentTitle: assessment.title,
                 durationMinutes: assessment.duration_minutes,
-                totalQuestions: assessment.total_questions,
+                totalQuestions: layout.questionIds ? layout.questionIds.length : assessment.total_questions,
                 startedAt: attempt.started_at,
-                status: attempt.status
-            }
+                deadlineAt: deadline ? deadline.toISOString() : null,
+                status: attempt.status,
+                resumed: Boolean(resume)
+            },
+            resume,
+            serverTime: new Date().toISOString()
         });
 
     } catch (error) {
@@ -288,38 +413,37 @@ async function handleGetQuestions(req, res, searchParams) {
         }
 
         // Verify user has access to this assessment
+        let attempt = null;
         if (attemptId) {
-            const attempt = await getAssessmentAttempt(attemptId);
+            attempt = await getAssessmentAttempt(attemptId);
             if (!attempt || attempt.user_id !== user.id) {
                 return res.status(403).json({
                     error: 'Access denied'
                 });
             }
+            // The attempt's seed and layout only apply to its own assessment
+            if (attempt.assessment_id !== parseInt(assessmentId)) {
+                return res.status(404).json({
+                    error: 'Attempt not found for this assessment'
+                });
+            }
         }
 
         const questions = await getQuestionsByAssessment(assessmentId);
 
-        // Remove correct answers and explanations for students during assessment
-        const sanitizedQuestions = questions.map(question => ({
-            id: question.id,
-            question_type: question.question_type,
-            question_text: question.question_text,
-            code_snippet: question.code_snippet,
-            options: question.options,
-            points: question.points,
-            difficulty: question.difficulty,
-            order_index: question.order_index,
-            // Don't include correct_answer, explanation, or test_cases for students during assessment
-            ...(user.role === 'teacher' && {
-                correct_answer: question.correct_answer,
-                explanation: question.explanation,
-                test_cases: question.test_cases
-            })
-        }));
+        // Students get questions without answers, explanations or hidden test cases,
+        // as the variants, order and option permutation stored on their attempt
+        let projectedQuestions = questions.map(question => toQuestionForRole(
+            attempt ? getAttemptVariant(question, attempt) : question,
+            user.role
+        ));
+        if (attempt) {
+            projectedQuestions = applyAttemptLayout(projectedQuestions, getAttemptLayout(attempt));
+        }
 
         return res.status(200).json({
             success: true,
-            questions: sanitizedQuestions
+            questions: projectedQuestions
         });
 
     } catch (error) {
@@ -335,9 +459,9 @@ async function handleGetQuestions(req, res, searchParams) {
 async function handleSubmitAnswer(req, res) {
     try {
         const user = verifyToken(req);
-        const { attemptId, questionId, answer, timeSpent, executionResult } = req.body;
+        const { attemptId, questionId, answer, optionIndex, timeSpent } = req.body;
 
-        if (!attemptId || !questionId || answer === undefined) {
+        if (!attemptId || !questionId || (answer === undefined && optionIndex === undefined)) {
             return res.status(400).json({
                 error: 'Attempt ID, question ID, and answer are required'
             });
@@ -357,41 +481,47 @@ async function handleSubmitAnswer(req, res) {
             });
         }
 
+        if (isExpired(attempt)) {
+            await finalizeAttempt(attempt.id, { autoSubmitted: true });
+            return res.status(409).json({
+                error: 'Time limit exceeded. Your assessment was submitted with the answers saved before the deadline.',
+                code: 'ATTEMPT_EXPIRED'
+            });
+        }
+
+        const deadline = getDeadline(attempt);
+
         // Get question details for scoring
         const questions = await getQuestionsByAssessment(attempt.assessment_id);
-        const question = questions.find(q => q.id === questionId);
+        const storedQuestion = questions.find(q => q.id === questionId);
 
-        if (!question) {
+        if (!storedQuestion || !isAttemptQuestion(getAttemptLayout(attempt), questionId)) {
             return res.status(404).json({
                 error: 'Question not found'
             });
         }
 
-        // Calculate score
-        let isCorrect = false;
-        let pointsEarned = 0;
+        // Parameterized questions are graded against this attempt's variant
+        const question = getAttemptVariant(storedQuestion, attempt);
 
-        if (question.question_type === 'coding_challenge') {
-            // For coding challenges, check against test cases
-            if (executionResult && executionResult.success) {
-                isCorrect = true;
-                pointsEarned = question.points;
-            }
-        } else {
-            // For other question types, compare answer
-            isCorrect = answer.toString().toLowerCase() === question.correct_answer.toLowerCase();
-            pointsEarned = isCorrect ? question.points : 0;
-        }
+        // Choice answers picked by position are mapped through the attempt's option order
+        const optionAnswer = optionIndex === undefined || optionIndex === null
+            ? null
+            : resolveOptionAnswer(question, getAttemptLayout(attempt), optionIndex);
+        const userAnswer = optionAnswer ?? answer;
+
+        // Score on the server - a client-reported execution result is never trusted
+        const { isCorrect, pointsEarned, executionResult } = await gradeAnswer(question, userAnswer);
 
         // Save response
         const responseData = {
             attempt_id: attemptId,
             question_id: questionId,
-            user_answer: answer,
+            user_answer: userAnswer,
             is_correct: isCorrect,
             points_earned: pointsEarned,
             time_spent_seconds: timeSpent || 0,
-            code_execution_result: executionResult || null
+            code_execution_result: executionResult
         };
 
         await saveQuestionResponse(responseData);
@@ -400,7 +530,10 @@ async function handleSubmitAnswer(req, res) {
             success: true,
             isCorrect,
             pointsEarned,
-            explanation: isCorrect ? question.explanation : null // Only show explanation if correct
+            executionResult: toStudentExecutionResult(executionResult),
+            explanation: isCorrect ? question.explanation : null, // Only show explanation if correct
+            serverTime: new Date().toISOString(),
+            deadlineAt: deadline ? deadline.toISOString() : null
         });
 
     } catch (error) {
@@ -438,26 +571,20 @@ async function handleSubmitAssessment(req, res) {
             });
         }
 
-        // Calculate final score
-        // This would typically involve querying question_responses for this attempt
-        // For now, we'll use placeholder values
-        const totalPoints = 100; // This should be calculated from actual responses
-        const earnedPoints = 75;  // This should be calculated from actual responses
-        const percentage = (earnedPoints / totalPoints) * 100;
-        const isPassed = percentage >= 70; // Assuming 70% pass rate
-
-        // Update attempt with final results
-        const updateData = {
-            submitted_at: new Date().toISOString(),
-            time_spent_seconds: totalTimeSpent || 0,
-            score: earnedPoints,
-            total_points: totalPoints,
-            percentage: percentage,
-            status: 'submitted',
-            is_passed: isPassed
-        };
+        const finalized = await finalizeAttempt(attempt.id, {
+            timeSpent: totalTimeSpent,
+            autoSubmitted: isExpired(attempt)
+        });
+        if (!finalized) {
+            return res.status(400).json({
+                error: 'Assessment is already submitted'
+            });
+        }
 
-        await updateAssessmentAttempt(attemptId, updateData);
+        const earnedPoints = finalized.finalScore.totalPointsEarned;
+        const totalPoints = finalized.finalScore.totalMaxPoints;
+        const percentage = finalized.finalScore.score;
+        const isPassed = finalized.attempt.is_passed;
 
         return res.status(200).json({
             success: true,
@@ -508,7 +635,7 @@ async function handleGetAttempt(req, res, searchParams) {
 
         return res.status(200).json({
             success: true,
-            attempt
+            attempt: user.role === 'student' ? toStudentAttempt(attempt) : attempt
         });
 
     } catch (error) {
@@ -0,0 +1,741 @@
+/**
+ * Assessment Authoring API
+ * Lets teachers and admins create, edit, reorder and publish assessments and questions
+ *
+ * GET    /api/authoring?action=assessment&id=1         - assessment with all questions
+ * POST   /api/authoring?action=assessment              - create assessment for a step
+ * PUT    /api/authoring?action=assessment&id=1         - update assessment
+ * DELETE /api/authoring?action=assessment&id=1         - delete assessment without attempts
+ * POST   /api/authoring?action=publish&id=1            - set is_active ({ isActive })
+ * POST   /api/authoring?action=question                - add question ({ assessmentId, ... })
+ * PUT    /api/authoring?action=question&id=5           - edit question
+ * DELETE /api/authoring?action=question&id=5           - delete question
+ * POST   /api/authoring?action=reorder                 - reorder ({ assessmentId, questionIds })
+ * POST   /api/authoring?action=import&dryRun=true      - import a question bank ({ step } or { bank })
+ * GET    /api/authoring?action=export&id=1             - assessment as stepN-questions.json (or &step=1)
+ * POST   /api/authoring?action=regrade                 - rescore past attempts ({ assessmentId } or { questionId })
+ * GET    /api/authoring?action=regrade-history&id=1    - regrade runs of an assessment with before/after scores
+ * GET    /api/authoring?action=preview&id=5&seed=42    - one variant of a parameterized question (random seed if omitted)
+ */
+
+const jwt = require('jsonwebtoken');
+const { sql } = require('@vercel/postgres');
+const { parseJson, toTeacherQuestion } = require('../lib/grading');
+const { generateValues, instantiateQuestion } = require('../lib/question-variants');
+const { regrade, getRegradeHistory } = require('../lib/regrade');
+const { validateQuestion, validateAssessment } = require('../lib/question-validation');
+const { importQuestionBank, loadQuestionBankForStep, exportQuestionBank } = require('../lib/question-import');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+const ASSESSMENT_FIELDS = {
+    stepNumber: 'step_number',
+    title: 'title',
+    description: 'description',
+    durationMinutes: 'duration_minutes',
+    passingScore: 'passing_score',
+    isActive: 'is_active',
+    maxAttempts: 'max_attempts',
+    cooldownMinutes: 'cooldown_minutes',
+    scoringPolicy: 'scoring_policy',
+    reviewPolicy: 'review_policy',
+    shuffleQuestions: 'shuffle_questions',
+    shuffleOptions: 'shuffle_options',
+    poolRules: 'pool_rules'
+};
+
+const QUESTION_FIELDS = {
+    questionType: 'question_type',
+    questionText: 'question_text',
+    codeSnippet: 'code_snippet',
+    options: 'options',
+    correctAnswer: 'correct_answer',
+    explanation: 'explanation',
+    testCases: 'test_cases',
+    points: 'points',
+    difficulty: 'difficulty',
+    scoring: 'scoring',
+    rubric: 'rubric',
+    tags: 'tags',
+    parameters: 'parameters',
+    testClass: 'test_class'
+};
+
+// Function to verify JWT token
+function verifyToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new Error('No token provided');
+    }
+
+    const token = authHeader.substring(7);
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded;
+    } catch (error) {
+        throw new Error('Invalid token');
+    }
+}
+
+// Map camelCase request fields onto table columns, keeping only the ones provided
+function pickFields(body, fieldMap) {
+    const fields = {};
+    for (const [bodyField, column] of Object.entries(fieldMap)) {
+        if (body[bodyField] !== undefined) {
+            fields[column] = body[bodyField];
+        }
+    }
+    return fields;
+}
+
+function toJsonColumn(value) {
+    const parsed = parseJson(value);
+    return parsed === null || parsed === undefined ? null : JSON.stringify(parsed);
+}
+
+// Database functions
+async function getAssessmentWithQuestions(assessmentId) {
+    try {
+        const assessmentResult = await sql`
+            SELECT * FROM assessments WHERE id = ${assessmentId}
+        `;
+
+        if (assessmentResult.rows.length === 0) {
+            return null;
+        }
+
+        const questionsResult = await sql`
+            SELECT * FROM questions
+            WHERE assessment_id = ${assessmentId}
+            ORDER BY order_index ASC, id ASC
+        `;
+
+        return {
+            ...assessmentResult.rows[0],
+            questions: questionsResult.rows.map(q => ({
+                ...q,
+                options: parseJson(q.options),
+                test_cases: parseJson(q.test_cases),
+                scoring: parseJson(q.scoring),
+                rubric: parseJson(q.rubric),
+                tags: parseJson(q.tags),
+                parameters: parseJson(q.parameters)
+            }))
+        };
+    } catch (error) {
+        console.error('Database error in getAssessmentWithQuestions:', error);
+        throw error;
+    }
+}
+
+async function createAssessment(fields) {
+    try {
+        const existing = await sql`
+            SELECT id FROM assessments WHERE step_number = ${fields.step_number}
+        `;
+
+        if (existing.rows.length > 0) {
+            throw new Error('Assessment for this step already exists');
+        }
+
+        const result = await sql`
+            INSERT INTO assessments (
+                step_number, title, description, duration_minutes, total_questions, passing_score, is_active,
+                max_attempts, cooldown_minutes, scoring_policy, review_policy, shuffle_questions, shuffle_options,
+                pool_rules
+            ) VALUES (
+                ${fields.step_number}, ${fields.title}, ${fields.description || null},
+                ${fields.duration_minutes}, 0, ${fields.passing_score ?? 70},
+                ${fields.is_active ?? false}, ${fields.max_attempts ?? null},
+                ${fields.cooldown_minutes ?? 0}, ${fields.scoring_policy || 'best'},
+                ${fields.review_policy || 'immediately'}, ${fields.shuffle_questions ?? false},
+                ${fields.shuffle_options ?? false}, ${toJsonColumn(fields.pool_rules)}
+            ) RETURNING *
+        `;
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in createAssessment:', error);
+        throw error;
+    }
+}
+
+async function updateAssessment(assessmentId, fields) {
+    try {
+        const current = await sql`
+            SELECT * FROM assessments WHERE id = ${assessmentId}
+        `;
+
+        if (current.rows.length === 0) {
+            throw new Error('Assessment not found');
+        }
+
+        const merged = { ...current.rows[0], ...fields };
+
+        if (fields.step_number !== undefined && parseInt(fields.step_number) !== current.rows[0].step_number) {
+            const clash = await sql`
+                SELECT id FROM assessments
+                WHERE step_number = ${merged.step_number} AND id <> ${assessmentId}
+            `;
+            if (clash.rows.length > 0) {
+                throw new Error('Assessment for this step already exists');
+            }
+        }
+
+        const result = await sql`
+            UPDATE assessments
+            SET step_number = ${merged.step_number},
+                title = ${merged.title},
+                description = ${merged.description},
+                duration_minutes = ${merged.duration_minutes},
+                passing_score = ${merged.passing_score},
+                is_active = ${merged.is_active},
+                max_attempts = ${merged.max_attempts ?? null},
+                cooldown_minutes = ${merged.cooldown_minutes ?? 0},
+                scoring_policy = ${merged.scoring_policy || 'best'},
+                review_policy = ${merged.review_policy || 'immediately'},
+                shuffle_questions = ${merged.shuffle_questions ?? false},
+                shuffle_options = ${merged.shuffle_options ?? false},
+                pool_rules = ${toJsonColumn(merged.pool_rules)},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ${assessmentId}
+            RETURNING *
+        `;
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in updateAssessment:', error);
+        throw error;
+    }
+}
+
+async function deleteAssessment(assessmentId) {
+    try {
+        const attempts = await sql`
+            SELECT COUNT(*) as count FROM assessment_attempts WHERE assessment_id = ${assessmentId}
+        `;
+
+        // Deleting would cascade into student attempts - unpublish instead
+        if (parseInt(attempts.rows[0].count) > 0) {
+            throw new Error('Assessment has attempts');
+        }
+
+        const result = await sql`
+            DELETE FROM assessments WHERE id = ${assessmentId} RETURNING id, title
+        `;
+
+        if (result.rows.length === 0) {
+            throw new Error('Assessment not found');
+        }
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in deleteAssessment:', error);
+        throw error;
+    }
+}
+
+async function refreshQuestionCount(assessmentId) {
+    try {
+        await sql`
+            UPDATE assessments
+            SET total_questions = (SELECT COUNT(*) FROM questions WHERE assessment_id = ${assessmentId}),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ${assessmentId}
+        `;
+    } catch (error) {
+        console.error('Database error in refreshQuestionCount:', error);
+        throw error;
+    }
+}
+
+async function createQuestion(assessmentId, fields) {
+    try {
+        const orderResult = await sql`
+            SELECT COALESCE(MAX(order_index), 0) + 1 as next_index
+            FROM questions WHERE assessment_id = ${assessmentId}
+        `;
+
+        const result = await sql`
+            INSERT INTO questions (
+                assessment_id, question_type, question_text, code_snippet, options, correct_answer,
+                explanation, test_cases, points, difficulty, order_index, scoring, rubric, tags, parameters, test_class
+            ) VALUES (
+                ${assessmentId}, ${fields.question_type}, ${fields.question_text}, ${fields.code_snippet || null},
+                ${toJsonColumn(fields.options)}, ${fields.correct_answer ?? null}, ${fields.explanation || null},
+                ${toJsonColumn(fields.test_cases)}, ${fields.points ?? 10}, ${fields.difficulty || 'medium'},
+                ${parseInt(orderResult.rows[0].next_index)}, ${toJsonColumn(fields.scoring)},
+                ${toJsonColumn(fields.rubric)}, ${toJsonColumn(fields.tags)}, ${toJsonColumn(fields.parameters)},
+                ${fields.test_class || null}
+            ) RETURNING *
+        `;
+
+        await refreshQuestionCount(assessmentId);
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in createQuestion:', error);
+        throw error;
+    }
+}
+
+async function getQuestion(questionId) {
+    try {
+        const result = await sql`
+            SELECT * FROM questions WHERE id = ${questionId}
+        `;
+        return result.rows[0] || null;
+    } catch (error) {
+        console.error('Database error in getQuestion:', error);
+        throw error;
+    }
+}
+
+async function updateQuestion(questionId, merged) {
+    try {
+        const result = await sql`
+            UPDATE questions
+            SET question_type = ${merged.question_type},
+                question_text = ${merged.question_text},
+                code_snippet = ${merged.code_snippet || null},
+                options = ${toJsonColumn(merged.options)},
+                correct_answer = ${merged.correct_answer ?? null},
+                explanation = ${merged.explanation || null},
+                test_cases = ${toJsonColumn(merged.test_cases)},
+                points = ${merged.points},
+                difficulty = ${merged.difficulty},
+                scoring = ${toJsonColumn(merged.scoring)},
+                rubric = ${toJsonColumn(merged.rubric)},
+                tags = ${toJsonColumn(merged.tags)},
+                parameters = ${toJsonColumn(merged.parameters)},
+                test_class = ${merged.test_class || null}
+            WHERE id = ${questionId}
+            RETURNING *
+        `;
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in updateQuestion:', error);
+        throw error;
+    }
+}
+
+async function deleteQuestion(question, force) {
+    try {
+        const responses = await sql`
+            SELECT COUNT(*) as count FROM question_responses WHERE question_id = ${question.id}
+        `;
+
+        // Student answers cascade with the question - require an explicit force
+        if (parseInt(responses.rows[0].count) > 0 && !force) {
+            throw new Error('Question has responses');
+        }
+
+        await sql`DELETE FROM questions WHERE id = ${question.id}`;
+        await refreshQuestionCount(question.assessment_id);
+    } catch (error) {
+        console.error('Database error in deleteQuestion:', error);
+        throw error;
+    }
+}
+
+async function reorderQuestions(assessmentId, questionIds) {
+    try {
+        const existing = await sql`
+            SELECT id FROM questions WHERE assessment_id = ${assessmentId}
+        `;
+
+        const existingIds = existing.rows.map(row => row.id).sort((a, b) => a - b);
+        const requestedIds = [...questionIds].sort((a, b) => a - b);
+
+        if (existingIds.length !== requestedIds.length || existingIds.some((id, i) => id !== requestedIds[i])) {
+            throw new Error('Question list does not match assessment');
+        }
+
+        for (let i = 0; i < questionIds.length; i++) {
+            await sql`
+                UPDATE questions SET order_index = ${i + 1}
+                WHERE id = ${questionIds[i]} AND assessment_id = ${assessmentId}
+            `;
+        }
+    } catch (error) {
+        console.error('Database error in reorderQuestions:', error);
+        throw error;
+    }
+}
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    try {
+        const user = verifyToken(req);
+
+        // Only teachers and admins can author content
+        if (user.role !== 'teacher' && user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access denied. Teacher or admin privileges required.'
+            });
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const action = url.searchParams.get('action');
+        const id = parseInt(url.searchParams.get('id'));
+
+        switch (action) {
+            case 'assessment':
+                return await handleAssessment(req, res, id);
+            case 'publish':
+                return await handlePublish(req, res, id);
+            case 'question':
+                return await handleQuestion(req, res, id, url.searchParams);
+            case 'reorder':
+                return await handleReorder(req, res);
+            case 'import':
+                return await handleImport(req, res, url.searchParams);
+            case 'export':
+                return await handleExport(req, res, id, url.searchParams);
+            case 'regrade':
+                return await handleRegrade(req, res, user, url.searchParams);
+            case 'regrade-history':
+                return await handleRegradeHistory(req, res, id);
+            case 'preview':
+                return await handlePreview(req, res, id, url.searchParams);
+            default:
+                return res.status(400).json({ error: 'Invalid action' });
+        }
+
+    } catch (error) {
+        if (error.message === 'No token provided' || error.message === 'Invalid token') {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (error.message === 'Assessment not found' || error.message === 'Question not found' ||
+            error.message === 'Question bank not found' || error.message === 'Regrade run not found') {
+            return res.status(404).json({ error: error.message });
+        }
+
+        if (error.message === 'Assessment for this step already exists') {
+            return res.status(409).json({ error: error.message });
+        }
+
+        if (error.message === 'Assessment has attempts') {
+            return res.status(409).json({
+                error: 'Assessment has student attempts and cannot be deleted. Deactivate it instead.'
+            });
+        }
+
+        if (error.message === 'Question has responses') {
+            return res.status(409).json({
+                error: 'Question has student responses. Pass force=true to delete them as well.'
+            });
+        }
+
+        if (error.message === 'Question list does not match assessment') {
+            return res.status(400).json({
+                error: 'questionIds must list every question of the assessment exactly once'
+            });
+        }
+
+        console.error('Authoring API error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+};
+
+async function handleAssessment(req, res, id) {
+    if (req.method === 'GET') {
+        if (isNaN(id)) {
+            return res.status(400).json({ error: 'Assessment ID is required' });
+        }
+
+        const assessment = await getAssessmentWithQuestions(id);
+        if (!assessment) {
+            return res.status(404).json({ error: 'Assessment not found' });
+        }
+
+        return res.status(200).json({ success: true, assessment });
+    }
+
+    if (req.method === 'POST') {
+        const fields = pickFields(req.body || {}, ASSESSMENT_FIELDS);
+        const errors = validateAssessment(fields);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', errors });
+        }
+
+        const assessment = await createAssessment(fields);
+        return res.status(201).json({
+            success: true,
+            message: 'Assessment created successfully',
+            assessment
+        });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Assessment ID is required' });
+    }
+
+    if (req.method === 'PUT') {
+        const fields = pickFields(req.body || {}, ASSESSMENT_FIELDS);
+        const errors = validateAssessment(fields, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', errors });
+        }
+
+        const assessment = await updateAssessment(id, fields);
+        return res.status(200).json({
+            success: true,
+            message: 'Assessment updated successfully',
+            assessment
+        });
+    }
+
+    if (req.method === 'DELETE') {
+        const deleted = await deleteAssessment(id);
+        return res.status(200).json({
+            success: true,
+            message: `Assessment ${deleted.title} deleted successfully`
+        });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
+
+async function handlePublish(req, res, id) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Assessment ID is required' });
+    }
+
+    const { isActive } = req.body || {};
+    if (typeof isActive !== 'boolean') {
+        return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+
+    if (isActive) {
+        const assessment = await getAssessmentWithQuestions(id);
+        if (!assessment) {
+            return res.status(404).json({ error: 'Assessment not found' });
+        }
+        if (assessment.questions.length === 0) {
+            return res.status(400).json({ error: 'Cannot publish an assessment without questions' });
+        }
+    }
+
+    const assessment = await updateAssessment(id, { is_active: isActive });
+    return res.status(200).json({
+        success: true,
+        message: isActive ? 'Assessment published' : 'Assessment deactivated',
+        assessment
+    });
+}
+
+async function handleQuestion(req, res, id, searchParams) {
+    if (req.method === 'POST') {
+        const { assessmentId } = req.body || {};
+        const assessment = assessmentId ? await getAssessmentWithQuestions(parseInt(assessmentId)) : null;
+        if (!assessment) {
+            return res.status(404).json({ error: 'Assessment not found' });
+        }
+
+        const fields = pickFields(req.body, QUESTION_FIELDS);
+        const errors = validateQuestion(fields);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', errors });
+        }
+
+        const question = await createQuestion(assessment.id, fields);
+        return res.status(201).json({
+            success: true,
+            message: 'Question created successfully',
+            question
+        });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Question ID is required' });
+    }
+
+    const existing = await getQuestion(id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (req.method === 'PUT') {
+        const merged = {
+            ...existing,
+            options: parseJson(existing.options),
+            test_cases: parseJson(existing.test_cases),
+            scoring: parseJson(existing.scoring),
+            rubric: parseJson(existing.rubric),
+            tags: parseJson(existing.tags),
+            parameters: parseJson(existing.parameters),
+            ...pickFields(req.body || {}, QUESTION_FIELDS)
+        };
+
+        const errors = validateQuestion(merged);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', errors });
+        }
+
+        const question = await updateQuestion(id, merged);
+        return res.status(200).json({
+            success: true,
+            message: 'Question updated successfully',
+            question
+        });
+    }
+
+    if (req.method === 'DELETE') {
+        await deleteQuestion(existing, searchParams.get('force') === 'true');
+        return res.status(200).json({
+            success: true,
+            message: 'Question deleted successfully'
+        });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+}
+
+async function handleReorder(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { assessmentId, questionIds } = req.body || {};
+
+    if (!assessmentId || !Array.isArray(questionIds) || questionIds.some(qid => !Number.isInteger(qid))) {
+        return res.status(400).json({
+            error: 'assessmentId and an array of integer questionIds are required'
+        });
+    }
+
+    await reorderQuestions(parseInt(assessmentId), questionIds);
+    const assessment = await getAssessmentWithQuestions(parseInt(assessmentId));
+
+    return res.status(200).json({
+        success: true,
+        message: 'Questions reordered successfully',
+        questions: assessment.questions
+    });
+}
+
+async function handleImport(req, res, searchParams) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { step, bank } = req.body || {};
+    const dryRun = searchParams.get('dryRun') === 'true' || (req.body || {}).dryRun === true;
+
+    if (!step && !bank) {
+        return res.status(400).json({
+            error: 'Provide either step (to load data/questions/stepN-questions.json) or bank (question bank JSON)'
+        });
+    }
+
+    const report = await importQuestionBank(bank || loadQuestionBankForStep(step), { dryRun });
+
+    return res.status(report.success ? 200 : 400).json(report);
+}
+
+async function handleExport(req, res, id, searchParams) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const stepNumber = parseInt(searchParams.get('step'));
+    if (isNaN(id) && isNaN(stepNumber)) {
+        return res.status(400).json({ error: 'Assessment ID or step is required' });
+    }
+
+    const bank = await exportQuestionBank(isNaN(id) ? { stepNumber } : { id });
+    if (!bank) {
+        return res.status(404).json({ error: 'Assessment not found' });
+    }
+
+    // Same layout as the files in data/questions, so exports diff cleanly in git
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    if (searchParams.get('download') === 'true') {
+        res.setHeader('Content-Disposition', `attachment; filename="step${bank.stepNumber}-questions.json"`);
+    }
+    return res.status(200).send(JSON.stringify(bank, null, 2));
+}
+
+async function handleRegrade(req, res, user, searchParams) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { assessmentId, questionId, rerunCode, reason, runId, afterAttemptId } = req.body || {};
+    const dryRun = searchParams.get('dryRun') === 'true' || (req.body || {}).dryRun === true;
+
+    if (!assessmentId && !questionId) {
+        return res.status(400).json({ error: 'Assessment ID or question ID is required' });
+    }
+
+    const summary = await regrade({
+        assessmentId: assessmentId ? parseInt(assessmentId) : null,
+        questionId: questionId ? parseInt(questionId) : null,
+        userId: user.id,
+        // Code answers are run again by default so fixed test cases take effect
+        rerunCode: rerunCode !== false,
+        dryRun,
+        reason: reason || null,
+        // Later batches of the same regrade
+        runId: runId ? parseInt(runId) : null,
+        afterAttemptId: afterAttemptId ? parseInt(afterAttemptId) : 0
+    });
+
+    return res.status(200).json({ success: true, ...summary });
+}
+
+async function handleRegradeHistory(req, res, id) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Assessment ID is required' });
+    }
+
+    const runs = await getRegradeHistory(id);
+    return res.status(200).json({ success: true, runs });
+}
+
+async function handlePreview(req, res, id, searchParams) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Question ID is required' });
+    }
+
+    const question = await getQuestion(id);
+    if (!question) {
+        return res.status(404).json({ error: 'Question not found' });
+    }
+
+    const requestedSeed = parseInt(searchParams.get('seed'));
+    const seed = isNaN(requestedSeed) ? Math.floor(Math.random() * 2147483647) + 1 : requestedSeed;
+
+    try {
+        return res.status(200).json({
+            success: true,
+            seed,
+            values: generateValues(question, seed),
+            question: toTeacherQuestion(instantiateQuestion(question, seed))
+        });
+    } catch (error) {
+        return res.status(400).json({ error: `Parameters produce an invalid variant: ${error.message}` });
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Manual Grading API
+ * Lets teachers and admins review submitted attempts, score code answers
+ * against the question rubric with comments, and mark attempts as graded
+ *
+ * GET  /api/grading?action=queue                 - submitted attempts waiting for review (&assessmentId=1)
+ * GET  /api/grading?action=attempt&id=12         - attempt with every answer and execution result
+ * POST /api/grading?action=grade&id=12           - save grades ({ grades, feedback, finalize })
+ */
+
+const jwt = require('jsonwebtoken');
+const { getGradingQueue, getAttemptForGrading, gradeAttempt } = require('../lib/manual-grading');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Function to verify JWT token
+function verifyToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new Error('No token provided');
+    }
+
+    const token = authHeader.substring(7);
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded;
+    } catch (error) {
+        throw new Error('Invalid token');
+    }
+}
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    try {
+        const user = verifyToken(req);
+
+        if (user.role !== 'teacher' && user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access denied. Teacher or admin privileges required.'
+            });
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const action = url.searchParams.get('action');
+        const id = parseInt(url.searchParams.get('id'));
+
+        switch (action) {
+            case 'queue':
+                return await handleQueue(req, res, url.searchParams);
+            case 'attempt':
+                return await handleAttempt(req, res, id);
+            case 'grade':
+                return await handleGrade(req, res, user, id);
+            default:
+                return res.status(400).json({ error: 'Invalid action' });
+        }
+
+    } catch (error) {
+        if (error.message === 'No token provided' || error.message === 'Invalid token') {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (error.message === 'Attempt not found') {
+            return res.status(404).json({ error: error.message });
+        }
+
+        if (error.message === 'Attempt is still in progress') {
+            return res.status(409).json({ error: 'Attempt is still in progress and cannot be graded yet' });
+        }
+
+        console.error('Grading API error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+};
+
+async function handleQueue(req, res, searchParams) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const assessmentId = parseInt(searchParams.get('assessmentId'));
+    const attempts = await getGradingQueue({ assessmentId: isNaN(assessmentId) ? null : assessmentId });
+
+    return res.status(200).json({ success: true, attempts });
+}
+
+async function handleAttempt(req, res, id) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Attempt ID is required' });
+    }
+
+    const attempt = await getAttemptForGrading(id);
+    if (!attempt) {
+        return res.status(404).json({ error: 'Attempt not found' });
+    }
+
+    return res.status(200).json({ success: true, attempt });
+}
+
+async function handleGrade(req, res, user, id) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (isNaN(id)) {
+        return res.status(400).json({ error: 'Attempt ID is required' });
+    }
+
+    const { grades, feedback, finalize } = req.body || {};
+    if (grades !== undefined && !Array.isArray(grades)) {
+        return res.status(400).json({ error: 'grades must be an array' });
+    }
+
+    const result = await gradeAttempt(id, {
+        grades: grades || [],
+        feedback,
+        finalize: finalize === true,
+        userId: user.id
+    });
+
+    if (!result.success) {
+        return res.status(400).json({ error: 'Validation failed', errors: result.errors });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: finalize === true ? 'Attempt graded' : 'Grades saved',
+        attempt: {
+            id: result.attempt.id,
+            status: result.attempt.status,
+            score: result.attempt.score,
+            isPassed: result.attempt.is_passed,
+            gradedAt: result.attempt.graded_at
+        }
+    });
+}
@@ -8,6 +8,8 @@
 
 const jwt = require('jsonwebtoken');
 const { sql } = require('@vercel/postgres');
+const { checkAttemptAllowed } = require('../lib/attempt-policy');
+const { getReviewAvailability } = require('../lib/review');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
@@ -38,21 +40,55 @@ async function getUserAttempts(userId) {
                 aa.submitted_at,
                 aa.time_spent_seconds as duration,
                 aa.score,
+                aa.percentage,
                 aa.status,
+                aa.deadline_at,
                 a.step_number as assessment_step,
-                a.title as assessment_title
+                a.title as assessment_title,
+                a.duration_minutes,
+                a.review_policy
             FROM assessment_attempts aa
             JOIN assessments a ON aa.assessment_id = a.id
             WHERE aa.user_id = ${userId}
             ORDER BY aa.started_at DESC
         `;
-        return result.rows;
+
+        return result.rows.map(row => {
+            const review = getReviewAvailability(row, row);
+            return {
+                ...row,
+                review_available: review.available,
+                review_available_at: review.availableAt
+            };
+        });
     } catch (error) {
         console.error('Database error in getUserAttempts:', error);
         throw error;
     }
 }
 
+// Retake policy and counted score for every active assessment
+async function getAssessmentPolicies(attempts) {
+    try {
+        const result = await sql`
+            SELECT id, step_number, title, max_attempts, cooldown_minutes, scoring_policy
+            FROM assessments
+            WHERE is_active = true
+            ORDER BY step_number ASC
+        `;
+
+        return result.rows.map(assessment => ({
+            assessment_id: assessment.id,
+            assessment_step: assessment.step_number,
+            assessment_title: assessment.title,
+            ...checkAttemptAllowed(assessment, attempts.filter(a => a.assessment_id === assessment.id))
+        }));
+    } catch (error) {
+        console.error('Database error in getAssessmentPolicies:', error);
+        throw error;
+    }
+}
+
 // Get student progress
 async function getStudentProgress(userId = null) {
     try {
@@ -67,8 +103,8 @@ async function getStudentProgress(userId = null) {
                     u.student_id,
                     u.created_at as registered_at,
                     COUNT(DISTINCT aa.id) as total_attempts,
-                    COUNT(DISTINCT CASE WHEN aa.status = 'submitted' THEN aa.id END) as completed_attempts,
-                    COALESCE(AVG(CASE WHEN aa.status = 'submitted' THEN aa.percentage END), 0) as avg_score,
+                    COUNT(DISTINCT CASE WHEN aa.status IN ('submitted', 'graded') THEN aa.id END) as completed_attempts,
+                    COALESCE(AVG(CASE WHEN aa.status IN ('submitted', 'graded') THEN aa.percentage END), 0) as avg_score,
                     MAX(aa.submitted_at) as last_activity
                 FROM users u
                 LEFT JOIN assessment_attempts aa ON u.id = aa.user_id
@@ -160,7 +196,8 @@ module.exports = async function handler(req, res) {
         switch (type) {
             case 'attempts':
                 const attempts = await getUserAttempts(targetUserId);
-                result = { attempts };
+                const assessments = await getAssessmentPolicies(attempts);
+                result = { attempts, assessments };
                 break;
 
             case 'progress':
@@ -1,34 +1,73 @@
 /**
- * Vercel Serverless Function for Judge0 API Proxy
- * Handles both POST (submit) and GET (result) requests
+ * Vercel Serverless Function for code execution
+ * Handles both POST (submit) and GET (result) requests through the configured code runner
+ * The local and docker runners execute code on this server, so they need a signed-in user
  */
 
-const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+const { getRunner, toJudge0Response } = require('../lib/runners');
+const { isValidFixtureName } = require('../lib/runners/common');
+
+const MAX_RUNS = 50;
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Function to verify JWT token
+function verifyToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new Error('No token provided');
+    }
+
+    const token = authHeader.substring(7);
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded;
+    } catch (error) {
+        throw new Error('Invalid token');
+    }
+}
+
+/**
+ * Optional fixtures: { name: contents } written next to the program, and names of files to read back
+ * @returns {string|null} Error message
+ */
+function validateFixtures(files, outputFiles) {
+    if (files !== undefined && files !== null && (typeof files !== 'object' || Array.isArray(files) ||
+        Object.entries(files).some(([name, content]) => !isValidFixtureName(name) || typeof content !== 'string'))) {
+        return 'files must map relative file names to string contents';
+    }
+    if (outputFiles !== undefined && outputFiles !== null &&
+        (!Array.isArray(outputFiles) || outputFiles.some(name => !isValidFixtureName(name)))) {
+        return 'output_files must be an array of relative file names';
+    }
+    return null;
+}
 
 export default async function handler(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
-    const apiKey = process.env.JUDGE0_API_KEY;
+    const runner = getRunner();
 
-    if (!apiKey) {
-        return res.status(500).json({
-            error: 'Judge0 API key not configured. Please set JUDGE0_API_KEY environment variable.',
-            configured: false
-        });
+    if (runner.name !== 'judge0') {
+        try {
+            verifyToken(req);
+        } catch (error) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
     }
 
     try {
         if (req.method === 'POST') {
-            // Submit code for execution
-            const { source_code, language_id, stdin } = req.body;
+            // Submit code for execution - every runner waits for the result
+            const { source_code, stdin, files, output_files, runs } = req.body;
 
             if (!source_code) {
                 return res.status(400).json({
@@ -36,96 +75,40 @@ export default async function handler(req, res) {
                 });
             }
 
-
-            const submissionBody = {
-                source_code: source_code, // Send plain text instead of Base64
-                language_id: language_id || 62, // Java
-                stdin: stdin || '', // Send plain text stdin too
-                cpu_time_limit: 10,
-                memory_limit: 128000,
-                wall_time_limit: 15
-            };
-
-
-            // First, let's check available languages
-            try {
-                const langResponse = await fetch('https://ce.judge0.com/languages');
-                if (langResponse.ok) {
-                    const languages = await langResponse.json();
-                }
-            } catch (langError) {
-            }
-
-            // If language_id is not Java (62), respect the original language
-            if (submissionBody.language_id !== 62 && submissionBody.language_id) {
-
-                try {
-                    const directResponse = await fetch('https://ce.judge0.com/submissions', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify(submissionBody)
+            // Batch: one program run once per entry of runs, compiled only once
+            if (runs !== undefined) {
+                if (!Array.isArray(runs) || runs.length === 0 || runs.length > MAX_RUNS ||
+                    runs.some(run => !run || typeof run !== 'object')) {
+                    return res.status(400).json({
+                        error: `runs must be an array of 1 to ${MAX_RUNS} objects`
                     });
-
-                    if (directResponse.ok) {
-                        const directData = await directResponse.json();
-                        return res.json(directData);
-                    } else {
-                    }
-                } catch (directError) {
                 }
-            }
-
-            // Try different Java language IDs only for Java code
-            const javaLanguageIds = [62, 91, 10];
-
-            for (const langId of javaLanguageIds) {
-                const testBody = { ...submissionBody, language_id: langId };
-
-                try {
-                    const directResponse = await fetch('https://ce.judge0.com/submissions', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify(testBody)
-                    });
-
-                    if (directResponse.ok) {
-                        const directData = await directResponse.json();
-                        return res.json(directData);
-                    } else {
-                    }
-                } catch (directError) {
+                const runError = runs.map(run => validateFixtures(run.files, run.output_files)).find(Boolean);
+                if (runError) {
+                    return res.status(400).json({ error: runError });
                 }
-            }
 
-            // Fallback to RapidAPI
-            const response = await fetch('https://judge0-ce.p.rapidapi.com/submissions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-RapidAPI-Key': apiKey,
-                    'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-                },
-                body: JSON.stringify(submissionBody)
-            });
+                const results = await runner.executeBatch(source_code, runs.map(run => ({
+                    stdin: run.stdin || '',
+                    files: run.files || null,
+                    outputFiles: run.output_files || []
+                })));
+                return res.json({ runs: results.map(toJudge0Response), runner: runner.name });
+            }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Judge0 submission error:', response.status, errorText);
-                return res.status(response.status).json({
-                    error: 'Judge0 API error',
-                    details: errorText
-                });
+            const fixtureError = validateFixtures(files, output_files);
+            if (fixtureError) {
+                return res.status(400).json({ error: fixtureError });
             }
 
-            const data = await response.json();
-            return res.json(data);
+            const result = await runner.execute(source_code, stdin || '', {
+                files: files || null,
+                outputFiles: output_files || []
+            });
+            return res.json({ ...toJudge0Response(result), runner: runner.name });
 
         } else if (req.method === 'GET') {
-            // Get execution result
+            // Get execution result of an earlier Judge0 submission
             const { token } = req.query;
 
             if (!token) {
@@ -134,25 +117,14 @@ export default async function handler(req, res) {
                 });
             }
 
-
-            const response = await fetch(`https://judge0-ce.p.rapidapi.com/submissions/${token}`, {
-                headers: {
-                    'X-RapidAPI-Key': apiKey,
-                    'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-                }
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Judge0 result error:', response.status, errorText);
-                return res.status(response.status).json({
-                    error: 'Judge0 API error',
-                    details: errorText
+            if (typeof runner.getSubmission !== 'function') {
+                return res.status(400).json({
+                    error: `The ${runner.name} runner returns results directly and does not issue tokens`
                 });
             }
 
-            const data = await response.json();
-            return res.json(data);
+            const result = await runner.getSubmission(token);
+            return res.json({ ...toJudge0Response(result), runner: runner.name });
         }
 
         return res.status(405).json({
@@ -160,10 +132,11 @@ export default async function handler(req, res) {
         });
 
     } catch (error) {
-        console.error('Serverless function error:', error);
-        return res.status(500).json({
-            error: 'Internal server error',
+        console.error('Code runner error:', error);
+        return res.status(502).json({
+            error: 'Code runner unavailable',
+            runner: runner.name,
             message: error.message
         });
     }
-}
\ No newline at end of file
+}
@@ -28,15 +28,6 @@ function verifyToken(req) {
 // Database functions
 async function getAllUsers(roleFilter = null) {
     try {
-        // First, try to add missing columns if they don't exist (safe operation)
-        try {
-            await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login TIMESTAMP`;
-            await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true`;
-        } catch (altError) {
-            // Ignore errors - columns might already exist
-            console.log('Column addition info:', altError.message);
-        }
-
         let query;
         if (roleFilter) {
             query = sql`
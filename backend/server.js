@@ -1,13 +1,14 @@
 /**
  * Simple Node.js backend for Java Assessment System
- * Handles Judge0 API calls securely with environment variables
+ * Runs submitted code through the configured code runner (Judge0 or local sandbox)
  */
 
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 require('dotenv').config();
 
+const { getRunner, toJudge0Response } = require('../lib/runners');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -18,61 +19,49 @@ app.use(express.json());
 // Serve static files (your assessment system)
 app.use(express.static('../'));
 
-// Judge0 API proxy endpoint
-app.post('/api/judge0/submissions', async (req, res) => {
+// Same contract as the serverless /api/submissions function
+app.post('/api/submissions', async (req, res) => {
+    const runner = getRunner();
+
     try {
-        const { source_code, language_id, stdin } = req.body;
-
-        const response = await fetch('https://judge0-ce.p.rapidapi.com/submissions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-RapidAPI-Key': process.env.JUDGE0_API_KEY,
-                'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-            },
-            body: JSON.stringify({
-                source_code: Buffer.from(source_code).toString('base64'),
-                language_id,
-                stdin: Buffer.from(stdin || '').toString('base64'),
-                cpu_time_limit: 10,
-                memory_limit: 128000,
-                wall_time_limit: 15
-            })
-        });
-
-        const data = await response.json();
-        res.json(data);
+        const { source_code, stdin } = req.body;
+
+        if (!source_code) {
+            return res.status(400).json({ error: 'source_code is required' });
+        }
+
+        const result = await runner.execute(source_code, stdin || '');
+        res.json({ ...toJudge0Response(result), runner: runner.name });
 
     } catch (error) {
-        console.error('Judge0 submission error:', error);
-        res.status(500).json({ error: 'Failed to submit code' });
+        console.error('Code runner error:', error);
+        res.status(502).json({ error: 'Code runner unavailable', runner: runner.name, message: error.message });
     }
 });
 
-// Judge0 get result endpoint
-app.get('/api/judge0/submissions/:token', async (req, res) => {
+app.get('/api/submissions', async (req, res) => {
+    const runner = getRunner();
+
     try {
-        const { token } = req.params;
+        const { token } = req.query;
 
-        const response = await fetch(`https://judge0-ce.p.rapidapi.com/submissions/${token}`, {
-            headers: {
-                'X-RapidAPI-Key': process.env.JUDGE0_API_KEY,
-                'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-            }
-        });
+        if (!token || typeof runner.getSubmission !== 'function') {
+            return res.status(400).json({ error: 'Token lookups are only supported by the judge0 runner' });
+        }
 
-        const data = await response.json();
-        res.json(data);
+        const result = await runner.getSubmission(token);
+        res.json({ ...toJudge0Response(result), runner: runner.name });
 
     } catch (error) {
-        console.error('Judge0 result error:', error);
-        res.status(500).json({ error: 'Failed to get result' });
+        console.error('Code runner result error:', error);
+        res.status(502).json({ error: 'Failed to get result' });
     }
 });
 
 app.listen(PORT, () => {
     console.log(`Assessment System Backend running on port ${PORT}`);
+    console.log(`Code runner: ${getRunner().name}`);
     console.log(`Frontend available at: http://localhost:${PORT}`);
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
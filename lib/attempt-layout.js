@@ -0,0 +1,224 @@
+/**
+ * Question set, order and option permutation of an attempt
+ * An assessment can draw each attempt's questions from a larger bank with
+ * pool rules (assessments.pool_rules), and shuffle the question order and
+ * choice options (shuffle_questions / shuffle_options):
+ *
+ *   pool_rules: [{ "count": 3, "difficulty": "easy" }, { "count": 2, "difficulty": "hard", "tag": "file-io" }]
+ *
+ * Every new attempt gets a random seed, which also picks the variants of
+ * parameterized questions (see question-variants). The attempt is drawn and
+ * shuffled once with it and the result is stored on the attempt (shuffle_seed,
+ * question_ids, question_order, option_order):
+ *
+ *   question_ids:   [12, 13, 14]            // drawn questions, null when the assessment has no pool rules
+ *   question_order: [14, 12, 13]            // question ids in display order
+ *   option_order:   { "12": [2, 0, 3, 1] }  // display position -> original option index
+ *
+ * Resumes show the same questions in the same layout, and choice answers
+ * submitted by position are mapped back to the original option before grading.
+ */
+
+const crypto = require('crypto');
+const { parseJson } = require('./grading');
+
+function createSeed() {
+    return crypto.randomInt(1, 2147483647);
+}
+
+/**
+ * Deterministic generator (mulberry32) so a seed always gives the same layout
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function getTags(question) {
+    const tags = parseJson(question && question.tags);
+    return Array.isArray(tags) ? tags : [];
+}
+
+/**
+ * Pool rules of an assessment, or null when every question is used
+ */
+function getPoolRules(assessment) {
+    const rules = parseJson(assessment && assessment.pool_rules);
+    return Array.isArray(rules) && rules.length > 0 ? rules : null;
+}
+
+function matchesPoolRule(question, rule) {
+    if (rule.difficulty && question.difficulty !== rule.difficulty) {
+        return false;
+    }
+    return !rule.tag || getTags(question).includes(rule.tag);
+}
+
+/**
+ * Draw the questions of a new attempt
+ * Rules are drawn in order and a question is used at most once. Questions seen in
+ * earlier attempts are only drawn when a rule runs out of new ones, and a rule
+ * asking for more questions than the bank has gets all that match.
+ * @param {Object[]} questions - Every question of the assessment
+ * @param {Object[]} rules - From getPoolRules
+ * @param {Function} random - From seededRandom
+ * @param {number[]} seenQuestionIds - Questions from the student's earlier attempts
+ * @returns {number[]} Drawn question ids in authored order
+ */
+function drawQuestions(questions, rules, random, seenQuestionIds = []) {
+    const seen = new Set(seenQuestionIds);
+    const drawn = new Set();
+
+    rules.forEach(rule => {
+        const candidates = questions.filter(q => !drawn.has(q.id) && matchesPoolRule(q, rule));
+        const fresh = shuffle(candidates.filter(q => !seen.has(q.id)), random);
+        const repeated = shuffle(candidates.filter(q => seen.has(q.id)), random);
+
+        [...fresh, ...repeated]
+            .slice(0, parseInt(rule.count) || 0)
+            .forEach(q => drawn.add(q.id));
+    });
+
+    return questions.filter(q => drawn.has(q.id)).map(q => q.id);
+}
+
+function getChoiceOptions(question) {
+    const options = parseJson(question.options);
+    return question.question_type !== 'true_false' && Array.isArray(options) ? options : null;
+}
+
+/**
+ * Draw and shuffle a new attempt according to the assessment's settings
+ * @param {Object} assessment - Assessment row (pool_rules, shuffle_questions, shuffle_options)
+ * @param {Object[]} questions - Questions in their authored order
+ * @param {Object} options
+ * @param {number} options.seed - Defaults to a random seed
+ * @param {number[]} options.seenQuestionIds - Questions from the student's earlier attempts
+ * @returns {Object} { seed, questionIds, questionOrder, optionOrder } - null parts are not used
+ */
+function buildAttemptLayout(assessment, questions, { seed = createSeed(), seenQuestionIds = [] } = {}) {
+    const rules = getPoolRules(assessment);
+    const random = seededRandom(seed);
+
+    const questionIds = rules ? drawQuestions(questions, rules, random, seenQuestionIds) : null;
+    const attemptQuestions = questionIds ? questions.filter(q => questionIds.includes(q.id)) : questions;
+
+    const questionOrder = assessment.shuffle_questions
+        ? shuffle(attemptQuestions.map(q => q.id), random)
+        : null;
+
+    let optionOrder = null;
+    if (assessment.shuffle_options) {
+        optionOrder = {};
+        attemptQuestions.forEach(question => {
+            const options = getChoiceOptions(question);
+            if (options && options.length > 1) {
+                optionOrder[question.id] = shuffle(options.map((_, index) => index), random);
+            }
+        });
+    }
+
+    return { seed, questionIds, questionOrder, optionOrder };
+}
+
+/**
+ * Layout stored on an attempt row
+ */
+function getAttemptLayout(attempt) {
+    const questionIds = parseJson(attempt && attempt.question_ids);
+    const questionOrder = parseJson(attempt && attempt.question_order);
+    const optionOrder = parseJson(attempt && attempt.option_order);
+
+    return {
+        seed: attempt && attempt.shuffle_seed ? attempt.shuffle_seed : null,
+        questionIds: Array.isArray(questionIds) ? questionIds : null,
+        questionOrder: Array.isArray(questionOrder) ? questionOrder : null,
+        optionOrder: optionOrder && typeof optionOrder === 'object' ? optionOrder : null
+    };
+}
+
+// A stored permutation only applies while the question still has the same number of options
+function getPermutation(layout, questionId, optionCount) {
+    const permutation = layout.optionOrder && layout.optionOrder[questionId];
+    return Array.isArray(permutation) && permutation.length === optionCount ? permutation : null;
+}
+
+/**
+ * Whether a question belongs to the attempt's drawn set
+ */
+function isAttemptQuestion(layout, questionId) {
+    return !layout.questionIds || layout.questionIds.includes(parseInt(questionId));
+}
+
+/**
+ * Keep the attempt's questions, in its order, with their options permuted
+ * Without a pool, questions added after the attempt started come last, in authored order.
+ */
+function applyAttemptLayout(questions, layout) {
+    let ordered = questions.filter(question => isAttemptQuestion(layout, question.id));
+
+    if (layout.questionOrder) {
+        const stored = new Map(layout.questionOrder.map((id, index) => [id, index]));
+        const position = (question, index) => (
+            stored.has(question.id) ? stored.get(question.id) : layout.questionOrder.length + index
+        );
+
+        ordered = ordered
+            .map((question, index) => ({ question, position: position(question, index) }))
+            .sort((a, b) => a.position - b.position)
+            .map(entry => entry.question);
+    }
+
+    return ordered.map(question => {
+        const permutation = Array.isArray(question.options)
+            ? getPermutation(layout, question.id, question.options.length)
+            : null;
+
+        return permutation
+            ? { ...question, options: permutation.map(index => question.options[index]) }
+            : question;
+    });
+}
+
+/**
+ * Original option text for the position the student picked on screen
+ * @returns {string|null} null when the question has no options or the position is out of range
+ */
+function resolveOptionAnswer(question, layout, optionIndex) {
+    const options = getChoiceOptions(question);
+    const position = parseInt(optionIndex);
+    if (!options || isNaN(position) || position < 0 || position >= options.length) {
+        return null;
+    }
+
+    const permutation = getPermutation(layout, question.id, options.length);
+    const option = options[permutation ? permutation[position] : position];
+    return typeof option === 'string' ? option : option && option.text;
+}
+
+module.exports = {
+    seededRandom,
+    getTags,
+    getPoolRules,
+    buildAttemptLayout,
+    getAttemptLayout,
+    isAttemptQuestion,
+    applyAttemptLayout,
+    resolveOptionAnswer
+};
@@ -0,0 +1,118 @@
+/**
+ * Retake policy for assessments
+ * Decides whether a student may start another attempt and which attempt's
+ * score counts, based on the assessment's max_attempts, cooldown_minutes and
+ * scoring_policy columns. review_policy (see lib/review.js) decides when the
+ * answer review unlocks.
+ */
+
+const SCORING_POLICIES = ['best', 'last', 'average'];
+const REVIEW_POLICIES = ['immediately', 'after_deadline', 'after_grading', 'never'];
+
+function isFinished(attempt) {
+    return attempt.status === 'submitted' || attempt.status === 'graded';
+}
+
+function attemptScore(attempt) {
+    const score = parseFloat(attempt.percentage ?? attempt.score);
+    return isNaN(score) ? 0 : score;
+}
+
+function getAttemptPolicy(assessment) {
+    const maxAttempts = parseInt(assessment.max_attempts);
+    const cooldownMinutes = parseInt(assessment.cooldown_minutes);
+
+    return {
+        maxAttempts: isNaN(maxAttempts) ? null : maxAttempts,
+        cooldownMinutes: isNaN(cooldownMinutes) ? 0 : cooldownMinutes,
+        scoringPolicy: SCORING_POLICIES.includes(assessment.scoring_policy) ? assessment.scoring_policy : 'best'
+    };
+}
+
+/**
+ * Score that counts for the student under the assessment's scoring policy
+ * @param {Object} assessment - Assessment row
+ * @param {Object[]} attempts - The student's attempts at this assessment
+ * @returns {number|null} Counted percentage, or null before the first finished attempt
+ */
+function getCountedScore(assessment, attempts) {
+    const { scoringPolicy } = getAttemptPolicy(assessment);
+    const finished = attempts.filter(isFinished);
+
+    if (finished.length === 0) {
+        return null;
+    }
+
+    const scores = finished.map(attemptScore);
+
+    switch (scoringPolicy) {
+        case 'last': {
+            const last = [...finished].sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at)).pop();
+            return attemptScore(last);
+        }
+        case 'average':
+            return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100;
+        default:
+            return Math.max(...scores);
+    }
+}
+
+/**
+ * Check whether a new attempt may be started
+ * An attempt that is still in progress can always be resumed.
+ * @param {Object} assessment - Assessment row
+ * @param {Object[]} attempts - The student's attempts at this assessment
+ * @param {Date} now - Current time
+ * @returns {Object} Policy summary with canStart, and code/nextAttemptAt when blocked
+ */
+function checkAttemptAllowed(assessment, attempts, now = new Date()) {
+    const policy = getAttemptPolicy(assessment);
+    const inProgress = attempts.find(a => a.status === 'in_progress');
+    const attemptsUsed = attempts.length;
+
+    const summary = {
+        ...policy,
+        attemptsUsed,
+        attemptsRemaining: policy.maxAttempts === null ? null : Math.max(0, policy.maxAttempts - attemptsUsed),
+        countedScore: getCountedScore(assessment, attempts),
+        canStart: true,
+        canResume: Boolean(inProgress),
+        code: null,
+        nextAttemptAt: null
+    };
+
+    if (inProgress) {
+        return summary;
+    }
+
+    if (policy.maxAttempts !== null && attemptsUsed >= policy.maxAttempts) {
+        return { ...summary, canStart: false, code: 'MAX_ATTEMPTS_REACHED' };
+    }
+
+    if (policy.cooldownMinutes > 0) {
+        const lastFinishedAt = attempts
+            .filter(isFinished)
+            .map(a => new Date(a.submitted_at || a.started_at).getTime())
+            .reduce((latest, time) => Math.max(latest, time), 0);
+
+        const nextAttemptAt = lastFinishedAt + policy.cooldownMinutes * 60 * 1000;
+        if (lastFinishedAt > 0 && nextAttemptAt > now.getTime()) {
+            return {
+                ...summary,
+                canStart: false,
+                code: 'COOLDOWN_ACTIVE',
+                nextAttemptAt: new Date(nextAttemptAt).toISOString()
+            };
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    SCORING_POLICIES,
+    REVIEW_POLICIES,
+    getAttemptPolicy,
+    getCountedScore,
+    checkAttemptAllowed
+};
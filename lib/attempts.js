@@ -0,0 +1,455 @@
+/**
+ * Assessment attempt lifecycle
+ * Scoring and finalizing attempts, plus the server-side time limit: every
+ * attempt gets a deadline when it starts, answers are refused once the
+ * deadline and grace window have passed, and expired attempts are submitted
+ * automatically with whatever answers were saved.
+ */
+
+const { sql } = require('@vercel/postgres');
+const { gradeAnswer, rescoreResponse, getTestCases, getTestClass, parseJson } = require('./grading');
+const { getAttemptVariant } = require('./question-variants');
+
+// Allowance for network latency on the last answer before the deadline
+const GRACE_SECONDS = parseInt(process.env.ATTEMPT_GRACE_SECONDS || '30');
+
+/**
+ * Deadline for an attempt, or null when the assessment has no time limit.
+ * Attempts started before deadlines were stored fall back to started_at + duration.
+ */
+function getDeadline(attempt, durationMinutes = attempt.duration_minutes) {
+    if (attempt.deadline_at) {
+        return new Date(attempt.deadline_at);
+    }
+
+    const minutes = parseInt(durationMinutes);
+    if (!attempt.started_at || isNaN(minutes) || minutes <= 0) {
+        return null;
+    }
+    return new Date(new Date(attempt.started_at).getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Whether the attempt is past its deadline plus the grace window
+ */
+function isExpired(attempt, now = new Date(), durationMinutes) {
+    const deadline = getDeadline(attempt, durationMinutes);
+    return Boolean(deadline) && now.getTime() > deadline.getTime() + GRACE_SECONDS * 1000;
+}
+
+async function calculateFinalScore(attemptId) {
+    try {
+        const responses = await sql`
+            SELECT qr.*, q.points as max_points
+            FROM question_responses qr
+            JOIN questions q ON qr.question_id = q.id
+            WHERE qr.attempt_id = ${attemptId}
+        `;
+
+        // Unanswered questions still count towards the total - only those drawn for a pooled attempt
+        const totals = await sql`
+            SELECT COALESCE(SUM(q.points), 0) as total_points
+            FROM questions q
+            JOIN assessment_attempts aa ON q.assessment_id = aa.assessment_id
+            WHERE aa.id = ${attemptId}
+            AND (aa.question_ids IS NULL OR aa.question_ids @> to_jsonb(q.id))
+        `;
+
+        // Negative marking can push the sum below zero; an attempt never scores less than nothing
+        const totalPointsEarned = Math.max(0, responses.rows.reduce((sum, r) => sum + (parseFloat(r.points_earned) || 0), 0));
+        const totalMaxPoints = parseFloat(totals.rows[0].total_points) || 0;
+        const totalTimeSpent = responses.rows.reduce((sum, r) => sum + (r.time_spent_seconds || 0), 0);
+
+        const score = totalMaxPoints > 0 ? Math.round((totalPointsEarned / totalMaxPoints) * 100) : 0;
+
+        return {
+            totalPointsEarned,
+            totalMaxPoints,
+            score,
+            totalTimeSpent,
+            questionsAnswered: responses.rows.length
+        };
+    } catch (error) {
+        console.error('Database error in calculateFinalScore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Score an in-progress attempt and mark it submitted
+ * @param {number} attemptId - Attempt to finalize
+ * @param {Object} options
+ * @param {number} options.timeSpent - Seconds reported by the client
+ * @param {boolean} options.autoSubmitted - Finalized by the server after the deadline
+ * @returns {Promise<{attempt: Object, finalScore: Object}|null>} null if the attempt was no longer in progress
+ */
+async function finalizeAttempt(attemptId, { timeSpent = null, autoSubmitted = false } = {}) {
+    try {
+        const attemptResult = await sql`
+            SELECT aa.*, a.passing_score, a.duration_minutes
+            FROM assessment_attempts aa
+            JOIN assessments a ON aa.assessment_id = a.id
+            WHERE aa.id = ${attemptId}
+        `;
+        const attempt = attemptResult.rows[0];
+        if (!attempt || attempt.status !== 'in_progress') {
+            return null;
+        }
+
+        await gradePendingResponses(attempt);
+        const finalScore = await calculateFinalScore(attemptId);
+
+        const isPassed = finalScore.score >= parseFloat(attempt.passing_score);
+        const deadline = getDeadline(attempt);
+
+        // Auto-submitted attempts are stamped with the deadline, not the time the sweep ran
+        const submittedAt = autoSubmitted && deadline ? deadline.toISOString() : new Date().toISOString();
+        const elapsedSeconds = Math.round((new Date(submittedAt) - new Date(attempt.started_at)) / 1000);
+
+        // The status condition makes concurrent finalizers (sweep vs. student) safe
+        const result = await sql`
+            UPDATE assessment_attempts
+            SET submitted_at = ${submittedAt},
+                time_spent_seconds = ${timeSpent || finalScore.totalTimeSpent || elapsedSeconds},
+                score = ${finalScore.score},
+                total_points = ${finalScore.totalPointsEarned},
+                percentage = ${finalScore.score},
+                status = 'submitted',
+                is_passed = ${isPassed},
+                auto_submitted = ${autoSubmitted}
+            WHERE id = ${attemptId} AND status = 'in_progress'
+            RETURNING *
+        `;
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        return { attempt: { ...result.rows[0], passing_score: attempt.passing_score }, finalScore };
+    } catch (error) {
+        console.error('Database error in finalizeAttempt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Grade the answers that were only saved (auto-save stores the code without
+ * running it), so each one goes through the runner once, when the attempt is submitted
+ * @param {Object} attempt - Attempt row (id, shuffle_seed)
+ */
+async function gradePendingResponses(attempt) {
+    const pending = await sql`
+        SELECT qr.id as response_id, qr.user_answer, q.*, q.id as question_id
+        FROM question_responses qr
+        JOIN questions q ON qr.question_id = q.id
+        WHERE qr.attempt_id = ${attempt.id} AND qr.is_correct IS NULL
+    `;
+
+    for (const row of pending.rows) {
+        // Parameterized questions are graded against the attempt's variant
+        const grade = await gradeAnswer(getAttemptVariant(row, attempt), row.user_answer);
+        await sql`
+            UPDATE question_responses
+            SET is_correct = ${grade.isCorrect},
+                points_earned = ${grade.pointsEarned},
+                code_execution_result = ${grade.executionResult ? JSON.stringify(grade.executionResult) : null}
+            WHERE id = ${row.response_id} AND is_correct IS NULL
+        `;
+    }
+}
+
+/**
+ * Submit every in-progress attempt whose deadline and grace window have passed
+ * @param {Object} filter - Optional { userId, assessmentId } to limit the sweep
+ * @returns {Promise<Object[]>} Finalized attempts
+ */
+async function finalizeExpiredAttempts({ userId = null, assessmentId = null } = {}) {
+    try {
+        const candidates = await sql`
+            SELECT aa.id, aa.started_at, aa.deadline_at, a.duration_minutes
+            FROM assessment_attempts aa
+            JOIN assessments a ON aa.assessment_id = a.id
+            WHERE aa.status = 'in_progress'
+            AND (${userId}::int IS NULL OR aa.user_id = ${userId})
+            AND (${assessmentId}::int IS NULL OR aa.assessment_id = ${assessmentId})
+        `;
+
+        const now = new Date();
+        const finalized = [];
+
+        for (const attempt of candidates.rows) {
+            if (!isExpired(attempt, now)) {
+                continue;
+            }
+
+            const result = await finalizeAttempt(attempt.id, { autoSubmitted: true });
+            if (result) {
+                finalized.push({ id: attempt.id, score: result.finalScore.score, submittedAt: result.attempt.submitted_at });
+            }
+        }
+
+        return finalized;
+    } catch (error) {
+        console.error('Database error in finalizeExpiredAttempts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Saved work of an in-progress attempt, used to restore it after a closed tab or crash
+ * @param {Object} attempt - Attempt row
+ * @returns {Promise<{answers: Object, timeSpent: Object, runCounts: Object, lastQuestionIndex: number}>} Keyed by question id
+ */
+async function getResumeState(attempt) {
+    try {
+        const responses = await sql`
+            SELECT question_id, user_answer, time_spent_seconds
+            FROM question_responses
+            WHERE attempt_id = ${attempt.id}
+        `;
+
+        const answers = {};
+        const timeSpent = {};
+        responses.rows.forEach(r => {
+            answers[r.question_id] = r.user_answer;
+            timeSpent[r.question_id] = r.time_spent_seconds || 0;
+        });
+
+        return {
+            answers,
+            timeSpent,
+            runCounts: parseJson(attempt.run_counts) || {},
+            lastQuestionIndex: parseInt(attempt.last_question_index) || 0
+        };
+    } catch (error) {
+        console.error('Database error in getResumeState:', error);
+        throw error;
+    }
+}
+
+/**
+ * Questions a student has been given in earlier attempts at an assessment,
+ * so a pooled retake can prefer questions they have not seen
+ */
+async function getSeenQuestionIds(userId, assessmentId) {
+    try {
+        const result = await sql`
+            SELECT jsonb_array_elements_text(question_ids)::int as question_id
+            FROM assessment_attempts
+            WHERE user_id = ${userId} AND assessment_id = ${assessmentId} AND question_ids IS NOT NULL
+            UNION
+            SELECT qr.question_id
+            FROM question_responses qr
+            JOIN assessment_attempts aa ON qr.attempt_id = aa.id
+            WHERE aa.user_id = ${userId} AND aa.assessment_id = ${assessmentId}
+        `;
+        return result.rows.map(row => row.question_id);
+    } catch (error) {
+        console.error('Database error in getSeenQuestionIds:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remember the question the student is viewing
+ */
+async function saveQuestionPosition(attemptId, questionIndex) {
+    try {
+        await sql`
+            UPDATE assessment_attempts
+            SET last_question_index = ${questionIndex}
+            WHERE id = ${attemptId} AND status = 'in_progress'
+        `;
+    } catch (error) {
+        console.error('Database error in saveQuestionPosition:', error);
+        throw error;
+    }
+}
+
+/**
+ * Count one "Run" of a question's code in an attempt
+ * @returns {Promise<number>} Runs of that question so far
+ */
+async function recordCodeRun(attemptId, questionId) {
+    const key = String(questionId);
+    try {
+        const result = await sql`
+            UPDATE assessment_attempts
+            SET run_counts = jsonb_set(
+                COALESCE(run_counts, '{}'::jsonb),
+                ARRAY[${key}],
+                to_jsonb(COALESCE((run_counts->>${key})::int, 0) + 1)
+            )
+            WHERE id = ${attemptId}
+            RETURNING (run_counts->>${key})::int as run_count
+        `;
+        return result.rows[0] ? result.rows[0].run_count : 0;
+    } catch (error) {
+        console.error('Database error in recordCodeRun:', error);
+        throw error;
+    }
+}
+
+function hasTestCases(question) {
+    return (question.question_type === 'coding_challenge' || question.question_type === 'code_completion') &&
+        (getTestCases(question).length > 0 || getTestClass(question) !== null);
+}
+
+/**
+ * Re-apply the current answer keys and scoring rules to an attempt's stored
+ * responses. Unless rerunCode is set, code is not run again - stored test
+ * results are reweighted. Submitted attempts also get their score and
+ * pass/fail updated.
+ * @param {number} attemptId - Attempt to rescore
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report the changes without saving them
+ * @param {number} options.questionId - Only rescore the responses to this question
+ * @param {boolean} options.rerunCode - Run code answers against the current test cases again
+ * @returns {Promise<Object|null>} { attemptId, status, changes, before, after }, null if the attempt does not exist
+ */
+async function rescoreAttempt(attemptId, { dryRun = false, questionId = null, rerunCode = false } = {}) {
+    try {
+        const attemptResult = await sql`
+            SELECT aa.id, aa.status, aa.score, aa.is_passed, aa.shuffle_seed, a.passing_score
+            FROM assessment_attempts aa
+            JOIN assessments a ON aa.assessment_id = a.id
+            WHERE aa.id = ${attemptId}
+        `;
+        const attempt = attemptResult.rows[0];
+        if (!attempt) {
+            return null;
+        }
+
+        const responses = await sql`
+            SELECT qr.id as response_id, qr.question_id, qr.user_answer, qr.is_correct, qr.points_earned,
+                   qr.code_execution_result, qr.graded_at, q.question_type, q.correct_answer, q.points, q.options,
+                   q.test_cases, q.scoring, q.parameters, q.test_class
+            FROM question_responses qr
+            JOIN questions q ON qr.question_id = q.id
+            WHERE qr.attempt_id = ${attemptId}
+            AND (${questionId}::int IS NULL OR qr.question_id = ${questionId})
+        `;
+
+        const changes = [];
+        for (const storedRow of responses.rows) {
+            // Points a teacher gave by hand are not overwritten
+            if (storedRow.graded_at) {
+                continue;
+            }
+
+            // Parameterized questions are rescored against the attempt's variant
+            const row = getAttemptVariant(storedRow, attempt);
+
+            const before = { isCorrect: row.is_correct === true, pointsEarned: parseFloat(row.points_earned) || 0 };
+            let after;
+
+            if (rerunCode && hasTestCases(row)) {
+                const graded = await gradeAnswer(row, row.user_answer);
+                after = { isCorrect: graded.isCorrect, pointsEarned: graded.pointsEarned };
+
+                if (!dryRun) {
+                    await sql`
+                        UPDATE question_responses
+                        SET code_execution_result = ${graded.executionResult ? JSON.stringify(graded.executionResult) : null}
+                        WHERE id = ${row.response_id}
+                    `;
+                }
+            } else {
+                after = rescoreResponse(row, row);
+            }
+
+            if (before.isCorrect === after.isCorrect && before.pointsEarned === after.pointsEarned) {
+                continue;
+            }
+
+            changes.push({ questionId: row.question_id, responseId: row.response_id, before, after });
+
+            if (!dryRun) {
+                await sql`
+                    UPDATE question_responses
+                    SET is_correct = ${after.isCorrect}, points_earned = ${after.pointsEarned}
+                    WHERE id = ${row.response_id}
+                `;
+            }
+        }
+
+        const before = {
+            score: attempt.score === null ? null : parseFloat(attempt.score),
+            isPassed: attempt.is_passed
+        };
+
+        // In-progress attempts get their score when they are submitted
+        if (attempt.status === 'in_progress') {
+            return { attemptId: attempt.id, status: attempt.status, changes, before, after: before };
+        }
+
+        const finalScore = await calculateFinalScore(attemptId);
+        if (dryRun) {
+            // The responses were not updated, so apply the point changes to the stored total
+            const delta = changes.reduce((sum, c) => sum + c.after.pointsEarned - c.before.pointsEarned, 0);
+            finalScore.totalPointsEarned = Math.max(0, finalScore.totalPointsEarned + delta);
+            finalScore.score = finalScore.totalMaxPoints > 0
+                ? Math.round((finalScore.totalPointsEarned / finalScore.totalMaxPoints) * 100)
+                : 0;
+        }
+
+        const after = {
+            score: finalScore.score,
+            isPassed: finalScore.score >= parseFloat(attempt.passing_score)
+        };
+
+        if (!dryRun) {
+            await sql`
+                UPDATE assessment_attempts
+                SET score = ${after.score},
+                    total_points = ${finalScore.totalPointsEarned},
+                    percentage = ${after.score},
+                    is_passed = ${after.isPassed}
+                WHERE id = ${attemptId}
+            `;
+        }
+
+        return { attemptId: attempt.id, status: attempt.status, changes, before, after };
+    } catch (error) {
+        console.error('Database error in rescoreAttempt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Rescore every attempt at an assessment
+ * @returns {Promise<Object[]>} One rescoreAttempt report per attempt
+ */
+async function rescoreAssessment(assessmentId, { dryRun = false } = {}) {
+    try {
+        const attempts = await sql`
+            SELECT id FROM assessment_attempts
+            WHERE assessment_id = ${assessmentId}
+            ORDER BY id ASC
+        `;
+
+        const reports = [];
+        for (const attempt of attempts.rows) {
+            reports.push(await rescoreAttempt(attempt.id, { dryRun }));
+        }
+        return reports;
+    } catch (error) {
+        console.error('Database error in rescoreAssessment:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    GRACE_SECONDS,
+    getDeadline,
+    isExpired,
+    calculateFinalScore,
+    finalizeAttempt,
+    finalizeExpiredAttempts,
+    getResumeState,
+    getSeenQuestionIds,
+    saveQuestionPosition,
+    recordCodeRun,
+    rescoreAttempt,
+    rescoreAssessment
+};
@@ -0,0 +1,528 @@
+/**
+ * Server-side answer grading
+ * Scores question responses without trusting anything computed in the browser
+ */
+
+const { getRunner, STATUS } = require('./runners');
+const { CHOICE_TYPES, parseJson, getScoringRules, scoreTestResults, matchesCompletion, scoreChoice } = require('./scoring');
+const { SnippetSourceMap } = require('../src/assets/js/source-map');
+const { JavaStaticAnalyzer } = require('../src/assets/js/java-analyzer');
+const { OutputComparator } = require('../src/assets/js/output-comparator');
+const { getMainClassName } = require('./runners/common');
+const { buildUnitTestRun, listTestMethods, parseUnitTestOutput } = require('./unit-tests');
+
+const USER_CODE_PLACEHOLDER = '{{USER_CODE}}';
+
+function getTestCases(question) {
+    const testCases = parseJson(question.test_cases);
+    return Array.isArray(testCases) ? testCases : [];
+}
+
+// Hidden unit test class of a method-level challenge (see lib/unit-tests.js)
+function getTestClass(question) {
+    return typeof question.test_class === 'string' && question.test_class.trim() ? question.test_class : null;
+}
+
+function getTemplate(question) {
+    const options = parseJson(question.options);
+    const template = options && !Array.isArray(options) ? options.template : null;
+
+    if (Array.isArray(template)) {
+        return template.join('\n');
+    }
+    return template || null;
+}
+
+function normalizeLineEndings(str) {
+    return (str || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+}
+
+/**
+ * Pull the student's snippet out of a submitted answer.
+ * The engine submits the whole template with the snippet substituted in, so the
+ * text around {{USER_CODE}} is stripped; anything else is treated as the snippet.
+ */
+function extractUserCode(template, answer) {
+    const code = normalizeLineEndings(answer);
+    if (!template) {
+        return code;
+    }
+
+    const normalizedTemplate = normalizeLineEndings(template);
+    const placeholderIndex = normalizedTemplate.indexOf(USER_CODE_PLACEHOLDER);
+    if (placeholderIndex === -1) {
+        return code;
+    }
+
+    const head = normalizedTemplate.slice(0, placeholderIndex);
+    const tail = normalizedTemplate.slice(placeholderIndex + USER_CODE_PLACEHOLDER.length);
+
+    if (code.length >= head.length + tail.length && code.startsWith(head) && code.endsWith(tail)) {
+        return code.slice(head.length, code.length - tail.length);
+    }
+
+    return code;
+}
+
+/**
+ * Build the program that is actually compiled: the stored template with the
+ * student's snippet substituted in. A student can never replace the harness.
+ * The source map points compiler messages back at the lines of the editor.
+ * @returns {SnippetSourceMap} The program is its `source`
+ */
+function buildSourceMap(question, answer) {
+    const template = getTemplate(question);
+    const userCode = extractUserCode(template, answer);
+
+    const sourceMap = !template || !template.includes(USER_CODE_PLACEHOLDER)
+        ? new SnippetSourceMap(null, userCode, userCode.trim())
+        : new SnippetSourceMap(template, userCode, userCode.trim());
+    // Compiled next to other classes (unit tests), only this file's lines are editor lines
+    sourceMap.fileName = `${getMainClassName(sourceMap.source)}.java`;
+    return sourceMap;
+}
+
+function buildSource(question, answer) {
+    return buildSourceMap(question, answer).source;
+}
+
+/**
+ * Static analysis findings for the student's part of the program, at editor positions.
+ * Bracket problems are kept wherever they show up - a missing brace in the snippet
+ * is often only noticed at the template's closing braces.
+ * @returns {Object[]} { rule, severity, line, column, snippetLine, inSnippet, message }
+ */
+function analyzeCode(sourceMap) {
+    return new JavaStaticAnalyzer().analyze(sourceMap.source)
+        .map(finding => ({ ...finding, ...sourceMap.toEditorPosition(finding.line, finding.column) }))
+        .filter(finding => finding.inSnippet || finding.rule === 'brace-mismatch');
+}
+
+// Checker programs of test cases run on the same runner as the student's code
+function runChecker(program, stdin) {
+    return getRunner().execute(program, stdin);
+}
+
+function toTestRun(testCase) {
+    return {
+        stdin: testCase.stdin ?? testCase.input ?? '',
+        files: testCase.files || null,
+        outputFiles: Object.keys(testCase.expectedFiles || {})
+    };
+}
+
+/**
+ * Run the source for every test case in one batch (compiled once where the
+ * runner can) and compare the results with the test cases
+ */
+async function runTestCases(sourceMap, testCases) {
+    let executions;
+    try {
+        executions = await getRunner().executeBatch(sourceMap.source, testCases.map(toTestRun));
+    } catch (error) {
+        return testCases.map((testCase, i) => ({
+            testCaseIndex: i,
+            description: testCase.description || `Test ${i + 1}`,
+            hidden: testCase.hidden === true,
+            input: testCase.input || '',
+            expectedOutput: OutputComparator.getExpectedOutput(testCase),
+            actualOutput: '',
+            passed: false,
+            status: 'Runner Error',
+            error: error.message,
+            executionTime: null
+        }));
+    }
+
+    return await compareTestCases(sourceMap, testCases, executions);
+}
+
+/**
+ * Compare stdout with the expected output using each test case's comparator,
+ * and the files the program wrote with expectedFiles. Errors are reported with
+ * editor line numbers.
+ * @param {Object[]} executions - Runner results, one per test case
+ */
+async function compareTestCases(sourceMap, testCases, executions) {
+    const results = [];
+
+    for (let i = 0; i < testCases.length; i++) {
+        const testCase = testCases[i];
+        const execution = executions[i];
+        const comparison = !execution.success
+            ? { passed: false, message: null }
+            : OutputComparator.checksStdout(testCase)
+                ? await OutputComparator.compare(execution.stdout, testCase, { runChecker })
+                : { passed: true, message: null };
+        const fileResults = execution.success && testCase.expectedFiles
+            ? await OutputComparator.compareFiles(execution.files, testCase)
+            : [];
+
+        results.push({
+            testCaseIndex: i,
+            description: testCase.description || `Test ${i + 1}`,
+            hidden: testCase.hidden === true,
+            input: testCase.input || '',
+            expectedOutput: OutputComparator.getExpectedOutput(testCase),
+            actualOutput: execution.stdout.trim(),
+            passed: comparison.passed && fileResults.every(file => file.passed),
+            comparison: OutputComparator.getComparator(testCase).type,
+            message: comparison.message,
+            fileResults,
+            status: execution.status,
+            error: sourceMap.rewriteOutput(execution.compileOutput || execution.stderr) || null,
+            compileErrors: getCompileErrors(sourceMap, execution),
+            executionTime: execution.executionTime
+        });
+    }
+
+    return results;
+}
+
+/**
+ * Compile the student's program with the question's test class and run every
+ * test method once. Tests that never finished (compile error, time limit,
+ * System.exit) are failed, so each declared test has a result.
+ * @returns {Promise<Object>} { results, error } - results: [{ name, displayName, status, passed, message, output, executionTime }]
+ */
+async function runUnitTests(sourceMap, testClass) {
+    const run = buildUnitTestRun(testClass);
+    const testNames = listTestMethods(testClass);
+
+    let execution;
+    try {
+        execution = await getRunner().execute(sourceMap.source, run.stdin, { sources: run.sources, mainClass: run.mainClass });
+    } catch (error) {
+        execution = { success: false, status: 'Runner Error', stdout: '', stderr: error.message, compileOutput: '' };
+    }
+
+    const report = parseUnitTestOutput(execution.stdout, run.marker, testNames);
+    // Every declared test gets a result - one missing from the report failed
+    const reportedByName = new Map(report.tests.map(test => [test.name, test]));
+    const reported = testNames.map(name => reportedByName.get(name) || { name, displayName: name, status: null });
+    const reason = execution.statusId === STATUS.COMPILATION_ERROR.id
+        ? 'Did not compile'
+        : report.error || (execution.statusId === STATUS.TIME_LIMIT_EXCEEDED.id ? 'Time limit exceeded' : 'The test run stopped before this test finished');
+
+    const results = reported.map(test => (
+        test.status
+            ? { ...test, message: test.message && sourceMap.rewriteStackTrace(test.message) }
+            : { ...test, status: 'error', passed: false, message: reason, output: '', executionTime: null }
+    ));
+
+    const error = report.complete ? null : sourceMap.rewriteOutput(execution.compileOutput || execution.stderr) || report.error;
+    return { results, error, compileErrors: getCompileErrors(sourceMap, execution) };
+}
+
+// Unit tests count like test cases of weight 1, after the question's own test cases; @Disabled ones do not count
+function getGradedResults(executionResult, testCases) {
+    const unitResults = (executionResult.unitTestResults || []).filter(result => result.status !== 'skipped').map((result, index) => ({
+        testCaseIndex: testCases.length + index,
+        passed: result.passed
+    }));
+    return [...(executionResult.testResults || []), ...unitResults];
+}
+
+// Compiler errors as editor positions, so the editor can mark the lines
+function getCompileErrors(sourceMap, execution) {
+    return execution.statusId === STATUS.COMPILATION_ERROR.id ? sourceMap.extractErrors(execution.compileOutput) : [];
+}
+
+async function gradeCode(question, answer, maxPoints) {
+    const sourceMap = buildSourceMap(question, answer);
+    const testCases = getTestCases(question);
+
+    if (!sourceMap.source.trim()) {
+        return {
+            isCorrect: false,
+            pointsEarned: 0,
+            executionResult: { success: false, error: 'No code submitted', testResults: [], findings: [] }
+        };
+    }
+
+    const testClass = getTestClass(question);
+
+    if (testCases.length === 0 && !testClass) {
+        // Nothing to check the output against - compile and run once, leave scoring to a teacher
+        let execution;
+        try {
+            execution = await getRunner().execute(sourceMap.source, '');
+        } catch (error) {
+            execution = { success: false, status: 'Runner Error', stderr: error.message, compileOutput: '' };
+        }
+
+        return {
+            isCorrect: false,
+            pointsEarned: 0,
+            executionResult: {
+                success: execution.success,
+                status: execution.status,
+                error: sourceMap.rewriteOutput(execution.compileOutput || execution.stderr) || null,
+                compileErrors: getCompileErrors(sourceMap, execution),
+                findings: analyzeCode(sourceMap),
+                testResults: [],
+                requiresReview: true
+            }
+        };
+    }
+
+    const testResults = testCases.length > 0 ? await runTestCases(sourceMap, testCases) : [];
+    const unitTests = testClass ? await runUnitTests(sourceMap, testClass) : null;
+    const gradedResults = getGradedResults({ testResults, unitTestResults: unitTests && unitTests.results }, testCases);
+    const passedTests = gradedResults.filter(result => result.passed).length;
+    const { isCorrect, pointsEarned, earnedWeight, totalWeight } =
+        scoreTestResults(gradedResults, testCases, maxPoints, getScoringRules(question));
+
+    return {
+        isCorrect,
+        pointsEarned,
+        executionResult: {
+            success: isCorrect,
+            passedTests,
+            totalTests: gradedResults.length,
+            earnedWeight,
+            totalWeight,
+            testResults,
+            ...(unitTests && {
+                unitTestResults: unitTests.results,
+                unitTestError: unitTests.error,
+                compileErrors: unitTests.compileErrors
+            }),
+            findings: analyzeCode(sourceMap),
+            gradedAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Try out an answer without grading it: one run with the student's own stdin,
+ * then the visible sample tests. Hidden test cases are never run here. Static
+ * analysis findings come back as hints, and on their own when the runner fails.
+ * @param {Object} question - Row from the questions table (the attempt's variant)
+ * @param {string} answer - Code in the editor
+ * @param {string} stdin - Input typed by the student
+ * @returns {Promise<Object>} { run, sampleResults, findings } - line numbers are editor lines
+ */
+async function runSamples(question, answer, stdin = '') {
+    const sourceMap = buildSourceMap(question, answer);
+
+    const samples = getTestCases(question).filter(testCase => testCase.hidden !== true);
+
+    // The student's own run and the samples share one batch, so the code is compiled once
+    let executions;
+    try {
+        executions = await getRunner().executeBatch(sourceMap.source, [{ stdin }, ...samples.map(toTestRun)]);
+    } catch (error) {
+        executions = [{ success: false, status: 'Runner Error', stdout: '', stderr: error.message, compileOutput: '' }];
+    }
+    const execution = executions[0];
+
+    const run = {
+        success: execution.success,
+        status: execution.status,
+        stdin,
+        stdout: execution.stdout,
+        stderr: sourceMap.rewriteOutput(execution.stderr) || null,
+        compileOutput: sourceMap.rewriteOutput(execution.compileOutput) || null,
+        compileErrors: getCompileErrors(sourceMap, execution),
+        executionTime: execution.executionTime ?? null
+    };
+
+    // Code that does not compile fails every sample the same way - the run already shows why
+    const compiled = execution.statusId !== STATUS.COMPILATION_ERROR.id && execution.status !== 'Runner Error';
+    const sampleResults = compiled && samples.length > 0
+        ? await compareTestCases(sourceMap, samples, executions.slice(1))
+        : [];
+
+    return { run, sampleResults, findings: analyzeCode(sourceMap) };
+}
+
+/**
+ * Grade a single answer against the stored question
+ * @param {Object} question - Row from the questions table
+ * @param {string} answer - Answer submitted by the student
+ * @returns {Promise<Object>} { isCorrect, pointsEarned, executionResult }
+ */
+async function gradeAnswer(question, answer) {
+    const maxPoints = parseFloat(question.points) || 0;
+    const userAnswer = answer === null || answer === undefined ? '' : answer.toString();
+
+    switch (question.question_type) {
+        case 'coding_challenge':
+            return await gradeCode(question, userAnswer, maxPoints);
+
+        case 'code_completion':
+            if (getTestCases(question).length > 0 || getTestClass(question)) {
+                return await gradeCode(question, userAnswer, maxPoints);
+            }
+            return { ...scoreCompletion(question, userAnswer, maxPoints), executionResult: null };
+
+        default:
+            return {
+                ...scoreChoice(userAnswer, question.correct_answer, maxPoints, getScoringRules(question)),
+                executionResult: null
+            };
+    }
+}
+
+function scoreCompletion(question, answer, maxPoints) {
+    const snippet = extractUserCode(getTemplate(question), answer);
+    const isCorrect = matchesCompletion(snippet, question.correct_answer, getScoringRules(question));
+    return { isCorrect, pointsEarned: isCorrect ? maxPoints : 0 };
+}
+
+/**
+ * Rescore a stored response with the question's current answer key and
+ * scoring rules, without running any code again
+ * @param {Object} question - Row from the questions table
+ * @param {Object} response - Row from question_responses
+ * @returns {Object} { isCorrect, pointsEarned }
+ */
+function rescoreResponse(question, response) {
+    const maxPoints = parseFloat(question.points) || 0;
+    const userAnswer = response.user_answer === null || response.user_answer === undefined
+        ? ''
+        : response.user_answer.toString();
+
+    if (CHOICE_TYPES.includes(question.question_type)) {
+        return scoreChoice(userAnswer, question.correct_answer, maxPoints, getScoringRules(question));
+    }
+
+    const executionResult = parseJson(response.code_execution_result);
+    const testResults = executionResult ? getGradedResults(executionResult, getTestCases(question)) : [];
+
+    if (testResults.length > 0) {
+        const { isCorrect, pointsEarned } =
+            scoreTestResults(testResults, getTestCases(question), maxPoints, getScoringRules(question));
+        return { isCorrect, pointsEarned };
+    }
+
+    if (question.question_type === 'code_completion' && getTestCases(question).length === 0 && !getTestClass(question)) {
+        return scoreCompletion(question, userAnswer, maxPoints);
+    }
+
+    // Nothing stored to rescore from (e.g. awaiting review) - keep the current points
+    return {
+        isCorrect: response.is_correct === true,
+        pointsEarned: parseFloat(response.points_earned) || 0
+    };
+}
+
+/**
+ * Strip hidden test case details before an execution result goes back to the student
+ * Unit tests are all hidden: only their names and pass/fail are kept, never the
+ * assertion messages or output that would give away the expected values.
+ */
+function toStudentExecutionResult(executionResult) {
+    if (!executionResult) {
+        return null;
+    }
+
+    const projected = {
+        ...executionResult,
+        testResults: (executionResult.testResults || []).map(result => (
+            result.hidden
+                ? { testCaseIndex: result.testCaseIndex, hidden: true, passed: result.passed }
+                : result
+        ))
+    };
+    if (executionResult.unitTestResults) {
+        projected.unitTestResults = executionResult.unitTestResults
+            .filter(result => result.status !== 'skipped')
+            .map(result => ({ name: result.name, passed: result.passed }));
+    }
+    return projected;
+}
+
+/**
+ * Drop per-answer explanations from choice options - they reveal the correct answer
+ */
+function toStudentOptions(options) {
+    const parsed = parseJson(options);
+    if (!Array.isArray(parsed)) {
+        return parsed ?? null;
+    }
+
+    return parsed.map(option => (
+        option && typeof option === 'object' ? { text: option.text } : option
+    ));
+}
+
+// A checker program is the answer key of its test case - students only see the comparison type
+function toStudentTestCase(testCase) {
+    const compare = testCase.compare;
+    if (!compare || typeof compare !== 'object' || compare.program === undefined) {
+        return testCase;
+    }
+
+    const { program, ...options } = compare;
+    return { ...testCase, compare: options };
+}
+
+/**
+ * Question as sent to a student taking an assessment: no answer key,
+ * explanations, scoring rules, rubric or hidden test cases
+ */
+function toStudentQuestion(question) {
+    return {
+        id: question.id,
+        question_type: question.question_type,
+        question_text: question.question_text,
+        code_snippet: question.code_snippet,
+        options: toStudentOptions(question.options),
+        // Hidden test cases stay on the server and are only used for grading
+        test_cases: getTestCases(question).filter(tc => !tc.hidden).map(toStudentTestCase),
+        points: question.points,
+        difficulty: question.difficulty,
+        order_index: question.order_index
+    };
+}
+
+/**
+ * Question as sent to teachers and admins, with the answer key and every test case
+ */
+function toTeacherQuestion(question) {
+    return {
+        ...toStudentQuestion(question),
+        assessment_id: question.assessment_id,
+        external_id: question.external_id,
+        options: parseJson(question.options) ?? null,
+        correct_answer: question.correct_answer,
+        explanation: question.explanation,
+        test_cases: getTestCases(question),
+        scoring: parseJson(question.scoring) ?? null,
+        rubric: parseJson(question.rubric) ?? null,
+        tags: parseJson(question.tags) ?? null,
+        parameters: parseJson(question.parameters) ?? null,
+        test_class: question.test_class ?? null
+    };
+}
+
+/**
+ * Pick the projection for the requesting user's role
+ */
+function toQuestionForRole(question, role) {
+    return role === 'teacher' || role === 'admin'
+        ? toTeacherQuestion(question)
+        : toStudentQuestion(question);
+}
+
+module.exports = {
+    USER_CODE_PLACEHOLDER,
+    parseJson,
+    getTestCases,
+    getTestClass,
+    getTemplate,
+    extractUserCode,
+    buildSourceMap,
+    buildSource,
+    analyzeCode,
+    runSamples,
+    gradeAnswer,
+    rescoreResponse,
+    toStudentExecutionResult,
+    toStudentOptions,
+    toStudentQuestion,
+    toTeacherQuestion,
+    toQuestionForRole
+};
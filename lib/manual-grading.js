@@ -0,0 +1,219 @@
+/**
+ * Manual grading of submitted attempts
+ * Teachers review code answers, score them against the question's rubric
+ * (questions.rubric: [{ "criterion": "...", "points": 4 }]) with comments,
+ * and finish the attempt by moving it to the graded status.
+ */
+
+const { sql } = require('@vercel/postgres');
+const { parseJson } = require('./grading');
+const { calculateFinalScore } = require('./attempts');
+const { getRubric } = require('./scoring');
+const { getAttemptVariant } = require('./question-variants');
+
+const CODE_TYPES = ['code_completion', 'coding_challenge'];
+
+/**
+ * Submitted attempts waiting for a teacher, oldest first
+ * @param {Object} filter - Optional { assessmentId }
+ */
+async function getGradingQueue({ assessmentId = null } = {}) {
+    try {
+        const result = await sql`
+            SELECT
+                aa.id, aa.user_id, aa.assessment_id, aa.attempt_number, aa.submitted_at, aa.score, aa.is_passed,
+                u.first_name, u.last_name, u.email, u.student_id,
+                a.title as assessment_title, a.step_number,
+                COUNT(qr.id) FILTER (WHERE q.question_type IN ('code_completion', 'coding_challenge')) as code_answers,
+                COUNT(qr.id) FILTER (WHERE qr.code_execution_result->>'requiresReview' = 'true') as needs_review
+            FROM assessment_attempts aa
+            JOIN users u ON aa.user_id = u.id
+            JOIN assessments a ON aa.assessment_id = a.id
+            LEFT JOIN question_responses qr ON qr.attempt_id = aa.id
+            LEFT JOIN questions q ON qr.question_id = q.id
+            WHERE aa.status = 'submitted'
+            AND (${assessmentId}::int IS NULL OR aa.assessment_id = ${assessmentId})
+            GROUP BY aa.id, u.id, a.id
+            ORDER BY aa.submitted_at ASC
+        `;
+
+        return result.rows.map(row => ({
+            ...row,
+            code_answers: parseInt(row.code_answers) || 0,
+            needs_review: parseInt(row.needs_review) || 0
+        }));
+    } catch (error) {
+        console.error('Database error in getGradingQueue:', error);
+        throw error;
+    }
+}
+
+/**
+ * An attempt with every answer, its execution result and the question's rubric
+ */
+async function getAttemptForGrading(attemptId) {
+    try {
+        const attemptResult = await sql`
+            SELECT aa.*, u.first_name, u.last_name, u.email, u.student_id,
+                   a.title as assessment_title, a.step_number, a.passing_score
+            FROM assessment_attempts aa
+            JOIN users u ON aa.user_id = u.id
+            JOIN assessments a ON aa.assessment_id = a.id
+            WHERE aa.id = ${attemptId}
+        `;
+        const attempt = attemptResult.rows[0];
+        if (!attempt) {
+            return null;
+        }
+
+        // Unanswered questions are listed too so the teacher sees the whole paper
+        const responses = await sql`
+            SELECT
+                q.id as question_id, q.question_type, q.question_text, q.code_snippet, q.correct_answer,
+                q.points as max_points, q.rubric, q.order_index, q.parameters,
+                qr.id as response_id, qr.user_answer, qr.is_correct, qr.points_earned, qr.code_execution_result,
+                qr.rubric_scores, qr.grader_comment, qr.graded_at, qr.time_spent_seconds
+            FROM questions q
+            JOIN assessment_attempts aa ON aa.id = ${attemptId}
+            LEFT JOIN question_responses qr ON qr.question_id = q.id AND qr.attempt_id = aa.id
+            WHERE q.assessment_id = aa.assessment_id
+            AND (aa.question_ids IS NULL OR aa.question_ids @> to_jsonb(q.id))
+            ORDER BY q.order_index ASC, q.id ASC
+        `;
+
+        const runCounts = parseJson(attempt.run_counts) || {};
+
+        return {
+            ...attempt,
+            // Parameterized questions are shown as the variant this student got
+            responses: responses.rows.map(row => getAttemptVariant(row, attempt)).map(row => ({
+                ...row,
+                is_code: CODE_TYPES.includes(row.question_type),
+                run_count: runCounts[row.question_id] || 0,
+                rubric: getRubric(row),
+                rubric_scores: parseJson(row.rubric_scores),
+                code_execution_result: parseJson(row.code_execution_result)
+            }))
+        };
+    } catch (error) {
+        console.error('Database error in getAttemptForGrading:', error);
+        throw error;
+    }
+}
+
+/**
+ * Work out the points for one graded response
+ * @returns {{points: number, rubricScores: Object[]|null, errors: string[]}}
+ */
+function scoreGrade(response, grade) {
+    const maxPoints = parseFloat(response.max_points) || 0;
+    const rubric = getRubric(response);
+    const errors = [];
+    const label = `Question ${response.question_id}`;
+
+    if (Array.isArray(grade.rubricScores) && rubric.length > 0) {
+        const rubricScores = rubric.map((item, index) => {
+            const given = grade.rubricScores[index] || {};
+            const points = parseFloat(given.points) || 0;
+            if (points < 0 || points > item.points) {
+                errors.push(`${label}: "${item.criterion}" must be between 0 and ${item.points}`);
+            }
+            return { criterion: item.criterion, points, maxPoints: item.points, comment: given.comment || null };
+        });
+
+        const points = rubricScores.reduce((sum, item) => sum + item.points, 0);
+        return { points: Math.round(points * 100) / 100, rubricScores, errors };
+    }
+
+    const points = parseFloat(grade.points);
+    if (isNaN(points) || points < 0 || points > maxPoints) {
+        errors.push(`${label}: points must be between 0 and ${maxPoints}`);
+    }
+    return { points, rubricScores: null, errors };
+}
+
+/**
+ * Save a teacher's grades for an attempt and, when finalize is set, mark it graded
+ * @param {number} attemptId - Attempt being graded
+ * @param {Object} input
+ * @param {Object[]} input.grades - [{ responseId, points } or { responseId, rubricScores: [{ points, comment }] }, comment]
+ * @param {string} input.feedback - Overall feedback for the student
+ * @param {boolean} input.finalize - Move the attempt to graded
+ * @param {number} input.userId - Grading teacher
+ * @returns {Promise<Object>} { success, errors } or { success, attempt }
+ */
+async function gradeAttempt(attemptId, { grades = [], feedback, finalize = false, userId = null }) {
+    try {
+        const attempt = await getAttemptForGrading(attemptId);
+        if (!attempt) {
+            throw new Error('Attempt not found');
+        }
+        if (attempt.status === 'in_progress') {
+            throw new Error('Attempt is still in progress');
+        }
+
+        const responsesById = new Map(
+            attempt.responses.filter(r => r.response_id).map(r => [r.response_id, r])
+        );
+
+        const errors = [];
+        const updates = [];
+        for (const grade of grades) {
+            const response = responsesById.get(parseInt(grade.responseId));
+            if (!response) {
+                errors.push(`Response ${grade.responseId} does not belong to this attempt`);
+                continue;
+            }
+
+            const scored = scoreGrade(response, grade);
+            errors.push(...scored.errors);
+            updates.push({ response, grade, ...scored });
+        }
+
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        for (const { response, grade, points, rubricScores } of updates) {
+            await sql`
+                UPDATE question_responses
+                SET points_earned = ${points},
+                    is_correct = ${points >= (parseFloat(response.max_points) || 0)},
+                    rubric_scores = ${rubricScores ? JSON.stringify(rubricScores) : null},
+                    grader_comment = ${grade.comment || null},
+                    graded_by = ${userId},
+                    graded_at = CURRENT_TIMESTAMP
+                WHERE id = ${response.response_id}
+            `;
+        }
+
+        const finalScore = await calculateFinalScore(attemptId);
+        const isPassed = finalScore.score >= parseFloat(attempt.passing_score);
+
+        const result = await sql`
+            UPDATE assessment_attempts
+            SET score = ${finalScore.score},
+                total_points = ${finalScore.totalPointsEarned},
+                percentage = ${finalScore.score},
+                is_passed = ${isPassed},
+                feedback = ${feedback === undefined ? attempt.feedback : feedback || null},
+                status = ${finalize ? 'graded' : attempt.status},
+                graded_by = ${finalize ? userId : attempt.graded_by},
+                graded_at = ${finalize ? new Date().toISOString() : attempt.graded_at}
+            WHERE id = ${attemptId}
+            RETURNING *
+        `;
+
+        return { success: true, attempt: result.rows[0], finalScore };
+    } catch (error) {
+        console.error('Database error in gradeAttempt:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    CODE_TYPES,
+    getGradingQueue,
+    getAttemptForGrading,
+    gradeAttempt
+};
@@ -0,0 +1,183 @@
+/**
+ * Database migration runner
+ * Applies the numbered scripts in migrations/ (NNN_name.js, each exporting
+ * async up(sql) and down(sql)) once and in order. Applied versions are
+ * recorded in the schema_migrations table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { db } = require('@vercel/postgres');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([\w-]+)\.js$/;
+// Serializes concurrent runners (e.g. two cold starts calling init-db)
+const MIGRATION_LOCK_ID = 724301;
+
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => MIGRATION_FILE_PATTERN.test(file))
+        .sort()
+        .map(file => {
+            const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+            return { version, name, file: path.join(MIGRATIONS_DIR, file) };
+        });
+}
+
+function loadMigration(migration) {
+    const script = require(migration.file);
+    if (typeof script.up !== 'function' || typeof script.down !== 'function') {
+        throw new Error(`Migration ${migration.version}_${migration.name} must export up(sql) and down(sql)`);
+    }
+    return script;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.sql`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.sql`
+        SELECT version FROM schema_migrations ORDER BY version ASC
+    `;
+    return result.rows.map(row => row.version);
+}
+
+async function withClient(callback) {
+    const client = await db.connect();
+    try {
+        await ensureMigrationsTable(client);
+        return await callback(client);
+    } finally {
+        client.release();
+    }
+}
+
+// Run one migration step in its own transaction; skipped if another runner got there first
+async function runStep(client, migration, direction) {
+    const script = loadMigration(migration);
+    const sql = (strings, ...values) => client.sql(strings, ...values);
+
+    await client.sql`BEGIN`;
+    try {
+        await client.sql`SELECT pg_advisory_xact_lock(${MIGRATION_LOCK_ID})`;
+        const applied = await getAppliedVersions(client);
+        const isApplied = applied.includes(migration.version);
+
+        if ((direction === 'up' && isApplied) || (direction === 'down' && !isApplied)) {
+            await client.sql`ROLLBACK`;
+            return false;
+        }
+
+        if (direction === 'up') {
+            await script.up(sql);
+            await client.sql`
+                INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, ${migration.name})
+            `;
+        } else {
+            await script.down(sql);
+            await client.sql`DELETE FROM schema_migrations WHERE version = ${migration.version}`;
+        }
+
+        await client.sql`COMMIT`;
+        return true;
+    } catch (error) {
+        await client.sql`ROLLBACK`;
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    }
+}
+
+/**
+ * Apply all pending migrations
+ * @param {Object} options
+ * @param {string} options.to - Stop after this version
+ * @returns {Promise<Object[]>} Migrations that were applied
+ */
+async function migrateUp({ to = null } = {}) {
+    try {
+        return await withClient(async client => {
+            const applied = await getAppliedVersions(client);
+            const pending = listMigrations().filter(m => !applied.includes(m.version) && (!to || m.version <= to));
+            const done = [];
+
+            for (const migration of pending) {
+                if (await runStep(client, migration, 'up')) {
+                    console.log(`Applied migration ${migration.version}_${migration.name}`);
+                    done.push({ version: migration.version, name: migration.name });
+                }
+            }
+            return done;
+        });
+    } catch (error) {
+        console.error('Database error in migrateUp:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} options
+ * @param {number} options.steps - Number of migrations to revert
+ * @returns {Promise<Object[]>} Migrations that were reverted
+ */
+async function migrateDown({ steps = 1 } = {}) {
+    try {
+        return await withClient(async client => {
+            const applied = await getAppliedVersions(client);
+            const known = listMigrations();
+            const toRevert = applied.slice(-steps).reverse();
+            const done = [];
+
+            for (const version of toRevert) {
+                const migration = known.find(m => m.version === version);
+                if (!migration) {
+                    throw new Error(`Migration ${version} is applied but its script is missing`);
+                }
+                if (await runStep(client, migration, 'down')) {
+                    console.log(`Reverted migration ${migration.version}_${migration.name}`);
+                    done.push({ version: migration.version, name: migration.name });
+                }
+            }
+            return done;
+        });
+    } catch (error) {
+        console.error('Database error in migrateDown:', error);
+        throw error;
+    }
+}
+
+/**
+ * List every migration with whether and when it was applied
+ */
+async function getMigrationStatus() {
+    try {
+        return await withClient(async client => {
+            const result = await client.sql`SELECT version, applied_at FROM schema_migrations`;
+            const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+            return listMigrations().map(m => ({
+                version: m.version,
+                name: m.name,
+                applied: appliedAt.has(m.version),
+                appliedAt: appliedAt.get(m.version) || null
+            }));
+        });
+    } catch (error) {
+        console.error('Database error in getMigrationStatus:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    listMigrations,
+    migrateUp,
+    migrateDown,
+    getMigrationStatus
+};
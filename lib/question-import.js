@@ -0,0 +1,476 @@
+/**
+ * Question bank import/export
+ * Loads data/questions/stepN-questions.json files into the assessments and
+ * questions tables, and serializes assessments back into the same format.
+ * Questions are matched on their bank id ("step1-q4"), which is stored in
+ * questions.external_id, so re-importing a bank updates in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sql } = require('@vercel/postgres');
+const { parseJson } = require('./grading');
+const { validateQuestion, validateAssessment } = require('./question-validation');
+
+const QUESTION_BANK_DIR = path.join(__dirname, '..', 'data', 'questions');
+const BANK_FILE_PATTERN = /^step(\d+)-questions\.json$/;
+
+// Bank files use course levels, the database uses easy/medium/hard
+const DIFFICULTY_MAP = {
+    beginner: 'easy',
+    intermediate: 'medium',
+    advanced: 'hard',
+    easy: 'easy',
+    medium: 'medium',
+    hard: 'hard'
+};
+
+const BANK_DIFFICULTY = {
+    easy: 'beginner',
+    medium: 'intermediate',
+    hard: 'advanced'
+};
+
+function listQuestionBankFiles() {
+    if (!fs.existsSync(QUESTION_BANK_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(QUESTION_BANK_DIR)
+        .filter(file => BANK_FILE_PATTERN.test(file))
+        .sort((a, b) => parseInt(a.match(BANK_FILE_PATTERN)[1]) - parseInt(b.match(BANK_FILE_PATTERN)[1]))
+        .map(file => path.join(QUESTION_BANK_DIR, file));
+}
+
+function loadQuestionBankFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadQuestionBankForStep(stepNumber) {
+    const filePath = path.join(QUESTION_BANK_DIR, `step${parseInt(stepNumber)}-questions.json`);
+    if (!fs.existsSync(filePath)) {
+        throw new Error('Question bank not found');
+    }
+    return loadQuestionBankFile(filePath);
+}
+
+function mapAssessment(bank) {
+    return {
+        step_number: bank.stepNumber,
+        title: bank.stepTitle || bank.title,
+        description: bank.description || null,
+        duration_minutes: bank.timeLimit ?? bank.durationMinutes,
+        passing_score: bank.passingScore ?? 70
+    };
+}
+
+function mapCorrectAnswer(raw) {
+    const { type, correctAnswer, answers } = raw;
+
+    // Choice questions reference the correct answer by its index
+    if ((type === 'multiple_choice' || type === 'code_reading') && Number.isInteger(correctAnswer)) {
+        const answer = Array.isArray(answers) ? answers[correctAnswer] : undefined;
+        return answer === undefined ? null : (typeof answer === 'string' ? answer : answer.text);
+    }
+
+    if (correctAnswer === undefined || correctAnswer === null) {
+        return null;
+    }
+    return String(correctAnswer);
+}
+
+function mapOptions(raw) {
+    if (raw.type === 'code_completion' || raw.type === 'coding_challenge') {
+        if (!raw.template && !raw.requirements) {
+            return null;
+        }
+        return {
+            ...(raw.template && { template: raw.template }),
+            ...(raw.requirements && { requirements: raw.requirements })
+        };
+    }
+
+    if (!Array.isArray(raw.answers)) {
+        return null;
+    }
+
+    return raw.answers.map(answer => (
+        typeof answer === 'string'
+            ? { text: answer }
+            : { text: answer.text, ...(answer.explanation && { explanation: answer.explanation }) }
+    ));
+}
+
+/**
+ * Map one bank question onto a questions row (snake_case)
+ */
+function mapQuestion(raw, index) {
+    return {
+        external_id: raw.id,
+        question_type: raw.type,
+        question_text: raw.question,
+        code_snippet: raw.code || null,
+        options: mapOptions(raw),
+        correct_answer: mapCorrectAnswer(raw),
+        explanation: raw.explanation || null,
+        test_cases: Array.isArray(raw.testCases) ? raw.testCases : null,
+        scoring: raw.scoring || null,
+        rubric: Array.isArray(raw.rubric) ? raw.rubric : null,
+        tags: Array.isArray(raw.tags) ? raw.tags : null,
+        parameters: Array.isArray(raw.parameters) ? raw.parameters : null,
+        // Java source, as a string or an array of lines like the template
+        test_class: Array.isArray(raw.testClass) ? raw.testClass.join('\n') : raw.testClass || null,
+        points: raw.points ?? 10,
+        difficulty: DIFFICULTY_MAP[raw.difficulty] || raw.difficulty || 'medium',
+        order_index: index + 1
+    };
+}
+
+/**
+ * Map and validate a whole bank without touching the database
+ * @returns {{assessment: Object, questions: Object[], errors: string[]}}
+ */
+function prepareQuestionBank(bank) {
+    if (!bank || typeof bank !== 'object' || !Array.isArray(bank.questions)) {
+        return { assessment: null, questions: [], errors: ['Question bank must be an object with a questions array'] };
+    }
+
+    const assessment = mapAssessment(bank);
+    const errors = validateAssessment(assessment);
+    const seenIds = new Set();
+
+    const questions = bank.questions.map((raw, index) => {
+        const row = mapQuestion(raw || {}, index);
+        const questionErrors = validateQuestion(row);
+
+        if (!row.external_id || typeof row.external_id !== 'string') {
+            questionErrors.unshift('id is required to match the question on re-import');
+        } else if (seenIds.has(row.external_id)) {
+            questionErrors.unshift(`id ${row.external_id} is used more than once in this bank`);
+        }
+        seenIds.add(row.external_id);
+
+        if ((raw || {}).correctAnswer !== undefined && row.correct_answer === null) {
+            questionErrors.push('correctAnswer does not point at one of the answers');
+        }
+
+        return { index, externalId: row.external_id || null, row, errors: questionErrors };
+    });
+
+    return { assessment, questions, errors };
+}
+
+function toJsonColumn(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Import a question bank
+ * @param {Object} bank - Parsed stepN-questions.json content
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Validate and report planned changes without writing
+ * @returns {Promise<Object>} Import report with per-question actions and errors
+ */
+async function importQuestionBank(bank, { dryRun = false } = {}) {
+    const prepared = prepareQuestionBank(bank);
+    const invalidQuestions = prepared.questions.filter(q => q.errors.length > 0);
+
+    const report = {
+        stepNumber: prepared.assessment ? prepared.assessment.step_number : null,
+        dryRun,
+        success: prepared.errors.length === 0 && invalidQuestions.length === 0,
+        errors: prepared.errors,
+        assessment: null,
+        questions: prepared.questions.map(q => ({
+            index: q.index,
+            id: q.externalId,
+            action: q.errors.length > 0 ? 'invalid' : null,
+            errors: q.errors
+        })),
+        notInBank: []
+    };
+
+    // Nothing is written unless the whole bank is valid
+    if (!report.success) {
+        report.questions.forEach(q => { q.action = q.action || 'skipped'; });
+        return report;
+    }
+
+    try {
+        const { assessment } = prepared;
+        const existingAssessment = await sql`
+            SELECT * FROM assessments WHERE step_number = ${assessment.step_number}
+        `;
+        let assessmentRow = existingAssessment.rows[0] || null;
+
+        const existingQuestions = assessmentRow
+            ? (await sql`
+                SELECT id, external_id, assessment_id FROM questions WHERE assessment_id = ${assessmentRow.id}
+            `).rows
+            : [];
+
+        const externalIds = prepared.questions.map(q => q.externalId);
+        const elsewhere = (await sql`
+            SELECT q.external_id, a.step_number
+            FROM questions q
+            JOIN assessments a ON q.assessment_id = a.id
+            WHERE q.external_id = ANY(${externalIds})
+        `).rows.filter(row => !assessmentRow || row.step_number !== assessmentRow.step_number);
+
+        // Ids are global: refuse to silently move a question between steps
+        if (elsewhere.length > 0) {
+            report.success = false;
+            elsewhere.forEach(row => {
+                const entry = report.questions.find(q => q.id === row.external_id);
+                entry.action = 'invalid';
+                entry.errors.push(`id ${row.external_id} already belongs to step ${row.step_number}`);
+            });
+            report.questions.forEach(q => { q.action = q.action || 'skipped'; });
+            return report;
+        }
+
+        const existingByExternalId = new Map(
+            existingQuestions.filter(q => q.external_id).map(q => [q.external_id, q])
+        );
+
+        report.assessment = { action: assessmentRow ? 'update' : 'create', id: assessmentRow ? assessmentRow.id : null };
+        report.questions.forEach(q => {
+            q.action = existingByExternalId.has(q.id) ? 'update' : 'create';
+        });
+        report.notInBank = existingQuestions
+            .filter(q => !q.external_id || !externalIds.includes(q.external_id))
+            .map(q => ({ questionId: q.id, id: q.external_id }));
+
+        if (dryRun) {
+            return report;
+        }
+
+        if (assessmentRow) {
+            await sql`
+                UPDATE assessments
+                SET title = ${assessment.title},
+                    description = ${assessment.description},
+                    duration_minutes = ${assessment.duration_minutes},
+                    passing_score = ${assessment.passing_score},
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ${assessmentRow.id}
+            `;
+        } else {
+            const created = await sql`
+                INSERT INTO assessments (step_number, title, description, duration_minutes, total_questions, passing_score)
+                VALUES (
+                    ${assessment.step_number}, ${assessment.title}, ${assessment.description},
+                    ${assessment.duration_minutes}, 0, ${assessment.passing_score}
+                )
+                RETURNING *
+            `;
+            assessmentRow = created.rows[0];
+            report.assessment.id = assessmentRow.id;
+        }
+
+        for (const { row } of prepared.questions) {
+            const existing = existingByExternalId.get(row.external_id);
+            const entry = report.questions.find(q => q.id === row.external_id);
+
+            if (existing) {
+                await sql`
+                    UPDATE questions
+                    SET question_type = ${row.question_type},
+                        question_text = ${row.question_text},
+                        code_snippet = ${row.code_snippet},
+                        options = ${toJsonColumn(row.options)},
+                        correct_answer = ${row.correct_answer},
+                        explanation = ${row.explanation},
+                        test_cases = ${toJsonColumn(row.test_cases)},
+                        scoring = ${toJsonColumn(row.scoring)},
+                        rubric = ${toJsonColumn(row.rubric)},
+                        tags = ${toJsonColumn(row.tags)},
+                        parameters = ${toJsonColumn(row.parameters)},
+                        test_class = ${row.test_class},
+                        points = ${row.points},
+                        difficulty = ${row.difficulty},
+                        order_index = ${row.order_index}
+                    WHERE id = ${existing.id}
+                `;
+                entry.questionId = existing.id;
+            } else {
+                const inserted = await sql`
+                    INSERT INTO questions (
+                        assessment_id, external_id, question_type, question_text, code_snippet, options,
+                        correct_answer, explanation, test_cases, scoring, rubric, tags, parameters, test_class, points,
+                        difficulty, order_index
+                    ) VALUES (
+                        ${assessmentRow.id}, ${row.external_id}, ${row.question_type}, ${row.question_text},
+                        ${row.code_snippet}, ${toJsonColumn(row.options)}, ${row.correct_answer}, ${row.explanation},
+                        ${toJsonColumn(row.test_cases)}, ${toJsonColumn(row.scoring)}, ${toJsonColumn(row.rubric)},
+                        ${toJsonColumn(row.tags)}, ${toJsonColumn(row.parameters)}, ${row.test_class}, ${row.points},
+                        ${row.difficulty}, ${row.order_index}
+                    )
+                    RETURNING id
+                `;
+                entry.questionId = inserted.rows[0].id;
+            }
+        }
+
+        // Questions that are not in the bank keep their place after the bank questions
+        for (let i = 0; i < report.notInBank.length; i++) {
+            await sql`
+                UPDATE questions SET order_index = ${prepared.questions.length + i + 1}
+                WHERE id = ${report.notInBank[i].questionId}
+            `;
+        }
+
+        await sql`
+            UPDATE assessments
+            SET total_questions = (SELECT COUNT(*) FROM questions WHERE assessment_id = ${assessmentRow.id}),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ${assessmentRow.id}
+        `;
+
+        return report;
+    } catch (error) {
+        console.error('Database error in importQuestionBank:', error);
+        throw error;
+    }
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? value : number;
+}
+
+/**
+ * Map a questions row back onto the bank format (inverse of mapQuestion)
+ */
+function toBankQuestion(row) {
+    const options = parseJson(row.options);
+    const testCases = parseJson(row.test_cases);
+    const question = {
+        id: row.external_id,
+        type: row.question_type,
+        question: row.question_text
+    };
+
+    if (row.code_snippet) {
+        question.code = row.code_snippet;
+    }
+
+    if (Array.isArray(options)) {
+        const answers = options.map(option => (
+            typeof option === 'string'
+                ? { text: option }
+                : { text: option.text, ...(option.explanation && { explanation: option.explanation }) }
+        ));
+        question.answers = answers;
+
+        const correctIndex = answers.findIndex(answer => answer.text === row.correct_answer);
+        question.correctAnswer = correctIndex >= 0 ? correctIndex : row.correct_answer;
+    } else if (row.correct_answer !== null && row.correct_answer !== undefined) {
+        question.correctAnswer = row.correct_answer;
+    }
+
+    if (row.explanation) {
+        question.explanation = row.explanation;
+    }
+
+    if (options && !Array.isArray(options)) {
+        if (options.requirements) {
+            question.requirements = options.requirements;
+        }
+        if (options.template) {
+            question.template = options.template;
+        }
+    }
+
+    if (Array.isArray(testCases) && testCases.length > 0) {
+        question.testCases = testCases;
+    }
+
+    const scoring = parseJson(row.scoring);
+    if (scoring) {
+        question.scoring = scoring;
+    }
+
+    const rubric = parseJson(row.rubric);
+    if (Array.isArray(rubric) && rubric.length > 0) {
+        question.rubric = rubric;
+    }
+
+    const tags = parseJson(row.tags);
+    if (Array.isArray(tags) && tags.length > 0) {
+        question.tags = tags;
+    }
+
+    const parameters = parseJson(row.parameters);
+    if (Array.isArray(parameters) && parameters.length > 0) {
+        question.parameters = parameters;
+    }
+
+    if (row.test_class) {
+        question.testClass = row.test_class.split('\n');
+    }
+
+    question.difficulty = BANK_DIFFICULTY[row.difficulty] || row.difficulty;
+    question.points = toNumber(row.points);
+
+    return question;
+}
+
+/**
+ * Serialize an assessment and its questions into the stepN-questions.json format
+ * @param {Object} where - { id } or { stepNumber }
+ * @returns {Promise<Object|null>} Question bank, or null when the assessment does not exist
+ */
+async function exportQuestionBank({ id, stepNumber }) {
+    try {
+        const assessmentResult = id
+            ? await sql`SELECT * FROM assessments WHERE id = ${id}`
+            : await sql`SELECT * FROM assessments WHERE step_number = ${stepNumber}`;
+
+        const assessment = assessmentResult.rows[0];
+        if (!assessment) {
+            return null;
+        }
+
+        const questionsResult = await sql`
+            SELECT * FROM questions
+            WHERE assessment_id = ${assessment.id}
+            ORDER BY order_index ASC, id ASC
+        `;
+
+        // Questions created in the UI get a bank id now, so the exported file re-imports onto the same rows
+        for (const row of questionsResult.rows) {
+            if (!row.external_id) {
+                row.external_id = `step${assessment.step_number}-db${row.id}`;
+                await sql`
+                    UPDATE questions SET external_id = ${row.external_id}
+                    WHERE id = ${row.id} AND external_id IS NULL
+                `;
+            }
+        }
+
+        return {
+            stepNumber: assessment.step_number,
+            stepTitle: assessment.title,
+            description: assessment.description,
+            timeLimit: assessment.duration_minutes,
+            passingScore: toNumber(assessment.passing_score),
+            questions: questionsResult.rows.map(toBankQuestion)
+        };
+    } catch (error) {
+        console.error('Database error in exportQuestionBank:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    QUESTION_BANK_DIR,
+    listQuestionBankFiles,
+    loadQuestionBankFile,
+    loadQuestionBankForStep,
+    mapQuestion,
+    prepareQuestionBank,
+    importQuestionBank,
+    toBankQuestion,
+    exportQuestionBank
+};
@@ -0,0 +1,370 @@
+/**
+ * Validation for assessment and question content
+ * Used by the authoring API and the question bank importer
+ */
+
+const { parseJson, USER_CODE_PLACEHOLDER } = require('./grading');
+const { SCORING_POLICIES, REVIEW_POLICIES } = require('./attempt-policy');
+const { validateScoringRules, validateRubric } = require('./scoring');
+const { isParameterized, instantiateQuestion, validateParameters } = require('./question-variants');
+const { OutputComparator } = require('../src/assets/js/output-comparator');
+const { isValidFixtureName, getMainClassName } = require('./runners/common');
+const { TEST_RUNNER_CLASS } = require('./unit-tests');
+
+const QUESTION_TYPES = ['multiple_choice', 'code_reading', 'code_completion', 'coding_challenge', 'true_false'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+// Seeds tried when checking that every variant of a parameterized question still works
+const VARIANT_SAMPLES = 20;
+// Fixture files travel with every run of the test case
+const MAX_FIXTURE_BYTES = 1024 * 1024;
+
+function optionText(option) {
+    return typeof option === 'string' ? option : option && option.text;
+}
+
+function validateTemplate(template, errors) {
+    if (template === undefined || template === null) {
+        return;
+    }
+
+    const isStringArray = Array.isArray(template) && template.every(line => typeof line === 'string');
+    if (typeof template !== 'string' && !isStringArray) {
+        errors.push('options.template must be a string or an array of lines');
+        return;
+    }
+
+    const text = Array.isArray(template) ? template.join('\n') : template;
+    if (!text.includes(USER_CODE_PLACEHOLDER)) {
+        errors.push(`options.template must contain the ${USER_CODE_PLACEHOLDER} placeholder`);
+    }
+}
+
+/**
+ * Choice questions must keep distinct options and a matching answer in every
+ * variant, e.g. two range parameters may not come out equal
+ */
+function validateVariants(question, errors) {
+    for (let seed = 1; seed <= VARIANT_SAMPLES; seed++) {
+        let variant;
+        try {
+            variant = instantiateQuestion(question, seed);
+        } catch (error) {
+            errors.push(`parameters produce an invalid variant: ${error.message}`);
+            return;
+        }
+
+        if (!['multiple_choice', 'code_reading'].includes(question.question_type)) {
+            continue;
+        }
+
+        const texts = variant.options.map(optionText);
+        if (new Set(texts).size !== texts.length) {
+            errors.push(`options must be unique in every variant (seed ${seed}: ${texts.join(', ')})`);
+            return;
+        }
+        if (!texts.includes(variant.correct_answer)) {
+            errors.push(`correct_answer must match one of the options in every variant (seed ${seed})`);
+            return;
+        }
+    }
+}
+
+/**
+ * files / expectedFiles: file contents by relative path, e.g. { "data/input.csv": "a,b" }
+ */
+function validateFixtures(files, field, errors) {
+    if (files === undefined || files === null) {
+        return;
+    }
+    if (typeof files !== 'object' || Array.isArray(files)) {
+        errors.push(`${field} must be an object of file names and contents`);
+        return;
+    }
+
+    let size = 0;
+    Object.entries(files).forEach(([name, content]) => {
+        if (!isValidFixtureName(name)) {
+            errors.push(`${field} has an invalid file name: ${name}`);
+        }
+        if (typeof content !== 'string') {
+            errors.push(`${field}["${name}"] must be a string`);
+            return;
+        }
+        size += Buffer.byteLength(content, 'utf8');
+    });
+    if (size > MAX_FIXTURE_BYTES) {
+        errors.push(`${field} must not exceed ${MAX_FIXTURE_BYTES / 1024} KB in total`);
+    }
+}
+
+/**
+ * The hidden test class is compiled next to the program as <its public class>.java
+ */
+function validateTestClass(testClass, template, errors) {
+    if (testClass === undefined || testClass === null || testClass === '') {
+        return;
+    }
+    if (typeof testClass !== 'string') {
+        errors.push('test_class must be Java source');
+        return;
+    }
+    if (!/public\s+(?:final\s+)?class\s+[A-Za-z_$]/.test(testClass)) {
+        errors.push('test_class must declare a public class');
+        return;
+    }
+    if (/^\s*package\s/m.test(testClass)) {
+        errors.push('test_class must not declare a package');
+    }
+
+    const className = getMainClassName(testClass);
+    const templateText = Array.isArray(template) ? template.join('\n') : template;
+    if (className === TEST_RUNNER_CLASS || (typeof templateText === 'string' && className === getMainClassName(templateText))) {
+        errors.push(`test_class must not be named ${className}`);
+    }
+}
+
+function validateTestCases(testCases, errors) {
+    if (testCases === undefined || testCases === null) {
+        return;
+    }
+
+    if (!Array.isArray(testCases)) {
+        errors.push('test_cases must be an array');
+        return;
+    }
+
+    testCases.forEach((testCase, index) => {
+        if (!testCase || typeof testCase !== 'object' || Array.isArray(testCase)) {
+            errors.push(`test_cases[${index}] must be an object`);
+            return;
+        }
+        // A checker program can decide on its own and a test of written files may ignore stdout,
+        // every other test needs an expected output
+        const expected = testCase.expected ?? testCase.expectedOutput ?? testCase.output;
+        if ((expected === undefined || expected === null) && OutputComparator.checksStdout(testCase)) {
+            errors.push(`test_cases[${index}] needs an expected output`);
+        }
+        validateFixtures(testCase.files, `test_cases[${index}].files`, errors);
+        validateFixtures(testCase.expectedFiles, `test_cases[${index}].expectedFiles`, errors);
+        OutputComparator.validate(testCase).forEach(message => {
+            errors.push(`test_cases[${index}] ${message}`);
+        });
+        if (testCase.input !== undefined && typeof testCase.input !== 'string') {
+            errors.push(`test_cases[${index}].input must be a string`);
+        }
+        if (testCase.hidden !== undefined && typeof testCase.hidden !== 'boolean') {
+            errors.push(`test_cases[${index}].hidden must be true or false`);
+        }
+        if (testCase.weight !== undefined && !(typeof testCase.weight === 'number' && testCase.weight >= 0)) {
+            errors.push(`test_cases[${index}].weight must be a non-negative number`);
+        }
+    });
+}
+
+/**
+ * Validate a question row (snake_case, as stored in the questions table)
+ * @param {Object} question - Question fields
+ * @returns {string[]} Validation errors, empty when the question is valid
+ */
+function validateQuestion(question) {
+    const errors = [];
+    const options = parseJson(question.options);
+    const testCases = parseJson(question.test_cases);
+
+    if (!QUESTION_TYPES.includes(question.question_type)) {
+        errors.push(`question_type must be one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    if (!question.question_text || !question.question_text.toString().trim()) {
+        errors.push('question_text is required');
+    }
+
+    if (question.difficulty !== undefined && question.difficulty !== null && !DIFFICULTIES.includes(question.difficulty)) {
+        errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+
+    if (question.points !== undefined && question.points !== null) {
+        const points = parseFloat(question.points);
+        if (isNaN(points) || points <= 0 || points >= 1000) {
+            errors.push('points must be a number between 0 and 1000');
+        }
+    }
+
+    if (typeof question.options === 'string' && question.options && options === null) {
+        errors.push('options is not valid JSON');
+    }
+    if (typeof question.test_cases === 'string' && question.test_cases && testCases === null) {
+        errors.push('test_cases is not valid JSON');
+    }
+
+    if (question.tags !== undefined && question.tags !== null) {
+        const tags = parseJson(question.tags);
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+            errors.push('tags must be an array of non-empty strings');
+        }
+    }
+
+    errors.push(...validateScoringRules(question.scoring));
+    errors.push(...validateRubric(question.rubric, question.points ?? 10));
+    errors.push(...validateParameters(question.parameters));
+
+    switch (question.question_type) {
+        case 'multiple_choice':
+        case 'code_reading': {
+            if (!Array.isArray(options) || options.length < 2) {
+                errors.push('options must be an array with at least two answers');
+                break;
+            }
+            const texts = options.map(optionText);
+            if (texts.some(text => typeof text !== 'string' || !text.trim())) {
+                errors.push('every option must be a non-empty string or { text }');
+            } else if (new Set(texts).size !== texts.length) {
+                errors.push('options must be unique');
+            } else if (!texts.includes(question.correct_answer)) {
+                errors.push('correct_answer must match one of the options');
+            }
+            if (question.question_type === 'code_reading' && !question.code_snippet) {
+                errors.push('code_reading questions need a code_snippet');
+            }
+            break;
+        }
+
+        case 'true_false':
+            if (!['true', 'false'].includes((question.correct_answer || '').toString().toLowerCase())) {
+                errors.push('correct_answer must be "true" or "false"');
+            }
+            break;
+
+        case 'code_completion':
+        case 'coding_challenge': {
+            if (options !== null && options !== undefined && (typeof options !== 'object' || Array.isArray(options))) {
+                errors.push('options must be an object ({ template, requirements }) for code questions');
+            } else if (options) {
+                validateTemplate(options.template, errors);
+                if (options.requirements !== undefined && !Array.isArray(options.requirements)) {
+                    errors.push('options.requirements must be an array');
+                }
+            }
+            validateTestCases(testCases, errors);
+            validateTestClass(question.test_class, options && options.template, errors);
+
+            const hasTests = (Array.isArray(testCases) && testCases.length > 0) ||
+                (typeof question.test_class === 'string' && question.test_class.trim() !== '');
+            if (question.question_type === 'coding_challenge' && (!options || !options.template)) {
+                errors.push('coding_challenge questions need options.template');
+            }
+            if (question.question_type === 'code_completion' && !hasTests && !question.correct_answer) {
+                errors.push('code_completion questions need a correct_answer, test_cases or a test_class');
+            }
+            break;
+        }
+    }
+
+    if (errors.length === 0 && isParameterized(question)) {
+        validateVariants(question, errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Check pool rules: [{ count, difficulty, tag }]
+ */
+function validatePoolRules(value) {
+    const rules = parseJson(value);
+    if (!Array.isArray(rules)) {
+        return ['pool_rules must be an array of { count, difficulty, tag }'];
+    }
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`pool_rules[${index}] must be an object`);
+            return;
+        }
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+            errors.push(`pool_rules[${index}].count must be a positive integer`);
+        }
+        if (rule.difficulty !== undefined && !DIFFICULTIES.includes(rule.difficulty)) {
+            errors.push(`pool_rules[${index}].difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+        }
+        if (rule.tag !== undefined && (typeof rule.tag !== 'string' || !rule.tag.trim())) {
+            errors.push(`pool_rules[${index}].tag must be a non-empty string`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate assessment fields (snake_case). With partial set, only the
+ * provided fields are checked.
+ */
+function validateAssessment(assessment, { partial = false } = {}) {
+    const errors = [];
+    const has = field => assessment[field] !== undefined;
+
+    if (!partial || has('step_number')) {
+        const step = parseInt(assessment.step_number);
+        if (isNaN(step) || step < 1) {
+            errors.push('step_number must be a positive integer');
+        }
+    }
+
+    if (!partial || has('title')) {
+        if (!assessment.title || !assessment.title.toString().trim()) {
+            errors.push('title is required');
+        }
+    }
+
+    if (!partial || has('duration_minutes')) {
+        const duration = parseInt(assessment.duration_minutes);
+        if (isNaN(duration) || duration < 1) {
+            errors.push('duration_minutes must be a positive integer');
+        }
+    }
+
+    if (has('passing_score') && assessment.passing_score !== null) {
+        const score = parseFloat(assessment.passing_score);
+        if (isNaN(score) || score < 0 || score > 100) {
+            errors.push('passing_score must be between 0 and 100');
+        }
+    }
+
+    ['is_active', 'shuffle_questions', 'shuffle_options'].forEach(field => {
+        if (has(field) && typeof assessment[field] !== 'boolean') {
+            errors.push(`${field} must be true or false`);
+        }
+    });
+
+    // null means unlimited attempts
+    if (has('max_attempts') && assessment.max_attempts !== null) {
+        const maxAttempts = Number(assessment.max_attempts);
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+            errors.push('max_attempts must be a positive integer or null');
+        }
+    }
+
+    if (has('cooldown_minutes') && assessment.cooldown_minutes !== null) {
+        const cooldown = Number(assessment.cooldown_minutes);
+        if (!Number.isInteger(cooldown) || cooldown < 0) {
+            errors.push('cooldown_minutes must be a non-negative integer');
+        }
+    }
+
+    if (has('scoring_policy') && !SCORING_POLICIES.includes(assessment.scoring_policy)) {
+        errors.push(`scoring_policy must be one of: ${SCORING_POLICIES.join(', ')}`);
+    }
+
+    if (has('review_policy') && !REVIEW_POLICIES.includes(assessment.review_policy)) {
+        errors.push(`review_policy must be one of: ${REVIEW_POLICIES.join(', ')}`);
+    }
+
+    if (has('pool_rules') && assessment.pool_rules !== null) {
+        errors.push(...validatePoolRules(assessment.pool_rules));
+    }
+
+    return errors;
+}
+
+module.exports = { QUESTION_TYPES, DIFFICULTIES, validateQuestion, validateAssessment };
@@ -0,0 +1,377 @@
+/**
+ * Parameterized questions
+ * A question with parameters (questions.parameters) is a template: {{name}}
+ * placeholders in its text, code snippet, options, answer key, explanation,
+ * test cases and test class are filled in per attempt, so every student gets a different but
+ * equivalent variant and is graded against that variant's values.
+ *
+ *   parameters: [
+ *     { "name": "fileName", "values": ["scores.txt", "grades.csv", "marks.dat"] },
+ *     { "name": "count", "min": 3, "max": 9 },
+ *     { "name": "price", "min": 1, "max": 5, "step": 0.5 },
+ *     { "name": "total", "expr": "count * price", "decimals": 2 }
+ *   ]
+ *
+ * Parameters are generated in order, so an expression can use the ones above
+ * it (+ - * / %, parentheses, min, max, floor, ceil, round, abs). The values
+ * come from the attempt's seed and the question id, so a resume or regrade
+ * always sees the same variant. {{USER_CODE}} and unknown names are left alone.
+ */
+
+const { parseJson } = require('./grading');
+const { seededRandom } = require('./attempt-layout');
+
+const PARAMETER_NAME = /^[A-Za-z_]\w*$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+const FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    abs: Math.abs
+};
+const TEMPLATE_FIELDS = ['question_text', 'code_snippet', 'correct_answer', 'explanation', 'test_class'];
+const TEMPLATE_JSON_FIELDS = ['options', 'test_cases'];
+
+function getParameters(question) {
+    const parameters = parseJson(question && question.parameters);
+    return Array.isArray(parameters) && parameters.length > 0 ? parameters : null;
+}
+
+function isParameterized(question) {
+    return getParameters(question) !== null;
+}
+
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(.))/gy;
+    let match;
+
+    while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2] });
+        } else if (match[3] !== undefined) {
+            if (!'+-*/%(),'.includes(match[3])) {
+                throw new Error(`unexpected "${match[3]}"`);
+            }
+            tokens.push({ type: 'symbol', value: match[3] });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression over earlier parameter values
+ * @param {string} expression - e.g. "floor(total / count) + 1"
+ * @param {Object} values - Parameter values by name
+ * @returns {number}
+ * @throws {Error} When the expression is malformed or uses an unknown name
+ */
+function evaluateExpression(expression, values) {
+    const tokens = tokenize(String(expression));
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isSymbol = (token, symbol) => token && token.type === 'symbol' && token.value === symbol;
+    const expect = symbol => {
+        if (!isSymbol(peek(), symbol)) {
+            throw new Error(`expected "${symbol}"`);
+        }
+        position++;
+    };
+
+    function parseSum() {
+        let value = parseProduct();
+        while (isSymbol(peek(), '+') || isSymbol(peek(), '-')) {
+            const operator = tokens[position++].value;
+            const right = parseProduct();
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    }
+
+    function parseProduct() {
+        let value = parseUnary();
+        while (isSymbol(peek(), '*') || isSymbol(peek(), '/') || isSymbol(peek(), '%')) {
+            const operator = tokens[position++].value;
+            const right = parseUnary();
+            if (operator === '*') {
+                value *= right;
+            } else if (operator === '/') {
+                value /= right;
+            } else {
+                value %= right;
+            }
+        }
+        return value;
+    }
+
+    function parseUnary() {
+        if (isSymbol(peek(), '-')) {
+            position++;
+            return -parseUnary();
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error('unexpected end of expression');
+        }
+
+        if (token.type === 'number') {
+            return token.value;
+        }
+
+        if (isSymbol(token, '(')) {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+
+        if (token.type === 'name' && isSymbol(peek(), '(')) {
+            const fn = FUNCTIONS[token.value];
+            if (!fn) {
+                throw new Error(`unknown function "${token.value}"`);
+            }
+            position++;
+            const args = [parseSum()];
+            while (isSymbol(peek(), ',')) {
+                position++;
+                args.push(parseSum());
+            }
+            expect(')');
+            return fn(...args);
+        }
+
+        if (token.type === 'name') {
+            if (!Object.prototype.hasOwnProperty.call(values, token.value)) {
+                throw new Error(`unknown parameter "${token.value}"`);
+            }
+            const value = parseFloat(values[token.value]);
+            if (isNaN(value)) {
+                throw new Error(`parameter "${token.value}" is not a number`);
+            }
+            return value;
+        }
+
+        throw new Error(`unexpected "${token.value}"`);
+    }
+
+    const result = parseSum();
+    if (position < tokens.length) {
+        throw new Error(`unexpected "${tokens[position].value}"`);
+    }
+    if (!isFinite(result)) {
+        throw new Error('result is not a finite number');
+    }
+    return result;
+}
+
+function countDecimals(value) {
+    const text = String(value);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+function formatNumber(value, decimals) {
+    if (decimals !== undefined && decimals !== null) {
+        return value.toFixed(parseInt(decimals));
+    }
+    return String(Math.round(value * 1e6) / 1e6);
+}
+
+function generateValue(parameter, values, random) {
+    if (Array.isArray(parameter.values)) {
+        return String(parameter.values[Math.floor(random() * parameter.values.length)]);
+    }
+
+    if (parameter.expr !== undefined) {
+        return formatNumber(evaluateExpression(parameter.expr, values), parameter.decimals);
+    }
+
+    const min = parseFloat(parameter.min);
+    const max = parseFloat(parameter.max);
+    const step = parseFloat(parameter.step) || 1;
+    const steps = Math.floor((max - min) / step + 1e-9);
+    const value = min + Math.floor(random() * (steps + 1)) * step;
+    return formatNumber(value, parameter.decimals ?? Math.max(countDecimals(min), countDecimals(step)));
+}
+
+/**
+ * Seed of one question's variant within an attempt
+ * Attempts started before variants existed fall back to their id.
+ */
+function getVariantSeed(attempt, questionId) {
+    const seed = (attempt && (attempt.shuffle_seed || attempt.id)) || 0;
+    return (seed ^ Math.imul(parseInt(questionId) || 0, 0x9E3779B1)) >>> 0;
+}
+
+/**
+ * Parameter values of a question's variant
+ * @param {Object} question - Row from the questions table
+ * @param {number} seed - From getVariantSeed
+ * @returns {Object|null} Values by name as strings, null when the question has no parameters
+ */
+function generateValues(question, seed) {
+    const parameters = getParameters(question);
+    if (!parameters) {
+        return null;
+    }
+
+    const random = seededRandom(seed);
+    const values = {};
+    parameters.forEach(parameter => {
+        values[parameter.name] = generateValue(parameter, values, random);
+    });
+    return values;
+}
+
+function fillPlaceholders(value, values) {
+    if (typeof value === 'string') {
+        return value.replace(PLACEHOLDER, (placeholder, name) => (
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+        ));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => fillPlaceholders(item, values));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillPlaceholders(item, values)]));
+    }
+    return value;
+}
+
+/**
+ * The variant of a question for a seed; questions without parameters are returned as they are
+ * @param {Object} question - Row from the questions table (or a row joined with a response)
+ * @param {number} seed - From getVariantSeed
+ * @returns {Object}
+ */
+function instantiateQuestion(question, seed) {
+    const values = generateValues(question, seed);
+    if (!values) {
+        return question;
+    }
+
+    const variant = { ...question };
+    TEMPLATE_FIELDS.filter(field => question[field] !== undefined).forEach(field => {
+        variant[field] = fillPlaceholders(question[field], values);
+    });
+    TEMPLATE_JSON_FIELDS.forEach(field => {
+        const parsed = parseJson(question[field]);
+        if (parsed !== null && parsed !== undefined) {
+            variant[field] = fillPlaceholders(parsed, values);
+        }
+    });
+    return variant;
+}
+
+/**
+ * Variant of a question as a given attempt sees it
+ * A seed whose values break an expression (e.g. a division by zero) gets the
+ * base question, so the attempt can still be taken and graded.
+ * @param {Object} question - Needs id or question_id
+ * @param {Object} attempt - Attempt row (shuffle_seed, id)
+ */
+function getAttemptVariant(question, attempt) {
+    const questionId = question.question_id ?? question.id;
+    try {
+        return instantiateQuestion(question, getVariantSeed(attempt, questionId));
+    } catch (error) {
+        console.error(`Variant of question ${questionId} for attempt ${attempt && attempt.id} failed, using the base question:`, error);
+        return question;
+    }
+}
+
+/**
+ * Check a parameter list; expressions are test-evaluated with sample values
+ * @returns {string[]} Error messages
+ */
+function validateParameters(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    const parameters = parseJson(value);
+    if (!Array.isArray(parameters)) {
+        return ['parameters must be an array'];
+    }
+
+    const errors = [];
+    const values = {};
+
+    parameters.forEach((parameter, index) => {
+        const label = `parameters[${index}]`;
+        if (!parameter || typeof parameter !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (typeof parameter.name !== 'string' || !PARAMETER_NAME.test(parameter.name)) {
+            errors.push(`${label}.name must be a letter or underscore followed by letters, digits or underscores`);
+            return;
+        }
+        if (parameter.name === 'USER_CODE') {
+            errors.push(`${label}.name USER_CODE is reserved for code templates`);
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(values, parameter.name)) {
+            errors.push(`${label}.name "${parameter.name}" is used more than once`);
+            return;
+        }
+
+        const kinds = ['values', 'expr', 'min'].filter(key => parameter[key] !== undefined);
+        if (kinds.length !== 1) {
+            errors.push(`${label} needs exactly one of values, min/max or expr`);
+        } else if (kinds[0] === 'values') {
+            if (!Array.isArray(parameter.values) || parameter.values.length === 0 ||
+                parameter.values.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+                errors.push(`${label}.values must be a non-empty array of strings or numbers`);
+            }
+        } else if (kinds[0] === 'min') {
+            const min = parseFloat(parameter.min);
+            const max = parseFloat(parameter.max);
+            if (isNaN(min) || isNaN(max) || min > max) {
+                errors.push(`${label} needs numeric min and max with min <= max`);
+            }
+            if (parameter.step !== undefined && !(parseFloat(parameter.step) > 0)) {
+                errors.push(`${label}.step must be a positive number`);
+            }
+        } else {
+            try {
+                values[parameter.name] = String(evaluateExpression(parameter.expr, values));
+            } catch (error) {
+                errors.push(`${label}.expr is invalid: ${error.message}`);
+            }
+        }
+
+        if (parameter.decimals !== undefined) {
+            const decimals = Number(parameter.decimals);
+            if (!Number.isInteger(decimals) || decimals < 0 || decimals > 10) {
+                errors.push(`${label}.decimals must be an integer from 0 to 10`);
+            }
+        }
+
+        // Sample value so later expressions can be checked against it
+        if (!Object.prototype.hasOwnProperty.call(values, parameter.name)) {
+            values[parameter.name] = Array.isArray(parameter.values) ? String(parameter.values[0]) : String(parameter.min ?? 1);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    getParameters,
+    isParameterized,
+    evaluateExpression,
+    getVariantSeed,
+    generateValues,
+    instantiateQuestion,
+    getAttemptVariant,
+    validateParameters
+};
@@ -0,0 +1,177 @@
+/**
+ * Regrading after an answer key or test case fix
+ * Rescores the stored answers of past attempts for one question or a whole
+ * assessment, updates pass/fail and records every change in regrade_audit.
+ */
+
+const { sql } = require('@vercel/postgres');
+const { rescoreAttempt } = require('./attempts');
+
+async function resolveScope({ assessmentId, questionId }) {
+    if (questionId) {
+        const result = await sql`SELECT id, assessment_id FROM questions WHERE id = ${questionId}`;
+        if (result.rows.length === 0) {
+            throw new Error('Question not found');
+        }
+        return { assessmentId: result.rows[0].assessment_id, questionId: result.rows[0].id };
+    }
+
+    const result = await sql`SELECT id FROM assessments WHERE id = ${assessmentId}`;
+    if (result.rows.length === 0) {
+        throw new Error('Assessment not found');
+    }
+    return { assessmentId: result.rows[0].id, questionId: null };
+}
+
+// Attempts per request: reruns go through the code runner, so they get smaller batches
+const RERUN_BATCH_SIZE = 10;
+const RESCORE_BATCH_SIZE = 200;
+
+/**
+ * Regrade past attempts, one batch per call so a large class never outlasts a
+ * request: call again with the returned nextAttemptId (and runId) until done.
+ * Every batch adds its counts and audit entries to the same regrade run.
+ * @param {Object} options
+ * @param {number} options.assessmentId - Regrade every question of this assessment
+ * @param {number} options.questionId - Or only the answers to this question
+ * @param {number} options.userId - Teacher or admin running the regrade
+ * @param {boolean} options.rerunCode - Run code answers again (default true)
+ * @param {boolean} options.dryRun - Report what would change without saving
+ * @param {string} options.reason - Note stored with the audit
+ * @param {number} options.runId - Run started by the first batch
+ * @param {number} options.afterAttemptId - Continue after this attempt
+ * @returns {Promise<Object>} Summary of the batch with the per-attempt before/after
+ *   scores, plus { done, nextAttemptId, progress: { processed, total } }
+ */
+async function regrade({
+    assessmentId = null, questionId = null, userId = null, rerunCode = true, dryRun = false, reason = null,
+    runId = null, afterAttemptId = 0
+}) {
+    try {
+        const scope = await resolveScope({ assessmentId, questionId });
+        const batchSize = rerunCode ? RERUN_BATCH_SIZE : RESCORE_BATCH_SIZE;
+
+        if (runId && !dryRun) {
+            const existing = await sql`SELECT id FROM regrade_runs WHERE id = ${runId} AND assessment_id = ${scope.assessmentId}`;
+            if (existing.rows.length === 0) {
+                throw new Error('Regrade run not found');
+            }
+        }
+
+        // Only attempts that actually answered the question are affected
+        const attempts = await sql`
+            SELECT aa.id, aa.id > ${afterAttemptId} AS pending FROM assessment_attempts aa
+            WHERE aa.assessment_id = ${scope.assessmentId}
+            AND (${scope.questionId}::int IS NULL OR EXISTS (
+                SELECT 1 FROM question_responses qr
+                WHERE qr.attempt_id = aa.id AND qr.question_id = ${scope.questionId}
+            ))
+            ORDER BY aa.id ASC
+        `;
+        const pending = attempts.rows.filter(attempt => attempt.pending);
+        const batch = pending.slice(0, batchSize);
+
+        const reports = [];
+        for (const attempt of batch) {
+            const report = await rescoreAttempt(attempt.id, { dryRun, questionId: scope.questionId, rerunCode });
+            if (report) {
+                reports.push(report);
+            }
+        }
+
+        const done = pending.length <= batchSize;
+        const changed = reports.filter(r => r.changes.length > 0 || r.before.score !== r.after.score);
+        const summary = {
+            runId: runId || null,
+            assessmentId: scope.assessmentId,
+            questionId: scope.questionId,
+            dryRun,
+            rerunCode,
+            attemptsChecked: reports.length,
+            attemptsChanged: changed.length,
+            passChanged: changed.filter(r => r.before.isPassed !== r.after.isPassed).length,
+            attempts: changed,
+            done,
+            nextAttemptId: done || batch.length === 0 ? null : batch[batch.length - 1].id,
+            progress: {
+                processed: attempts.rows.length - pending.length + batch.length,
+                total: attempts.rows.length
+            }
+        };
+
+        if (dryRun) {
+            return summary;
+        }
+
+        if (summary.runId) {
+            await sql`
+                UPDATE regrade_runs
+                SET attempts_checked = attempts_checked + ${summary.attemptsChecked},
+                    attempts_changed = attempts_changed + ${summary.attemptsChanged}
+                WHERE id = ${summary.runId}
+            `;
+        } else {
+            const run = await sql`
+                INSERT INTO regrade_runs (
+                    assessment_id, question_id, performed_by, rerun_code, reason, attempts_checked, attempts_changed
+                ) VALUES (
+                    ${scope.assessmentId}, ${scope.questionId}, ${userId}, ${rerunCode}, ${reason},
+                    ${summary.attemptsChecked}, ${summary.attemptsChanged}
+                ) RETURNING id
+            `;
+            summary.runId = run.rows[0].id;
+        }
+
+        for (const report of changed) {
+            await sql`
+                INSERT INTO regrade_audit (
+                    run_id, attempt_id, before_score, after_score, before_passed, after_passed, response_changes
+                ) VALUES (
+                    ${summary.runId}, ${report.attemptId}, ${report.before.score}, ${report.after.score},
+                    ${report.before.isPassed}, ${report.after.isPassed}, ${JSON.stringify(report.changes)}
+                )
+            `;
+        }
+
+        return summary;
+    } catch (error) {
+        console.error('Database error in regrade:', error);
+        throw error;
+    }
+}
+
+/**
+ * Past regrade runs of an assessment, newest first, with their audit entries
+ */
+async function getRegradeHistory(assessmentId) {
+    try {
+        const runs = await sql`
+            SELECT rr.*, u.first_name, u.last_name, q.question_text
+            FROM regrade_runs rr
+            LEFT JOIN users u ON rr.performed_by = u.id
+            LEFT JOIN questions q ON rr.question_id = q.id
+            WHERE rr.assessment_id = ${assessmentId}
+            ORDER BY rr.created_at DESC
+        `;
+
+        const audit = await sql`
+            SELECT ra.*, u.email, u.first_name, u.last_name
+            FROM regrade_audit ra
+            JOIN regrade_runs rr ON ra.run_id = rr.id
+            JOIN assessment_attempts aa ON ra.attempt_id = aa.id
+            JOIN users u ON aa.user_id = u.id
+            WHERE rr.assessment_id = ${assessmentId}
+            ORDER BY ra.id ASC
+        `;
+
+        return runs.rows.map(run => ({
+            ...run,
+            entries: audit.rows.filter(entry => entry.run_id === run.id)
+        }));
+    } catch (error) {
+        console.error('Database error in getRegradeHistory:', error);
+        throw error;
+    }
+}
+
+module.exports = { regrade, getRegradeHistory };
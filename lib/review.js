@@ -0,0 +1,155 @@
+/**
+ * Answer review for students
+ * After submitting, a student can go through every question with their answer,
+ * the correct answer, the explanation and the test case outcomes. The
+ * assessment's review_policy decides when that review unlocks.
+ */
+
+const { sql } = require('@vercel/postgres');
+const { parseJson, toStudentExecutionResult } = require('./grading');
+const { getDeadline } = require('./attempts');
+const { REVIEW_POLICIES } = require('./attempt-policy');
+const { getAttemptVariant } = require('./question-variants');
+const { getAttemptLayout, applyAttemptLayout } = require('./attempt-layout');
+
+function getReviewPolicy(assessment) {
+    return REVIEW_POLICIES.includes(assessment.review_policy) ? assessment.review_policy : 'immediately';
+}
+
+/**
+ * Whether the review of an attempt is unlocked
+ * @param {Object} assessment - Assessment row (review_policy, duration_minutes)
+ * @param {Object} attempt - Attempt row
+ * @param {Date} now - Current time
+ * @returns {Object} { policy, available, reason, availableAt }
+ */
+function getReviewAvailability(assessment, attempt, now = new Date()) {
+    const policy = getReviewPolicy(assessment);
+    const summary = { policy, available: false, reason: null, availableAt: null };
+
+    if (attempt.status === 'in_progress') {
+        return { ...summary, reason: 'Submit the assessment to review your answers' };
+    }
+
+    switch (policy) {
+        case 'immediately':
+            return { ...summary, available: true };
+        case 'after_deadline': {
+            const deadline = getDeadline(attempt, assessment.duration_minutes);
+            if (!deadline || deadline.getTime() <= now.getTime()) {
+                return { ...summary, available: true };
+            }
+            return {
+                ...summary,
+                reason: 'The review opens when the time limit for this attempt has passed',
+                availableAt: deadline.toISOString()
+            };
+        }
+        case 'after_grading':
+            if (attempt.status === 'graded') {
+                return { ...summary, available: true };
+            }
+            return { ...summary, reason: 'The review opens once your teacher has graded this attempt' };
+        default:
+            return { ...summary, reason: 'Answer review is not available for this assessment' };
+    }
+}
+
+/**
+ * Attempt with its assessment's review settings
+ */
+async function getReviewAttempt(attemptId) {
+    try {
+        const result = await sql`
+            SELECT aa.*, a.title as assessment_title, a.step_number, a.passing_score,
+                   a.duration_minutes, a.review_policy
+            FROM assessment_attempts aa
+            JOIN assessments a ON aa.assessment_id = a.id
+            WHERE aa.id = ${attemptId}
+        `;
+        return result.rows[0];
+    } catch (error) {
+        console.error('Database error in getReviewAttempt:', error);
+        throw error;
+    }
+}
+
+/**
+ * Every question of the attempt (the drawn set for pooled assessments, the
+ * student's variant of parameterized ones) with the student's response, in the
+ * order and with the option order the student was shown.
+ * Hidden test cases only show whether they passed.
+ */
+async function getAttemptReview(attempt) {
+    try {
+        const result = await sql`
+            SELECT
+                q.id as question_id, q.question_type, q.question_text, q.code_snippet, q.options,
+                q.correct_answer, q.explanation, q.points as max_points, q.order_index, q.parameters,
+                qr.user_answer, qr.is_correct, qr.points_earned, qr.time_spent_seconds,
+                qr.code_execution_result, qr.rubric_scores, qr.grader_comment
+            FROM questions q
+            JOIN assessment_attempts aa ON aa.id = ${attempt.id}
+            LEFT JOIN question_responses qr ON qr.question_id = q.id AND qr.attempt_id = aa.id
+            WHERE q.assessment_id = aa.assessment_id
+            AND (aa.question_ids IS NULL OR aa.question_ids @> to_jsonb(q.id))
+            ORDER BY q.order_index ASC, q.id ASC
+        `;
+
+        const rows = applyAttemptLayout(
+            result.rows
+                .map(row => getAttemptVariant(row, attempt))
+                .map(row => ({ ...row, id: row.question_id, options: parseJson(row.options) })),
+            getAttemptLayout(attempt)
+        );
+
+        return {
+            attempt: {
+                id: attempt.id,
+                assessmentId: attempt.assessment_id,
+                assessmentTitle: attempt.assessment_title,
+                stepNumber: attempt.step_number,
+                attemptNumber: attempt.attempt_number,
+                status: attempt.status,
+                startedAt: attempt.started_at,
+                submittedAt: attempt.submitted_at,
+                gradedAt: attempt.graded_at,
+                score: attempt.score,
+                totalPoints: attempt.total_points,
+                isPassed: attempt.is_passed,
+                passingScore: attempt.passing_score,
+                timeSpent: attempt.time_spent_seconds,
+                feedback: attempt.feedback
+            },
+            questions: rows.map((row, index) => ({
+                number: index + 1,
+                questionId: row.question_id,
+                questionType: row.question_type,
+                questionText: row.question_text,
+                codeSnippet: row.code_snippet,
+                options: row.options,
+                answered: row.user_answer !== null && row.user_answer !== undefined,
+                userAnswer: row.user_answer,
+                correctAnswer: row.correct_answer,
+                explanation: row.explanation,
+                isCorrect: row.is_correct === true,
+                pointsEarned: parseFloat(row.points_earned) || 0,
+                maxPoints: parseFloat(row.max_points) || 0,
+                timeSpentSeconds: row.time_spent_seconds || 0,
+                executionResult: toStudentExecutionResult(parseJson(row.code_execution_result)),
+                rubricScores: parseJson(row.rubric_scores),
+                graderComment: row.grader_comment
+            }))
+        };
+    } catch (error) {
+        console.error('Database error in getAttemptReview:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    getReviewPolicy,
+    getReviewAvailability,
+    getReviewAttempt,
+    getAttemptReview
+};
@@ -0,0 +1,77 @@
+/**
+ * Shared definitions for code runner drivers
+ * Every driver returns results in the same shape, using Judge0 status ids
+ */
+
+const STATUS = {
+    ACCEPTED: { id: 3, description: 'Accepted' },
+    TIME_LIMIT_EXCEEDED: { id: 5, description: 'Time Limit Exceeded' },
+    COMPILATION_ERROR: { id: 6, description: 'Compilation Error' },
+    RUNTIME_ERROR: { id: 11, description: 'Runtime Error (NZEC)' },
+    INTERNAL_ERROR: { id: 13, description: 'Internal Error' }
+};
+
+// Fixture files are plain relative paths inside the working directory, and never source or class files
+const FIXTURE_NAME = /^[\w.-]+(\/[\w.-]+)*$/;
+// Judge0 multi-file submissions keep their build scripts next to the fixtures
+const RESERVED_FIXTURE_NAMES = ['compile', 'run'];
+
+function isValidFixtureName(name) {
+    return typeof name === 'string' && FIXTURE_NAME.test(name) && !RESERVED_FIXTURE_NAMES.includes(name) &&
+        !name.split('/').some(part => part === '.' || part === '..') && !/\.(java|class)$/i.test(name);
+}
+
+function getMainClassName(sourceCode) {
+    const match = sourceCode.match(/public\s+(?:final\s+|abstract\s+)*class\s+([A-Za-z_$][\w$]*)/);
+    return match ? match[1] : 'Main';
+}
+
+function readNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Resource limits shared by all drivers, configurable through the environment.
+ * cpuTimeLimit and wallTimeLimit are seconds, memoryLimit is KB (as in Judge0).
+ */
+function getLimits(overrides = {}) {
+    return {
+        cpuTimeLimit: readNumber('RUNNER_CPU_TIME_LIMIT', 10),
+        wallTimeLimit: readNumber('RUNNER_WALL_TIME_LIMIT', 15),
+        memoryLimit: readNumber('RUNNER_MEMORY_LIMIT', 128000),
+        ...overrides
+    };
+}
+
+function createResult(status, fields = {}) {
+    return {
+        success: status.id === STATUS.ACCEPTED.id,
+        statusId: status.id,
+        status: status.description,
+        stdout: '',
+        stderr: '',
+        compileOutput: '',
+        executionTime: null,
+        memoryUsage: null,
+        ...fields
+    };
+}
+
+/**
+ * Convert a normalized result back to the Judge0 response shape the browser clients parse
+ */
+function toJudge0Response(result) {
+    return {
+        status: { id: result.statusId, description: result.status },
+        stdout: result.stdout,
+        stderr: result.stderr,
+        compile_output: result.compileOutput,
+        time: result.executionTime !== null ? (result.executionTime / 1000).toFixed(3) : null,
+        memory: result.memoryUsage,
+        token: result.token || null,
+        files: result.files || null
+    };
+}
+
+module.exports = { STATUS, isValidFixtureName, getMainClassName, getLimits, createResult, toJudge0Response };
@@ -0,0 +1,40 @@
+/**
+ * Code runner selection
+ * CODE_RUNNER picks the driver: judge0 (default), local or docker
+ */
+
+const Judge0Runner = require('./judge0');
+const LocalJavaRunner = require('./local');
+const { STATUS, getLimits, toJudge0Response } = require('./common');
+
+let defaultRunner = null;
+
+/**
+ * Create a runner for the given driver name
+ * @param {string} driver - judge0, local or docker
+ * @param {Object} options - Driver specific options
+ */
+function createRunner(driver, options = {}) {
+    switch (driver) {
+        case 'judge0':
+            return new Judge0Runner(options);
+        case 'local':
+            return new LocalJavaRunner(options);
+        case 'docker':
+            return new LocalJavaRunner({ ...options, useDocker: true });
+        default:
+            throw new Error(`Unknown code runner: ${driver}`);
+    }
+}
+
+/**
+ * Runner configured for this deployment, created once per process
+ */
+function getRunner() {
+    if (!defaultRunner) {
+        defaultRunner = createRunner(process.env.CODE_RUNNER || 'judge0');
+    }
+    return defaultRunner;
+}
+
+module.exports = { createRunner, getRunner, getLimits, toJudge0Response, STATUS };
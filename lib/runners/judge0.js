@@ -0,0 +1,297 @@
+/**
+ * Judge0 runner driver
+ * Works with the public CE instance, RapidAPI, or a self-hosted Judge0 server
+ */
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { STATUS, getMainClassName, getLimits, createResult } = require('./common');
+const { createZip } = require('./zip');
+
+const JAVA_LANGUAGE_ID = 62;
+// Judge0's "Multi-file program": the zip in additional_files brings its own compile and run scripts
+const MULTI_FILE_LANGUAGE_ID = 89;
+// Judge0's default MAX_SUBMISSION_BATCH_SIZE
+const MAX_BATCH_SIZE = 20;
+const BATCH_POLL_INTERVAL = 500;
+const BATCH_POLL_ATTEMPTS = 60;
+
+class Judge0Runner {
+    constructor(options = {}) {
+        this.name = 'judge0';
+        this.apiUrl = (options.apiUrl || process.env.JUDGE0_API_URL || 'https://ce.judge0.com').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || process.env.JUDGE0_API_KEY;
+        this.authToken = options.authToken || process.env.JUDGE0_AUTH_TOKEN;
+        this.languageId = options.languageId || JAVA_LANGUAGE_ID;
+        this.limits = getLimits(options.limits);
+    }
+
+    buildHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.apiKey && this.apiUrl.includes('rapidapi.com')) {
+            headers['X-RapidAPI-Key'] = this.apiKey;
+            headers['X-RapidAPI-Host'] = new URL(this.apiUrl).host;
+        }
+
+        // Self-hosted instances protect the API with AUTHN_TOKEN
+        if (this.authToken) {
+            headers['X-Auth-Token'] = this.authToken;
+        }
+
+        return headers;
+    }
+
+    normalize(data) {
+        const status = data.status || STATUS.INTERNAL_ERROR;
+
+        return createResult(status, {
+            stdout: data.stdout || '',
+            stderr: data.stderr || '',
+            compileOutput: data.compile_output || '',
+            executionTime: data.time ? parseFloat(data.time) * 1000 : null,
+            memoryUsage: data.memory ? parseInt(data.memory) : null,
+            token: data.token || null
+        });
+    }
+
+    /**
+     * Submission for a program with fixture files or extra Java sources. The
+     * sources, the fixtures and two scripts go into one zip; after the program exits the run script prints
+     * every output file after a boundary line, so they come back in stdout.
+     */
+    buildMultiFileSubmission(sourceCode, files, outputFiles, sources = {}, mainClass = null) {
+        const className = getMainClassName(sourceCode);
+        const boundary = `--jcas-file-${crypto.randomBytes(8).toString('hex')}--`;
+        const quote = name => `'${name}'`;
+        const compileFiles = [`${className}.java`, ...Object.keys(sources)].map(quote).join(' ');
+
+        const run = [
+            `java -XX:+DisableAttachMechanism -cp . ${mainClass || className}`,
+            'status=$?',
+            ...outputFiles.map(name => (
+                `if [ -f ${quote(name)} ] && [ ! -L ${quote(name)} ]; then printf '\\n%s %s\\n' '${boundary}' ${quote(name)}; cat ${quote(name)}; ` +
+                `else printf '\\n%s-missing %s\\n' '${boundary}' ${quote(name)}; fi`
+            )),
+            'exit $status'
+        ].join('\n');
+
+        const archive = createZip({
+            ...files,
+            ...sources,
+            [`${className}.java`]: sourceCode,
+            compile: `javac -encoding UTF-8 -d . ${compileFiles}\n`,
+            run: `${run}\n`
+        });
+
+        return {
+            boundary,
+            body: {
+                language_id: MULTI_FILE_LANGUAGE_ID,
+                additional_files: archive.toString('base64')
+            }
+        };
+    }
+
+    /**
+     * Split the output files off the end of stdout
+     */
+    extractFiles(result, boundary, outputFiles) {
+        const files = Object.fromEntries(outputFiles.map(name => [name, null]));
+        const start = result.stdout.indexOf(`\n${boundary}`);
+        if (start === -1) {
+            return { ...result, files };
+        }
+
+        const sections = result.stdout.slice(start + 1).split(`\n${boundary}`);
+        sections.forEach((section, index) => {
+            const text = index === 0 ? section.slice(boundary.length) : section;
+            const headerEnd = text.indexOf('\n');
+            const header = text.slice(0, headerEnd === -1 ? text.length : headerEnd);
+            if (!header.startsWith(' ')) {
+                return;
+            }
+            files[header.slice(1)] = headerEnd === -1 ? '' : text.slice(headerEnd + 1);
+        });
+
+        return { ...result, stdout: result.stdout.slice(0, start), files };
+    }
+
+    /**
+     * Request body for one run, plus what is needed to read its output files back
+     */
+    buildSubmission(sourceCode, { stdin = '', files = null, outputFiles = [] }, { sources = null, mainClass = null } = {}) {
+        const multiFile = files || (outputFiles && outputFiles.length > 0) || sources
+            ? this.buildMultiFileSubmission(sourceCode, files || {}, outputFiles || [], sources || {}, mainClass)
+            : null;
+        const program = multiFile
+            ? multiFile.body
+            : { source_code: sourceCode, language_id: this.languageId };
+
+        return {
+            body: {
+                ...program,
+                stdin: stdin || '',
+                cpu_time_limit: this.limits.cpuTimeLimit,
+                memory_limit: this.limits.memoryLimit,
+                wall_time_limit: this.limits.wallTimeLimit
+            },
+            boundary: multiFile ? multiFile.boundary : null,
+            outputFiles: outputFiles || []
+        };
+    }
+
+    finishResult(result, submission) {
+        return submission.boundary && submission.outputFiles.length > 0
+            ? this.extractFiles(result, submission.boundary, submission.outputFiles)
+            : result;
+    }
+
+    /**
+     * Run Java source code once and wait for the result
+     * @param {string} sourceCode - Complete Java source
+     * @param {string} stdin - Standard input for the program
+     * @param {Object} options
+     * @param {Object} options.files - Fixture files (contents by relative path) placed next to the program
+     * @param {string[]} options.outputFiles - Files to read back after the run, returned as `files`
+     * @param {Object} options.sources - More Java files (contents by relative path) compiled with the program
+     * @param {string} options.mainClass - Class to run, by default the program's public class
+     * @returns {Promise<Object>} Normalized execution result
+     */
+    async execute(sourceCode, stdin = '', { files = null, outputFiles = [], sources = null, mainClass = null } = {}) {
+        const submission = this.buildSubmission(sourceCode, { stdin, files, outputFiles }, { sources, mainClass });
+
+        const response = await fetch(`${this.apiUrl}/submissions?base64_encoded=false&wait=true`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(submission.body)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Judge0 API error: ${response.status} ${errorText}`);
+        }
+
+        const data = await response.json();
+
+        // Instances with wait disabled only hand back a token
+        const result = !data.status && data.token
+            ? await this.waitForSubmission(data.token)
+            : this.normalize(data);
+
+        return this.finishResult(result, submission);
+    }
+
+    /**
+     * Run the program once per input through Judge0's batch endpoints: one
+     * request creates the submissions and each polling round asks for all the
+     * unfinished ones at once. Batches above Judge0's size limit are split and
+     * the parts run in parallel. Judge0 compiles every submission itself.
+     * @param {string} sourceCode - Complete Java source
+     * @param {Object[]} runs - { stdin, files, outputFiles } per run
+     * @param {Object} options - { sources, mainClass }, shared by all runs (see execute)
+     * @returns {Promise<Object[]>} Normalized execution results, in the order of runs
+     */
+    async executeBatch(sourceCode, runs, options = {}) {
+        const submissions = runs.map(run => this.buildSubmission(sourceCode, run, options));
+        const chunks = [];
+        for (let i = 0; i < submissions.length; i += MAX_BATCH_SIZE) {
+            chunks.push(submissions.slice(i, i + MAX_BATCH_SIZE));
+        }
+
+        const results = await Promise.all(chunks.map(chunk => this.runBatch(chunk)));
+        return results.flat();
+    }
+
+    async runBatch(submissions) {
+        const response = await fetch(`${this.apiUrl}/submissions/batch?base64_encoded=false`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify({ submissions: submissions.map(submission => submission.body) })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Judge0 API error: ${response.status} ${errorText}`);
+        }
+
+        // One entry per submission: { token }, or the reasons Judge0 refused it
+        const created = await response.json();
+        const results = await this.waitForSubmissions(created.map(entry => entry.token).filter(Boolean));
+
+        return submissions.map((submission, index) => {
+            const entry = created[index] || {};
+            return entry.token
+                ? this.finishResult(results.get(entry.token), submission)
+                : createResult(STATUS.INTERNAL_ERROR, { stderr: `Judge0 rejected the submission: ${JSON.stringify(entry)}` });
+        });
+    }
+
+    /**
+     * Poll a set of submissions together until every one has finished
+     * @returns {Promise<Map>} Normalized results by token
+     */
+    async waitForSubmissions(tokens, maxAttempts = BATCH_POLL_ATTEMPTS, interval = BATCH_POLL_INTERVAL) {
+        const results = new Map();
+        let pending = tokens;
+
+        for (let attempt = 0; attempt < maxAttempts && pending.length > 0; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+
+            const tokenList = pending.map(encodeURIComponent).join(',');
+            const response = await fetch(`${this.apiUrl}/submissions/batch?tokens=${tokenList}&base64_encoded=false`, {
+                headers: this.buildHeaders()
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Judge0 API error: ${response.status} ${errorText}`);
+            }
+
+            // Submissions come back in the order of the tokens
+            const data = await response.json();
+            (data.submissions || []).forEach((submission, index) => {
+                const result = this.normalize({ ...submission, token: pending[index] });
+                if (result.statusId > 2) {
+                    results.set(pending[index], result);
+                }
+            });
+            pending = pending.filter(token => !results.has(token));
+        }
+
+        if (pending.length > 0) {
+            throw new Error('Execution timed out');
+        }
+        return results;
+    }
+
+    async waitForSubmission(token, maxAttempts = 10, interval = 1000) {
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const result = await this.getSubmission(token);
+            if (result.statusId > 2) {
+                return result;
+            }
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+
+        throw new Error('Execution timed out');
+    }
+
+    /**
+     * Fetch a submission created earlier without wait=true
+     */
+    async getSubmission(token) {
+        const response = await fetch(`${this.apiUrl}/submissions/${encodeURIComponent(token)}?base64_encoded=false`, {
+            headers: this.buildHeaders()
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Judge0 API error: ${response.status} ${errorText}`);
+        }
+
+        return this.normalize(await response.json());
+    }
+}
+
+module.exports = Judge0Runner;
@@ -0,0 +1,325 @@
+/**
+ * Local Java runner driver
+ * Compiles and runs submissions with javac/java on this machine, either as
+ * sandboxed child processes or inside a throwaway Docker container.
+ * Needs no internet access, which makes it usable in offline labs.
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATUS, getMainClassName, getLimits, createResult } = require('./common');
+
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const COMPILE_HEAP_MB = 256;
+// Metaspace, code cache and thread stacks on top of the heap
+const JVM_OVERHEAD_MB = 192;
+// Address space the JVM reserves besides the heap, with the reservations below capped
+const VIRTUAL_OVERHEAD_MB = 1024;
+const JVM_RESERVE_OPTIONS = ['-XX:CompressedClassSpaceSize=64m', '-XX:ReservedCodeCacheSize=64m', '-XX:MaxMetaspaceSize=128m'];
+const MAX_PROCESSES = 128;
+// The program gets only these variables from the server's environment, never its secrets
+const SANDBOX_ENV = ['PATH', 'LANG', 'LC_ALL', 'TZ', 'JAVA_HOME'];
+const DOCKER_ENV = ['HOME', 'DOCKER_HOST', 'DOCKER_CONFIG', 'DOCKER_CONTEXT', 'DOCKER_CERT_PATH', 'DOCKER_TLS_VERIFY'];
+// Runs inside the private mount namespace: everything under the work directory
+// becomes read-only except the run directory, then the program starts without capabilities
+const MOUNT_SCRIPT = [
+    'mount --bind "$1" "$1" && mount -o remount,bind,ro "$1" &&',
+    'mount --bind "$2" "$2" && mount -o remount,bind,rw "$2" && cd "$2" || exit 125',
+    'shift 2',
+    'exec "$@"'
+].join('\n');
+
+function getSandboxEnv(names) {
+    const env = {};
+    names.filter(name => process.env[name] !== undefined).forEach(name => {
+        env[name] = process.env[name];
+    });
+    return env;
+}
+
+function runProcess(command, args, { cwd, env, stdin = '', timeoutMs, onTimeout }) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        // Own process group, so a timeout also kills anything the program started
+        const child = spawn(command, args, { cwd, env, stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+
+        const append = (current, chunk) => (
+            current.length < MAX_OUTPUT_BYTES ? current + chunk.toString().slice(0, MAX_OUTPUT_BYTES - current.length) : current
+        );
+
+        child.stdout.on('data', chunk => { stdout = append(stdout, chunk); });
+        child.stderr.on('data', chunk => { stderr = append(stderr, chunk); });
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            if (onTimeout) {
+                onTimeout();
+            }
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch (error) {
+                child.kill('SIGKILL');
+            }
+        }, timeoutMs);
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            resolve({ code, signal, stdout, stderr, timedOut, durationMs: Date.now() - startedAt });
+        });
+
+        // The program may exit before reading its input
+        child.stdin.on('error', () => {});
+        child.stdin.end(stdin || '');
+    });
+}
+
+class LocalJavaRunner {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.useDocker - Run inside a container instead of a local process
+     * @param {string} options.dockerImage - JDK image used in Docker mode
+     * @param {string} options.javaHome - JDK location for process mode (defaults to PATH)
+     * @param {boolean} options.allowNetwork - Skip network isolation in process mode
+     * @param {boolean} options.allowUnsandboxed - Run process mode without namespaces where unshare is unavailable
+     * @param {Object} options.limits - Overrides for cpuTimeLimit, wallTimeLimit, memoryLimit
+     */
+    constructor(options = {}) {
+        this.useDocker = options.useDocker || false;
+        this.name = this.useDocker ? 'docker' : 'local';
+        this.dockerImage = options.dockerImage || process.env.RUNNER_DOCKER_IMAGE || 'eclipse-temurin:17-jdk';
+        this.javaHome = options.javaHome || process.env.JAVA_HOME || null;
+        this.allowNetwork = options.allowNetwork ?? process.env.RUNNER_ALLOW_NETWORK === 'true';
+        this.allowUnsandboxed = options.allowUnsandboxed ?? process.env.RUNNER_ALLOW_UNSANDBOXED === 'true';
+        this.warnedUnsandboxed = false;
+        this.limits = getLimits(options.limits);
+    }
+
+    javaBinary(name) {
+        return this.javaHome ? path.join(this.javaHome, 'bin', name) : name;
+    }
+
+    /**
+     * Build the command line for one sandboxed step. CPU time, address space
+     * and process count are capped with rlimits, memory also through the JVM heap
+     * (and the container in Docker mode). On Linux the program runs in a private
+     * user, mount and network namespace: it only sees a loopback device and
+     * can write nothing but its own run directory.
+     */
+    buildCommand(workDir, javaArgs, containerName, runDir = '.') {
+        const cpuSeconds = Math.ceil(this.limits.cpuTimeLimit);
+        const memoryMb = Math.ceil(this.limits.memoryLimit / 1024);
+
+        if (this.useDocker) {
+            return {
+                command: 'docker',
+                args: [
+                    'run', '--rm', '-i',
+                    '--name', containerName,
+                    '--network', 'none',
+                    '--memory', `${Math.max(memoryMb, COMPILE_HEAP_MB) + JVM_OVERHEAD_MB}m`,
+                    '--memory-swap', `${Math.max(memoryMb, COMPILE_HEAP_MB) + JVM_OVERHEAD_MB}m`,
+                    '--cpus', '1',
+                    '--pids-limit', String(MAX_PROCESSES),
+                    '--ulimit', `cpu=${cpuSeconds}:${cpuSeconds}`,
+                    '--read-only',
+                    '--tmpfs', '/tmp:rw,size=64m',
+                    '--user', '65534:65534',
+                    '-v', `${workDir}:/workspace`,
+                    '-w', path.posix.join('/workspace', runDir),
+                    this.dockerImage,
+                    ...javaArgs
+                ]
+            };
+        }
+
+        const virtualKb = (Math.max(memoryMb, COMPILE_HEAP_MB) + VIRTUAL_OVERHEAD_MB) * 1024;
+
+        // Without namespaces the program keeps the network and the server user's files
+        if (process.platform !== 'linux') {
+            if (!this.allowUnsandboxed) {
+                throw new Error('The local runner can only isolate programs on Linux (unshare); ' +
+                    'use CODE_RUNNER=docker, or set RUNNER_ALLOW_UNSANDBOXED=true to run them without isolation');
+            }
+            if (!this.warnedUnsandboxed) {
+                console.warn('WARNING: RUNNER_ALLOW_UNSANDBOXED is set - submitted programs run with network access ' +
+                    'and the permissions of the server user. Never use this with untrusted code.');
+                this.warnedUnsandboxed = true;
+            }
+            return { command: 'sh', args: ['-c', `ulimit -t ${cpuSeconds}; ulimit -v ${virtualKb}; exec "$@"`, 'sandbox', ...javaArgs] };
+        }
+
+        const namespaces = this.allowNetwork ? ['--mount'] : ['--mount', '--net'];
+        return {
+            command: 'unshare',
+            args: [
+                '--map-root-user', ...namespaces,
+                'sh', '-c', MOUNT_SCRIPT, 'sandbox', workDir, path.join(workDir, runDir),
+                'prlimit', `--cpu=${cpuSeconds}`, `--as=${virtualKb * 1024}`, `--nproc=${MAX_PROCESSES}`, '--',
+                'setpriv', '--no-new-privs', '--bounding-set=-all', '--inh-caps=-all', '--',
+                ...javaArgs
+            ]
+        };
+    }
+
+    async runStep(workDir, javaArgs, stdin, runDir = '.') {
+        const containerName = `jcas-run-${crypto.randomBytes(6).toString('hex')}`;
+        const { command, args } = this.buildCommand(workDir, javaArgs, containerName, runDir);
+
+        return await runProcess(command, args, {
+            cwd: path.join(workDir, runDir),
+            env: this.useDocker ? getSandboxEnv(DOCKER_ENV) : { ...getSandboxEnv(SANDBOX_ENV), MALLOC_ARENA_MAX: '2' },
+            stdin,
+            timeoutMs: this.limits.wallTimeLimit * 1000,
+            onTimeout: this.useDocker
+                ? () => spawn('docker', ['kill', containerName], { stdio: 'ignore' }).on('error', () => {})
+                : null
+        });
+    }
+
+    /**
+     * Write fixture files or extra sources into the working directory, writable for the container user
+     */
+    async writeFiles(workDir, files) {
+        for (const [name, content] of Object.entries(files)) {
+            const filePath = path.join(workDir, name);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.chmod(path.dirname(filePath), 0o777);
+            await fs.promises.writeFile(filePath, content, 'utf8');
+            await fs.promises.chmod(filePath, 0o666);
+        }
+    }
+
+    /**
+     * Files the program wrote, null for the ones it did not create
+     * Only regular files inside the working directory are read - the program
+     * could leave a symlink pointing anywhere on this machine.
+     */
+    async readFiles(workDir, names) {
+        const root = await fs.promises.realpath(workDir);
+        const files = {};
+        for (const name of names) {
+            try {
+                const filePath = await fs.promises.realpath(path.join(workDir, name));
+                const stats = await fs.promises.stat(filePath);
+                if (!filePath.startsWith(root + path.sep) || !stats.isFile()) {
+                    files[name] = null;
+                    continue;
+                }
+                const content = await fs.promises.readFile(filePath, 'utf8');
+                files[name] = content.slice(0, MAX_OUTPUT_BYTES);
+            } catch (error) {
+                files[name] = null;
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Compile and run Java source code once
+     * @param {string} sourceCode - Complete Java source
+     * @param {string} stdin - Standard input for the program
+     * @param {Object} options
+     * @param {Object} options.files - Fixture files (contents by relative path) placed next to the program
+     * @param {string[]} options.outputFiles - Files to read back after the run, returned as `files`
+     * @param {Object} options.sources - More Java files (contents by relative path) compiled with the program
+     * @param {string} options.mainClass - Class to run, by default the program's public class
+     * @returns {Promise<Object>} Normalized execution result
+     */
+    async execute(sourceCode, stdin = '', { files = null, outputFiles = [], sources = null, mainClass = null } = {}) {
+        const [result] = await this.executeBatch(sourceCode, [{ stdin, files, outputFiles }], { sources, mainClass });
+        return result;
+    }
+
+    /**
+     * Compile once and run the program for every input, one run after another.
+     * Each run gets its own directory for its fixture files. The compiled
+     * classes one level up are read-only to the program in Docker mode and on
+     * Linux; elsewhere it runs as the server's user and could change them.
+     * @param {string} sourceCode - Complete Java source
+     * @param {Object[]} runs - { stdin, files, outputFiles } per run
+     * @param {Object} options - { sources, mainClass }, shared by all runs (see execute)
+     * @returns {Promise<Object[]>} Normalized execution results, in the order of runs
+     */
+    async executeBatch(sourceCode, runs, { sources = null, mainClass = null } = {}) {
+        const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jcas-'));
+
+        try {
+            const className = getMainClassName(sourceCode);
+            await fs.promises.writeFile(path.join(workDir, `${className}.java`), sourceCode, 'utf8');
+            if (sources) {
+                await this.writeFiles(workDir, sources);
+            }
+            // The container user must be able to write class files into the mount
+            await fs.promises.chmod(workDir, 0o777);
+
+            const javac = this.useDocker ? 'javac' : this.javaBinary('javac');
+            const compile = await this.runStep(workDir, [
+                javac, `-J-Xmx${COMPILE_HEAP_MB}m`, ...JVM_RESERVE_OPTIONS.map(option => `-J${option}`), '-encoding', 'UTF-8', '-d', '.',
+                `${className}.java`, ...Object.keys(sources || {})
+            ], '');
+
+            if (compile.timedOut) {
+                return runs.map(() => createResult(STATUS.TIME_LIMIT_EXCEEDED, { compileOutput: 'Compilation timed out' }));
+            }
+            if (compile.code !== 0) {
+                return runs.map(() => createResult(STATUS.COMPILATION_ERROR, { compileOutput: compile.stderr || compile.stdout }));
+            }
+
+            await fs.promises.chmod(workDir, 0o755);
+
+            const results = [];
+            for (let i = 0; i < runs.length; i++) {
+                results.push(await this.runCompiled(workDir, `run-${i + 1}`, mainClass || className, runs[i]));
+            }
+            return results;
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    async runCompiled(workDir, runDir, className, { stdin = '', files = null, outputFiles = [] }) {
+        const runPath = path.join(workDir, runDir);
+        await fs.promises.mkdir(runPath);
+        await fs.promises.chmod(runPath, 0o777);
+        if (files) {
+            await this.writeFiles(runPath, files);
+        }
+
+        const heapMb = Math.max(16, Math.ceil(this.limits.memoryLimit / 1024));
+        const java = this.useDocker ? 'java' : this.javaBinary('java');
+        const run = await this.runStep(workDir, [
+            java, `-Xmx${heapMb}m`, ...JVM_RESERVE_OPTIONS, '-Xss8m', '-XX:+UseSerialGC', '-XX:+DisableAttachMechanism', '-cp', '..', className
+        ], stdin || '', runDir);
+
+        const fields = {
+            stdout: run.stdout,
+            stderr: run.stderr,
+            executionTime: run.durationMs
+        };
+        if (outputFiles && outputFiles.length > 0) {
+            fields.files = await this.readFiles(runPath, outputFiles);
+        }
+
+        if (run.timedOut || run.signal === 'SIGXCPU' || run.code === 152) {
+            return createResult(STATUS.TIME_LIMIT_EXCEEDED, fields);
+        }
+        if (run.code !== 0) {
+            return createResult(STATUS.RUNTIME_ERROR, fields);
+        }
+        return createResult(STATUS.ACCEPTED, fields);
+    }
+}
+
+module.exports = LocalJavaRunner;
@@ -0,0 +1,255 @@
+/**
+ * Partial-credit scoring rules
+ * Turns a graded answer into points. Rules live in the questions.scoring column:
+ *
+ *   {
+ *     "partialCredit": true,          // code questions: points in proportion to passed test weight
+ *     "negativeMarking": 0.25,        // choice questions: fraction of the points lost on a wrong answer
+ *     "acceptedAnswers": ["..."],     // code_completion: other correct snippets
+ *     "patterns": ["^return\\s+a\\s*\\+\\s*b;?$", { "pattern": "...", "flags": "i" }]
+ *   }
+ *
+ * Each test case may carry a "weight" (default 1). Everything here is pure so
+ * stored responses can be rescored when the rules change.
+ *
+ * Questions graded by hand can also have a rubric (questions.rubric):
+ *   [{ "criterion": "Uses a loop", "points": 4 }, ...]
+ */
+
+const CHOICE_TYPES = ['multiple_choice', 'code_reading', 'true_false'];
+
+const DEFAULT_RULES = {
+    partialCredit: false,
+    negativeMarking: 0,
+    acceptedAnswers: [],
+    patterns: []
+};
+
+function parseJson(value) {
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+    return value;
+}
+
+/**
+ * Scoring rules for a question, with defaults filled in
+ * @param {Object} question - Row from the questions table
+ * @returns {Object} { partialCredit, negativeMarking, acceptedAnswers, patterns }
+ */
+function getScoringRules(question) {
+    const rules = parseJson(question && question.scoring);
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return { ...DEFAULT_RULES };
+    }
+
+    const negativeMarking = parseFloat(rules.negativeMarking);
+
+    return {
+        partialCredit: rules.partialCredit === true,
+        negativeMarking: isNaN(negativeMarking) ? 0 : Math.min(Math.max(negativeMarking, 0), 1),
+        acceptedAnswers: Array.isArray(rules.acceptedAnswers) ? rules.acceptedAnswers : [],
+        patterns: Array.isArray(rules.patterns) ? rules.patterns : []
+    };
+}
+
+function roundPoints(points) {
+    return Math.round(points * 100) / 100;
+}
+
+function getTestWeight(testCase) {
+    const weight = parseFloat(testCase && testCase.weight);
+    return isNaN(weight) || weight < 0 ? 1 : weight;
+}
+
+function toRegExp(pattern) {
+    const source = typeof pattern === 'string' ? pattern : pattern && pattern.pattern;
+    const flags = typeof pattern === 'object' && pattern ? pattern.flags || '' : '';
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        return null;
+    }
+}
+
+function normalizeCode(str) {
+    return (str || '').replace(/\r\n?/g, '\n').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Points for a run of test cases, weighted by the question's current test cases
+ * @param {Object[]} testResults - Results with testCaseIndex and passed
+ * @param {Object[]} testCases - Test cases of the question
+ * @param {number} maxPoints - Points of the question
+ * @param {Object} rules - From getScoringRules
+ * @returns {Object} { isCorrect, pointsEarned, earnedWeight, totalWeight }
+ */
+function scoreTestResults(testResults, testCases, maxPoints, rules = DEFAULT_RULES) {
+    let earnedWeight = 0;
+    let totalWeight = 0;
+
+    testResults.forEach((result, i) => {
+        const index = result.testCaseIndex ?? i;
+        const weight = getTestWeight(testCases[index]);
+        totalWeight += weight;
+        if (result.passed) {
+            earnedWeight += weight;
+        }
+    });
+
+    const isCorrect = testResults.length > 0 && testResults.every(result => result.passed);
+    let pointsEarned;
+
+    if (isCorrect) {
+        pointsEarned = maxPoints;
+    } else if (rules.partialCredit && totalWeight > 0) {
+        pointsEarned = roundPoints(maxPoints * earnedWeight / totalWeight);
+    } else {
+        pointsEarned = 0;
+    }
+
+    return { isCorrect, pointsEarned, earnedWeight, totalWeight };
+}
+
+/**
+ * Whether a code_completion snippet matches the answer key, an accepted
+ * variant (whitespace-insensitive) or one of the regex patterns
+ */
+function matchesCompletion(snippet, correctAnswer, rules = DEFAULT_RULES) {
+    const normalized = normalizeCode(snippet);
+    if (!normalized) {
+        return false;
+    }
+
+    const variants = [correctAnswer, ...rules.acceptedAnswers].filter(Boolean);
+    if (variants.some(variant => normalizeCode(variant) === normalized)) {
+        return true;
+    }
+
+    const trimmed = (snippet || '').trim();
+    return rules.patterns.some(pattern => {
+        const regex = toRegExp(pattern);
+        return regex !== null && regex.test(trimmed);
+    });
+}
+
+/**
+ * Points for a choice answer; a wrong answer can cost points, a blank one never does
+ */
+function scoreChoice(answer, correctAnswer, maxPoints, rules = DEFAULT_RULES) {
+    const given = (answer || '').toString().toLowerCase().trim();
+    if (!given) {
+        return { isCorrect: false, pointsEarned: 0 };
+    }
+
+    const isCorrect = !!correctAnswer && given === correctAnswer.toString().toLowerCase().trim();
+    if (isCorrect) {
+        return { isCorrect, pointsEarned: maxPoints };
+    }
+
+    return {
+        isCorrect,
+        pointsEarned: rules.negativeMarking > 0 ? roundPoints(-maxPoints * rules.negativeMarking) : 0
+    };
+}
+
+/**
+ * Check the scoring column of a question
+ * @returns {string[]} Validation errors
+ */
+function validateScoringRules(value) {
+    const errors = [];
+    if (value === undefined || value === null) {
+        return errors;
+    }
+
+    const rules = parseJson(value);
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['scoring must be an object'];
+    }
+
+    if (rules.partialCredit !== undefined && typeof rules.partialCredit !== 'boolean') {
+        errors.push('scoring.partialCredit must be true or false');
+    }
+
+    if (rules.negativeMarking !== undefined) {
+        const negativeMarking = Number(rules.negativeMarking);
+        if (isNaN(negativeMarking) || negativeMarking < 0 || negativeMarking > 1) {
+            errors.push('scoring.negativeMarking must be a fraction between 0 and 1');
+        }
+    }
+
+    if (rules.acceptedAnswers !== undefined &&
+        (!Array.isArray(rules.acceptedAnswers) || rules.acceptedAnswers.some(a => typeof a !== 'string'))) {
+        errors.push('scoring.acceptedAnswers must be an array of strings');
+    }
+
+    if (rules.patterns !== undefined) {
+        if (!Array.isArray(rules.patterns)) {
+            errors.push('scoring.patterns must be an array');
+        } else {
+            rules.patterns.forEach((pattern, index) => {
+                if (toRegExp(pattern) === null) {
+                    errors.push(`scoring.patterns[${index}] is not a valid regular expression`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+function getRubric(question) {
+    const rubric = parseJson(question && question.rubric);
+    return Array.isArray(rubric) ? rubric : [];
+}
+
+/**
+ * Check a rubric definition against the question's points
+ * @returns {string[]} Validation errors
+ */
+function validateRubric(value, questionPoints) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    const rubric = parseJson(value);
+    if (!Array.isArray(rubric)) {
+        return ['rubric must be an array of { criterion, points }'];
+    }
+
+    const errors = [];
+    rubric.forEach((item, index) => {
+        if (!item || typeof item.criterion !== 'string' || !item.criterion.trim()) {
+            errors.push(`rubric[${index}].criterion is required`);
+        }
+        if (!item || typeof item.points !== 'number' || item.points <= 0) {
+            errors.push(`rubric[${index}].points must be a positive number`);
+        }
+    });
+
+    const total = rubric.reduce((sum, item) => sum + ((item && item.points) || 0), 0);
+    const maxPoints = parseFloat(questionPoints);
+    if (errors.length === 0 && !isNaN(maxPoints) && total > maxPoints) {
+        errors.push(`rubric points (${total}) must not exceed the question's points (${maxPoints})`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    CHOICE_TYPES,
+    parseJson,
+    getScoringRules,
+    getTestWeight,
+    scoreTestResults,
+    matchesCompletion,
+    scoreChoice,
+    validateScoringRules,
+    getRubric,
+    validateRubric
+};
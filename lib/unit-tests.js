@@ -0,0 +1,514 @@
+/**
+ * Hidden unit tests for method-level coding challenges
+ * A question's test_class is a Java test class compiled next to the student's
+ * program and run method by method, e.g. for a template with countLines():
+ *
+ *   import org.junit.jupiter.api.*;
+ *   import static org.junit.jupiter.api.Assertions.*;
+ *
+ *   public class MainTest {
+ *       @Test
+ *       @DisplayName("Counts the lines of a file")
+ *       void countsLines() throws Exception {
+ *           java.nio.file.Files.writeString(java.nio.file.Path.of("t.txt"), "a\nb\n");
+ *           assertEquals(2, new Main().countLines("t.txt"));
+ *       }
+ *   }
+ *
+ * The runners have no JUnit jar, so the common part of the JUnit 5 API is
+ * compiled in from the sources below: @Test, @DisplayName, @BeforeEach,
+ * @AfterEach, @Disabled and Assertions (assertEquals, assertTrue, assertThrows,
+ * ...). A class without @Test methods is a simple assertion class: every public
+ * no-argument test* method is a test, and Java's assert statements are enabled.
+ *
+ * The runner reports each test on stdout after a random marker. The marker
+ * is the run's stdin: the runner reads it before the student's code is loaded
+ * and only keeps it in local variables, so the code under test has no field to
+ * read it from and its own output can not fake a result. Results are only
+ * taken for the test methods the test class declares.
+ */
+
+const crypto = require('crypto');
+const { getMainClassName } = require('./runners/common');
+
+const TEST_RUNNER_CLASS = 'JcasTestRunner';
+const JUNIT_PACKAGE_DIR = 'org/junit/jupiter/api';
+// Output a test may print, kept with its result
+const MAX_TEST_OUTPUT = 4096;
+
+function annotation(name, targets, body = '') {
+    return [
+        'package org.junit.jupiter.api;',
+        '',
+        'import java.lang.annotation.ElementType;',
+        'import java.lang.annotation.Retention;',
+        'import java.lang.annotation.RetentionPolicy;',
+        'import java.lang.annotation.Target;',
+        '',
+        '@Retention(RetentionPolicy.RUNTIME)',
+        `@Target({ ${targets.map(target => `ElementType.${target}`).join(', ')} })`,
+        `public @interface ${name} {${body}}`,
+        ''
+    ].join('\n');
+}
+
+// assertEquals overloads for primitives and their boxes - the mixed ones keep
+// assertEquals(2, integerResult) from being ambiguous, as in JUnit
+function primitiveEqualsOverloads() {
+    const pairs = [['int', 'Integer'], ['long', 'Long'], ['double', 'Double'], ['char', 'Character']];
+    return pairs.flatMap(([primitive, boxed]) => [[primitive, primitive], [primitive, boxed], [boxed, primitive]]
+        .flatMap(([expected, actual]) => [
+            `    public static void assertEquals(${expected} expected, ${actual} actual) {`,
+            '        assertEquals(expected, actual, (String) null);',
+            '    }',
+            '',
+            `    public static void assertEquals(${expected} expected, ${actual} actual, String message) {`,
+            `        if (!Objects.equals((${boxed}) expected, (${boxed}) actual)) {`,
+            '            failNotEqual(expected, actual, message);',
+            '        }',
+            '    }',
+            ''
+        ]));
+}
+
+function arrayEqualsOverloads() {
+    return ['int[]', 'long[]', 'double[]', 'char[]', 'boolean[]', 'Object[]'].flatMap(type => [
+        `    public static void assertArrayEquals(${type} expected, ${type} actual) {`,
+        '        assertArrayEquals(expected, actual, null);',
+        '    }',
+        '',
+        `    public static void assertArrayEquals(${type} expected, ${type} actual, String message) {`,
+        `        if (!${type === 'Object[]' ? 'Arrays.deepEquals' : 'Arrays.equals'}(expected, actual)) {`,
+        `            failNotEqual(${type === 'Object[]' ? 'Arrays.deepToString' : 'Arrays.toString'}(expected), ` +
+            `${type === 'Object[]' ? 'Arrays.deepToString' : 'Arrays.toString'}(actual), message);`,
+        '        }',
+        '    }',
+        ''
+    ]);
+}
+
+const ASSERTIONS_SOURCE = [
+    'package org.junit.jupiter.api;',
+    '',
+    'import java.util.Arrays;',
+    'import java.util.Objects;',
+    'import org.junit.jupiter.api.function.Executable;',
+    '',
+    'public final class Assertions {',
+    '    private Assertions() {',
+    '    }',
+    '',
+    '    private static String format(String message, String text) {',
+    '        return message == null || message.isEmpty() ? text : message + " ==> " + text;',
+    '    }',
+    '',
+    '    private static void failNotEqual(Object expected, Object actual, String message) {',
+    '        throw new AssertionError(format(message, "expected: <" + expected + "> but was: <" + actual + ">"));',
+    '    }',
+    '',
+    '    public static <V> V fail(String message) {',
+    '        throw new AssertionError(message);',
+    '    }',
+    '',
+    '    public static void assertTrue(boolean condition) {',
+    '        assertTrue(condition, null);',
+    '    }',
+    '',
+    '    public static void assertTrue(boolean condition, String message) {',
+    '        if (!condition) {',
+    '            failNotEqual(true, false, message);',
+    '        }',
+    '    }',
+    '',
+    '    public static void assertFalse(boolean condition) {',
+    '        assertFalse(condition, null);',
+    '    }',
+    '',
+    '    public static void assertFalse(boolean condition, String message) {',
+    '        if (condition) {',
+    '            failNotEqual(false, true, message);',
+    '        }',
+    '    }',
+    '',
+    '    public static void assertNull(Object actual) {',
+    '        assertNull(actual, null);',
+    '    }',
+    '',
+    '    public static void assertNull(Object actual, String message) {',
+    '        if (actual != null) {',
+    '            failNotEqual(null, actual, message);',
+    '        }',
+    '    }',
+    '',
+    '    public static void assertNotNull(Object actual) {',
+    '        assertNotNull(actual, null);',
+    '    }',
+    '',
+    '    public static void assertNotNull(Object actual, String message) {',
+    '        if (actual == null) {',
+    '            throw new AssertionError(format(message, "expected: not <null>"));',
+    '        }',
+    '    }',
+    '',
+    '    public static void assertEquals(Object expected, Object actual) {',
+    '        assertEquals(expected, actual, (String) null);',
+    '    }',
+    '',
+    '    public static void assertEquals(Object expected, Object actual, String message) {',
+    '        if (!Objects.equals(expected, actual)) {',
+    '            failNotEqual(expected, actual, message);',
+    '        }',
+    '    }',
+    '',
+    ...primitiveEqualsOverloads(),
+    '    public static void assertEquals(double expected, double actual, double delta) {',
+    '        assertEquals(expected, actual, delta, null);',
+    '    }',
+    '',
+    '    public static void assertEquals(double expected, double actual, double delta, String message) {',
+    '        if (Double.compare(expected, actual) != 0 && !(Math.abs(expected - actual) <= delta)) {',
+    '            failNotEqual(expected, actual, message);',
+    '        }',
+    '    }',
+    '',
+    '    public static void assertNotEquals(Object unexpected, Object actual) {',
+    '        assertNotEquals(unexpected, actual, null);',
+    '    }',
+    '',
+    '    public static void assertNotEquals(Object unexpected, Object actual, String message) {',
+    '        if (Objects.equals(unexpected, actual)) {',
+    '            throw new AssertionError(format(message, "expected: not equal but was: <" + actual + ">"));',
+    '        }',
+    '    }',
+    '',
+    '    public static void assertSame(Object expected, Object actual) {',
+    '        assertSame(expected, actual, null);',
+    '    }',
+    '',
+    '    public static void assertSame(Object expected, Object actual, String message) {',
+    '        if (expected != actual) {',
+    '            failNotEqual(expected, actual, message);',
+    '        }',
+    '    }',
+    '',
+    ...arrayEqualsOverloads(),
+    '    public static <T extends Throwable> T assertThrows(Class<T> expectedType, Executable executable) {',
+    '        return assertThrows(expectedType, executable, null);',
+    '    }',
+    '',
+    '    public static <T extends Throwable> T assertThrows(Class<T> expectedType, Executable executable, String message) {',
+    '        try {',
+    '            executable.execute();',
+    '        } catch (Throwable actual) {',
+    '            if (expectedType.isInstance(actual)) {',
+    '                return expectedType.cast(actual);',
+    '            }',
+    '            throw new AssertionError(format(message, "Unexpected exception type thrown, expected: <" +',
+    '                expectedType.getName() + "> but was: <" + actual.getClass().getName() + ">"));',
+    '        }',
+    '        throw new AssertionError(format(message, "Expected " + expectedType.getName() + " to be thrown, but nothing was thrown."));',
+    '    }',
+    '',
+    '    public static void assertDoesNotThrow(Executable executable) {',
+    '        assertDoesNotThrow(executable, null);',
+    '    }',
+    '',
+    '    public static void assertDoesNotThrow(Executable executable, String message) {',
+    '        try {',
+    '            executable.execute();',
+    '        } catch (Throwable actual) {',
+    '            throw new AssertionError(format(message, "Unexpected exception thrown: " + actual));',
+    '        }',
+    '    }',
+    '}',
+    ''
+].join('\n');
+
+const EXECUTABLE_SOURCE = [
+    'package org.junit.jupiter.api.function;',
+    '',
+    '@FunctionalInterface',
+    'public interface Executable {',
+    '    void execute() throws Throwable;',
+    '}',
+    ''
+].join('\n');
+
+const JUNIT_SOURCES = {
+    [`${JUNIT_PACKAGE_DIR}/Test.java`]: annotation('Test', ['METHOD']),
+    [`${JUNIT_PACKAGE_DIR}/DisplayName.java`]: annotation('DisplayName', ['TYPE', 'METHOD'], '\n    String value();\n'),
+    [`${JUNIT_PACKAGE_DIR}/BeforeEach.java`]: annotation('BeforeEach', ['METHOD']),
+    [`${JUNIT_PACKAGE_DIR}/AfterEach.java`]: annotation('AfterEach', ['METHOD']),
+    [`${JUNIT_PACKAGE_DIR}/Disabled.java`]: annotation('Disabled', ['TYPE', 'METHOD'], '\n    String value() default "";\n'),
+    [`${JUNIT_PACKAGE_DIR}/Assertions.java`]: ASSERTIONS_SOURCE,
+    [`${JUNIT_PACKAGE_DIR}/function/Executable.java`]: EXECUTABLE_SOURCE
+};
+
+/**
+ * Runner for one test class. The first line of stdin is the marker, every
+ * line it reports starts with it:
+ *   <marker> test <name> <display name>                      - once per test, before any runs
+ *   <marker> result <name> <status> <microseconds> <message> <output>
+ *   <marker> error <message>                                 - the test class could not be loaded
+ *   <marker> done
+ * Fields are tab separated, with backslash, tab and line breaks escaped.
+ */
+function buildRunnerSource(testClassName) {
+    return String.raw`import java.io.BufferedReader;
+import java.io.ByteArrayOutputStream;
+import java.io.IOException;
+import java.io.InputStreamReader;
+import java.io.PrintStream;
+import java.lang.reflect.Constructor;
+import java.lang.reflect.InvocationTargetException;
+import java.lang.reflect.Method;
+import java.lang.reflect.Modifier;
+import java.util.ArrayList;
+import java.util.Comparator;
+import java.util.List;
+import org.junit.jupiter.api.AfterEach;
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Disabled;
+import org.junit.jupiter.api.DisplayName;
+import org.junit.jupiter.api.Test;
+
+public class ${TEST_RUNNER_CLASS} {
+    private static final String TEST_CLASS = "${testClassName}";
+    private static final int MAX_OUTPUT = ${MAX_TEST_OUTPUT};
+
+    public static void main(String[] args) {
+        String marker;
+        try {
+            marker = new BufferedReader(new InputStreamReader(System.in)).readLine();
+        } catch (IOException error) {
+            marker = null;
+        }
+        if (marker == null || marker.isEmpty()) {
+            System.exit(1);
+            return;
+        }
+
+        PrintStream report = System.out;
+        ClassLoader.getSystemClassLoader().setDefaultAssertionStatus(true);
+
+        Class<?> testClass;
+        try {
+            testClass = Class.forName(TEST_CLASS);
+        } catch (Throwable error) {
+            Throwable cause = error instanceof ExceptionInInitializerError && error.getCause() != null ? error.getCause() : error;
+            print(report, marker, "error", describe(cause));
+            report.flush();
+            System.exit(1);
+            return;
+        }
+
+        List<Method> tests = new ArrayList<>();
+        List<Method> beforeEach = new ArrayList<>();
+        List<Method> afterEach = new ArrayList<>();
+        for (Method method : testClass.getDeclaredMethods()) {
+            if (method.isAnnotationPresent(Test.class)) {
+                tests.add(method);
+            } else if (method.isAnnotationPresent(BeforeEach.class)) {
+                beforeEach.add(method);
+            } else if (method.isAnnotationPresent(AfterEach.class)) {
+                afterEach.add(method);
+            }
+        }
+        if (tests.isEmpty()) {
+            // Simple assertion class: every public no-argument test* method is a test
+            for (Method method : testClass.getDeclaredMethods()) {
+                if (Modifier.isPublic(method.getModifiers()) && method.getParameterCount() == 0
+                        && method.getName().startsWith("test")) {
+                    tests.add(method);
+                }
+            }
+        }
+        tests.sort(Comparator.comparing(Method::getName));
+
+        for (Method test : tests) {
+            DisplayName displayName = test.getAnnotation(DisplayName.class);
+            print(report, marker, "test", test.getName(), displayName != null ? displayName.value() : test.getName());
+        }
+        for (Method test : tests) {
+            runTest(report, marker, testClass, test, beforeEach, afterEach);
+        }
+
+        print(report, marker, "done");
+        report.flush();
+        // Threads the student's code started must not keep the run alive
+        System.exit(0);
+    }
+
+    private static void runTest(PrintStream report, String marker, Class<?> testClass, Method test, List<Method> beforeEach, List<Method> afterEach) {
+        if (test.isAnnotationPresent(Disabled.class) || testClass.isAnnotationPresent(Disabled.class)) {
+            print(report, marker, "result", test.getName(), "skipped", "0", "", "");
+            return;
+        }
+
+        ByteArrayOutputStream output = new ByteArrayOutputStream();
+        System.setOut(new PrintStream(output, true));
+        String status = "passed";
+        String message = "";
+        long start = System.nanoTime();
+
+        try {
+            Constructor<?> constructor = testClass.getDeclaredConstructor();
+            constructor.setAccessible(true);
+            Object instance = constructor.newInstance();
+            for (Method method : beforeEach) {
+                method.setAccessible(true);
+                method.invoke(instance);
+            }
+            try {
+                test.setAccessible(true);
+                test.invoke(instance);
+            } finally {
+                for (Method method : afterEach) {
+                    method.setAccessible(true);
+                    method.invoke(instance);
+                }
+            }
+        } catch (InvocationTargetException error) {
+            Throwable cause = error.getCause();
+            status = cause instanceof AssertionError ? "failed" : "error";
+            message = describe(cause);
+        } catch (Throwable error) {
+            status = "error";
+            message = describe(error);
+        }
+
+        long micros = (System.nanoTime() - start) / 1000;
+        System.out.flush();
+        System.setOut(report);
+        String printed = output.toString();
+        print(report, marker, "result", test.getName(), status, String.valueOf(micros), message,
+            printed.length() > MAX_OUTPUT ? printed.substring(0, MAX_OUTPUT) : printed);
+    }
+
+    // Assertion messages as they are, other exceptions with the student's line that threw them
+    private static String describe(Throwable error) {
+        if (error instanceof AssertionError) {
+            return error.getMessage() != null ? error.getMessage() : "Assertion failed";
+        }
+        String text = error.getClass().getName() + (error.getMessage() != null ? ": " + error.getMessage() : "");
+        for (StackTraceElement frame : error.getStackTrace()) {
+            String className = frame.getClassName();
+            if (!className.equals(TEST_CLASS) && !className.startsWith(TEST_CLASS + "$")
+                    && !className.startsWith("java.") && !className.startsWith("jdk.")
+                    && !className.startsWith("sun.") && !className.startsWith("org.junit.")
+                    && !className.startsWith("${TEST_RUNNER_CLASS}")) {
+                return text + " (at " + frame + ")";
+            }
+        }
+        return text;
+    }
+
+    private static void print(PrintStream report, String marker, String... fields) {
+        StringBuilder line = new StringBuilder(marker);
+        for (String field : fields) {
+            line.append('\t').append(field.replace("\\", "\\\\").replace("\t", "\\t").replace("\r", "\\r").replace("\n", "\\n"));
+        }
+        report.println(line);
+    }
+}
+`;
+}
+
+/**
+ * Everything a runner needs besides the student's program: the test class,
+ * the JUnit sources and the runner, which is the class to start with the marker as stdin
+ * @param {string} testClass - Java source of the test class
+ * @returns {Object} { sources, mainClass, marker, stdin }
+ */
+function buildUnitTestRun(testClass) {
+    const testClassName = getMainClassName(testClass);
+    const marker = `##jcas-test-${crypto.randomBytes(8).toString('hex')}`;
+
+    return {
+        sources: {
+            ...JUNIT_SOURCES,
+            [`${testClassName}.java`]: testClass,
+            [`${TEST_RUNNER_CLASS}.java`]: buildRunnerSource(testClassName)
+        },
+        mainClass: TEST_RUNNER_CLASS,
+        marker,
+        stdin: `${marker}\n`
+    };
+}
+
+function unescapeField(field) {
+    return field.replace(/\\(.)/g, (escape, char) => ({ t: '\t', r: '\r', n: '\n' }[char] ?? char));
+}
+
+// Comments become a space and string, text block and char literals empty, so
+// neither can contain something that looks like a test method
+const JAVA_SKIPPED = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g;
+// @Test, then only more annotations and modifiers up to a void method
+const ANNOTATED_TEST = /@Test\b((?:\s*@[\w.]+(?:\s*\([^)]*\))?)*)\s*(?:(?:public|protected|private|static|final|synchronized)\s+)*void\s+([A-Za-z_$][\w$]*)\s*\(/g;
+const NAMED_TEST = /\bpublic\s+(?:static\s+)?void\s+(test[\w$]*)\s*\(\s*\)/g;
+
+function stripCommentsAndStrings(source) {
+    return source.replace(JAVA_SKIPPED, token => (
+        token.startsWith('/') ? ' ' : token.startsWith("'") ? "''" : '""'
+    ));
+}
+
+/**
+ * Test methods declared in a test class - what the run must report on, so
+ * tests that never ran (e.g. because the student's code does not compile) still fail
+ */
+function listTestMethods(testClass) {
+    const code = stripCommentsAndStrings(testClass);
+    const annotated = [...code.matchAll(ANNOTATED_TEST)].map(match => match[2]);
+    const names = annotated.length > 0
+        ? annotated
+        : [...code.matchAll(NAMED_TEST)].map(match => match[1]);
+    return [...new Set(names)].sort();
+}
+
+/**
+ * Per-test results from the runner's stdout
+ * @param {string} stdout - Output of the run
+ * @param {string} marker - Marker from buildUnitTestRun
+ * @param {string[]} testNames - From listTestMethods; results for other names are ignored
+ * @returns {Object} { tests, complete, error } - tests: [{ name, displayName, status, passed, message, output, executionTime }]
+ *                   in milliseconds; a test that never finished has status null and complete is false
+ */
+function parseUnitTestOutput(stdout, marker, testNames) {
+    const declared = new Set(testNames);
+    const tests = new Map();
+    let complete = false;
+    let error = null;
+
+    (stdout || '').replace(/\r\n/g, '\n').split('\n').forEach(line => {
+        if (!line.startsWith(`${marker}\t`)) {
+            return;
+        }
+        const [kind, ...fields] = line.slice(marker.length + 1).split('\t').map(unescapeField);
+
+        if (kind === 'test' && declared.has(fields[0])) {
+            tests.set(fields[0], { name: fields[0], displayName: fields[1] || fields[0], status: null });
+        } else if (kind === 'result' && tests.has(fields[0])) {
+            Object.assign(tests.get(fields[0]), {
+                status: fields[1],
+                passed: fields[1] === 'passed',
+                message: fields[3] || null,
+                output: fields[4] || '',
+                executionTime: Math.round(parseInt(fields[2], 10) / 10) / 100
+            });
+        } else if (kind === 'error') {
+            error = fields[0];
+        } else if (kind === 'done') {
+            complete = true;
+        }
+    });
+
+    return { tests: [...tests.values()], complete, error };
+}
+
+module.exports = {
+    TEST_RUNNER_CLASS,
+    buildUnitTestRun,
+    listTestMethods,
+    parseUnitTestOutput
+};
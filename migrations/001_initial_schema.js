@@ -0,0 +1,102 @@
+/**
+ * Initial schema
+ * The tables api/init-db.js used to create. Uses IF NOT EXISTS so databases
+ * set up before migrations existed are adopted as-is.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                email VARCHAR(255) UNIQUE NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                first_name VARCHAR(100) NOT NULL,
+                last_name VARCHAR(100) NOT NULL,
+                role VARCHAR(20) DEFAULT 'student' CHECK (role IN ('student', 'teacher', 'admin')),
+                student_id VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS assessments (
+                id SERIAL PRIMARY KEY,
+                step_number INTEGER NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                description TEXT,
+                duration_minutes INTEGER NOT NULL,
+                total_questions INTEGER NOT NULL,
+                passing_score DECIMAL(5,2) DEFAULT 70.00,
+                is_active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS questions (
+                id SERIAL PRIMARY KEY,
+                assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+                question_type VARCHAR(50) NOT NULL CHECK (question_type IN ('multiple_choice', 'code_reading', 'code_completion', 'coding_challenge', 'true_false')),
+                question_text TEXT NOT NULL,
+                code_snippet TEXT,
+                options JSONB,
+                correct_answer TEXT,
+                explanation TEXT,
+                test_cases JSONB,
+                points DECIMAL(5,2) DEFAULT 10.00,
+                difficulty VARCHAR(20) DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+                order_index INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS assessment_attempts (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                submitted_at TIMESTAMP,
+                time_spent_seconds INTEGER,
+                score DECIMAL(5,2),
+                total_points DECIMAL(5,2),
+                percentage DECIMAL(5,2),
+                status VARCHAR(20) DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted', 'graded')),
+                answers JSONB,
+                is_passed BOOLEAN,
+                attempt_number INTEGER DEFAULT 1
+            )
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS question_responses (
+                id SERIAL PRIMARY KEY,
+                attempt_id INTEGER REFERENCES assessment_attempts(id) ON DELETE CASCADE,
+                question_id INTEGER REFERENCES questions(id) ON DELETE CASCADE,
+                user_answer TEXT,
+                is_correct BOOLEAN,
+                points_earned DECIMAL(5,2),
+                time_spent_seconds INTEGER,
+                code_execution_result JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await sql`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_assessment_attempts_user ON assessment_attempts(user_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_assessment_attempts_assessment ON assessment_attempts(assessment_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_questions_assessment ON questions(assessment_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_question_responses_attempt ON question_responses(attempt_id)`;
+    },
+
+    async down(sql) {
+        await sql`DROP TABLE IF EXISTS question_responses`;
+        await sql`DROP TABLE IF EXISTS assessment_attempts`;
+        await sql`DROP TABLE IF EXISTS questions`;
+        await sql`DROP TABLE IF EXISTS assessments`;
+        await sql`DROP TABLE IF EXISTS users`;
+    }
+};
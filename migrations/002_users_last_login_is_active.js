@@ -0,0 +1,16 @@
+/**
+ * Add users.last_login (written on login) and users.is_active
+ * Replaces the ALTER TABLE statements that getAllUsers ran on every request.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login TIMESTAMP`;
+        await sql`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE users DROP COLUMN IF EXISTS is_active`;
+        await sql`ALTER TABLE users DROP COLUMN IF EXISTS last_login`;
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Add questions.external_id - the stable question bank id ("step1-q4")
+ * used to match questions when a bank is re-imported.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE questions ADD COLUMN IF NOT EXISTS external_id VARCHAR(100)`;
+        await sql`CREATE UNIQUE INDEX IF NOT EXISTS idx_questions_external_id ON questions(external_id)`;
+    },
+
+    async down(sql) {
+        await sql`DROP INDEX IF EXISTS idx_questions_external_id`;
+        await sql`ALTER TABLE questions DROP COLUMN IF EXISTS external_id`;
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * Remove the Step 1 questions that init-db.js used to hard-code
+ * They predate question bank ids (external_id is NULL); the Step 1 bank in
+ * data/questions is imported in their place. Runs once, so questions added
+ * later through the authoring UI are never touched.
+ * Questions students have already answered are kept - deleting them would
+ * cascade into question_responses - and can be removed in the question
+ * manager once those attempts no longer matter.
+ * down is a no-op: the unanswered seed rows are not restored.
+ */
+
+module.exports = {
+    async up(sql) {
+        const removed = await sql`
+            DELETE FROM questions q
+            WHERE q.external_id IS NULL
+            AND q.assessment_id IN (SELECT id FROM assessments WHERE step_number = 1)
+            AND NOT EXISTS (SELECT 1 FROM question_responses qr WHERE qr.question_id = q.id)
+        `;
+        const kept = await sql`
+            SELECT COUNT(*) AS count FROM questions
+            WHERE external_id IS NULL
+            AND assessment_id IN (SELECT id FROM assessments WHERE step_number = 1)
+        `;
+        console.log(`Removed ${removed.rowCount} legacy Step 1 questions, kept ${kept.rows[0].count} that have answers`);
+
+        await sql`
+            UPDATE assessments
+            SET total_questions = (SELECT COUNT(*) FROM questions WHERE assessment_id = assessments.id)
+            WHERE step_number = 1
+        `;
+    },
+
+    async down() {}
+};
@@ -0,0 +1,19 @@
+/**
+ * Per-assessment retake policy
+ * max_attempts (NULL = unlimited), cooldown_minutes between attempts and
+ * scoring_policy deciding which attempt counts (best, last or average).
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts > 0)`;
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS cooldown_minutes INTEGER DEFAULT 0 CHECK (cooldown_minutes >= 0)`;
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS scoring_policy VARCHAR(10) DEFAULT 'best' CHECK (scoring_policy IN ('best', 'last', 'average'))`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS scoring_policy`;
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS cooldown_minutes`;
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS max_attempts`;
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Server-side time limits
+ * deadline_at is fixed when an attempt starts; auto_submitted marks attempts
+ * that were finalized by the server after the deadline passed.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP`;
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS auto_submitted BOOLEAN DEFAULT false`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_assessment_attempts_open_deadline ON assessment_attempts(deadline_at) WHERE status = 'in_progress'`;
+    },
+
+    async down(sql) {
+        await sql`DROP INDEX IF EXISTS idx_assessment_attempts_open_deadline`;
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS auto_submitted`;
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS deadline_at`;
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Resume position
+ * last_question_index remembers which question the student was viewing so an
+ * interrupted attempt reopens where it was left.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS last_question_index INTEGER DEFAULT 0`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS last_question_index`;
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Partial-credit scoring rules
+ * questions.scoring holds per-question rules (partial credit, negative marking,
+ * accepted code_completion variants and patterns) read by lib/scoring.js.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE questions ADD COLUMN IF NOT EXISTS scoring JSONB`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE questions DROP COLUMN IF EXISTS scoring`;
+    }
+};
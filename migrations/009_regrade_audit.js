@@ -0,0 +1,45 @@
+/**
+ * Regrade audit
+ * regrade_runs records who regraded what and why; regrade_audit keeps the
+ * before/after score of every attempt a run changed.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`
+            CREATE TABLE IF NOT EXISTS regrade_runs (
+                id SERIAL PRIMARY KEY,
+                assessment_id INTEGER REFERENCES assessments(id) ON DELETE CASCADE,
+                question_id INTEGER REFERENCES questions(id) ON DELETE SET NULL,
+                performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                rerun_code BOOLEAN DEFAULT true,
+                reason TEXT,
+                attempts_checked INTEGER DEFAULT 0,
+                attempts_changed INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await sql`
+            CREATE TABLE IF NOT EXISTS regrade_audit (
+                id SERIAL PRIMARY KEY,
+                run_id INTEGER REFERENCES regrade_runs(id) ON DELETE CASCADE,
+                attempt_id INTEGER REFERENCES assessment_attempts(id) ON DELETE CASCADE,
+                before_score DECIMAL(5,2),
+                after_score DECIMAL(5,2),
+                before_passed BOOLEAN,
+                after_passed BOOLEAN,
+                response_changes JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await sql`CREATE INDEX IF NOT EXISTS idx_regrade_runs_assessment ON regrade_runs(assessment_id)`;
+        await sql`CREATE INDEX IF NOT EXISTS idx_regrade_audit_run ON regrade_audit(run_id)`;
+    },
+
+    async down(sql) {
+        await sql`DROP TABLE IF EXISTS regrade_audit`;
+        await sql`DROP TABLE IF EXISTS regrade_runs`;
+    }
+};
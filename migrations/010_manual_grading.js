@@ -0,0 +1,34 @@
+/**
+ * Manual grading
+ * questions.rubric lists the criteria a teacher scores code answers against;
+ * responses keep the per-criterion points and comments, attempts record who
+ * finished grading them and the overall feedback.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE questions ADD COLUMN IF NOT EXISTS rubric JSONB`;
+
+        await sql`ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS rubric_scores JSONB`;
+        await sql`ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS grader_comment TEXT`;
+        await sql`ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL`;
+        await sql`ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS graded_at TIMESTAMP`;
+
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS feedback TEXT`;
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS graded_by INTEGER REFERENCES users(id) ON DELETE SET NULL`;
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS graded_at TIMESTAMP`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS graded_at`;
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS graded_by`;
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS feedback`;
+
+        await sql`ALTER TABLE question_responses DROP COLUMN IF EXISTS graded_at`;
+        await sql`ALTER TABLE question_responses DROP COLUMN IF EXISTS graded_by`;
+        await sql`ALTER TABLE question_responses DROP COLUMN IF EXISTS grader_comment`;
+        await sql`ALTER TABLE question_responses DROP COLUMN IF EXISTS rubric_scores`;
+
+        await sql`ALTER TABLE questions DROP COLUMN IF EXISTS rubric`;
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Answer review policy
+ * review_policy decides when students can see the per-question review of a
+ * submitted attempt: immediately, after the attempt's deadline, once it has
+ * been graded, or never.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS review_policy VARCHAR(20) DEFAULT 'immediately' CHECK (review_policy IN ('immediately', 'after_deadline', 'after_grading', 'never'))`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS review_policy`;
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * Per-attempt question order and option permutation
+ * Assessments opt in with shuffle_questions / shuffle_options; each attempt
+ * stores the seed it was shuffled with and the resulting order, so a reload
+ * or resume shows the same layout and answers are graded against it.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS shuffle_questions BOOLEAN DEFAULT false`;
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS shuffle_options BOOLEAN DEFAULT false`;
+
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS shuffle_seed INTEGER`;
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS question_order JSONB`;
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS option_order JSONB`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS option_order`;
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS question_order`;
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS shuffle_seed`;
+
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS shuffle_options`;
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS shuffle_questions`;
+    }
+};
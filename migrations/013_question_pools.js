@@ -0,0 +1,20 @@
+/**
+ * Question pools
+ * questions.tags label questions for pool rules; assessments.pool_rules
+ * ([{ count, difficulty, tag }]) draw each attempt's questions from the bank,
+ * and assessment_attempts.question_ids freezes the drawn set.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE questions ADD COLUMN IF NOT EXISTS tags JSONB`;
+        await sql`ALTER TABLE assessments ADD COLUMN IF NOT EXISTS pool_rules JSONB`;
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS question_ids JSONB`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS question_ids`;
+        await sql`ALTER TABLE assessments DROP COLUMN IF EXISTS pool_rules`;
+        await sql`ALTER TABLE questions DROP COLUMN IF EXISTS tags`;
+    }
+};
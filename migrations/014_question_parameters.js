@@ -0,0 +1,15 @@
+/**
+ * Parameterized questions
+ * questions.parameters ([{ name, values | min/max/step | expr }]) fills
+ * {{name}} placeholders per attempt, seeded by assessment_attempts.shuffle_seed.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE questions ADD COLUMN IF NOT EXISTS parameters JSONB`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE questions DROP COLUMN IF EXISTS parameters`;
+    }
+};
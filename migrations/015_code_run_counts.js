@@ -0,0 +1,15 @@
+/**
+ * Code run counts
+ * assessment_attempts.run_counts ({ "<questionId>": n }) counts how often a
+ * student ran their code before submitting it.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS run_counts JSONB`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS run_counts`;
+    }
+};
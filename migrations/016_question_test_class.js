@@ -0,0 +1,15 @@
+/**
+ * Hidden unit tests
+ * questions.test_class holds a Java test class (JUnit 5 style or plain test*
+ * methods) compiled next to the student's program when it is graded.
+ */
+
+module.exports = {
+    async up(sql) {
+        await sql`ALTER TABLE questions ADD COLUMN IF NOT EXISTS test_class TEXT`;
+    },
+
+    async down(sql) {
+        await sql`ALTER TABLE questions DROP COLUMN IF EXISTS test_class`;
+    }
+};
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Export assessments to question bank files from the command line
+ *
+ * Usage:
+ *   node scripts/export-questions.js <step> [--out data/questions/stepN-questions.json]
+ *   node scripts/export-questions.js <step> --write
+ *
+ * Needs POSTGRES_URL. Prints to stdout unless --out or --write is given;
+ * --write overwrites the matching file in data/questions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { QUESTION_BANK_DIR, exportQuestionBank } = require('../lib/question-import');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const stepNumber = parseInt(args.find(arg => !arg.startsWith('--')));
+    const outIndex = args.indexOf('--out');
+
+    if (isNaN(stepNumber)) {
+        console.error('Usage: node scripts/export-questions.js <step> [--out file.json | --write]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const bank = await exportQuestionBank({ stepNumber });
+    if (!bank) {
+        console.error(`No assessment found for step ${stepNumber}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const json = JSON.stringify(bank, null, 2);
+    const outFile = args.includes('--write')
+        ? path.join(QUESTION_BANK_DIR, `step${stepNumber}-questions.json`)
+        : (outIndex >= 0 ? path.resolve(args[outIndex + 1]) : null);
+
+    if (!outFile) {
+        console.log(json);
+        return;
+    }
+
+    fs.writeFileSync(outFile, json);
+    console.error(`Exported ${bank.questions.length} questions to ${outFile}`);
+}
+
+main().catch(error => {
+    console.error('Export failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Import question banks from the command line
+ *
+ * Usage:
+ *   node scripts/import-questions.js [--dry-run] [file.json ...]
+ *
+ * Needs POSTGRES_URL (same variable the serverless functions use).
+ * Without arguments every data/questions/stepN-questions.json file is imported.
+ */
+
+const path = require('path');
+const { listQuestionBankFiles, loadQuestionBankFile, importQuestionBank } = require('../lib/question-import');
+
+function printReport(file, report) {
+    const mode = report.dryRun ? ' (dry run)' : '';
+    console.log(`\n${path.basename(file)} - step ${report.stepNumber ?? '?'}${mode}`);
+
+    report.errors.forEach(error => console.log(`  ✗ ${error}`));
+
+    if (report.assessment) {
+        console.log(`  assessment: ${report.assessment.action}${report.assessment.id ? ` (#${report.assessment.id})` : ''}`);
+    }
+
+    report.questions.forEach(question => {
+        const label = question.id || `question ${question.index + 1}`;
+        console.log(`  ${question.errors.length > 0 ? '✗' : '✓'} ${label}: ${question.action}`);
+        question.errors.forEach(error => console.log(`      - ${error}`));
+    });
+
+    if (report.notInBank.length > 0) {
+        console.log(`  ${report.notInBank.length} existing question(s) are not in this bank and were left untouched`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const fileArgs = args.filter(arg => !arg.startsWith('--'));
+
+    const files = fileArgs.length > 0 ? fileArgs.map(file => path.resolve(file)) : listQuestionBankFiles();
+
+    if (files.length === 0) {
+        console.error('No question bank files found');
+        process.exitCode = 1;
+        return;
+    }
+
+    let failed = 0;
+
+    for (const file of files) {
+        let report;
+        try {
+            report = await importQuestionBank(loadQuestionBankFile(file), { dryRun });
+        } catch (error) {
+            console.error(`\n${path.basename(file)}: ${error.message}`);
+            failed++;
+            continue;
+        }
+
+        printReport(file, report);
+        if (!report.success) {
+            failed++;
+        }
+    }
+
+    console.log(`\n${files.length - failed}/${files.length} question bank(s) ${dryRun ? 'valid' : 'imported'}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Database migration command
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to 003]   Apply pending migrations
+ *   node scripts/migrate.js down [steps]    Revert the last migration(s), default 1
+ *   node scripts/migrate.js status          Show applied and pending migrations
+ *
+ * Needs POSTGRES_URL (same variable the serverless functions use).
+ */
+
+const { migrateUp, migrateDown, getMigrationStatus } = require('../lib/migrations');
+
+async function main() {
+    const [command = 'up', ...args] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const toIndex = args.indexOf('--to');
+            const applied = await migrateUp({ to: toIndex >= 0 ? args[toIndex + 1] : null });
+            console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+            break;
+        }
+
+        case 'down': {
+            const steps = parseInt(args[0] || '1');
+            if (isNaN(steps) || steps < 1) {
+                throw new Error('steps must be a positive number');
+            }
+            const reverted = await migrateDown({ steps });
+            console.log(`${reverted.length} migration(s) reverted`);
+            break;
+        }
+
+        case 'status': {
+            const status = await getMigrationStatus();
+            status.forEach(m => {
+                const state = m.applied ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+                console.log(`  ${m.applied ? '✓' : ' '} ${m.version}_${m.name}  ${state}`);
+            });
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Re-apply answer keys and scoring rules to stored responses
+ *
+ * Usage:
+ *   node scripts/rescore.js --attempt <id> [--dry-run]
+ *   node scripts/rescore.js --assessment <id> [--dry-run]
+ *
+ * Needs POSTGRES_URL. Code is not run again; stored test results are reweighted.
+ */
+
+const { rescoreAttempt, rescoreAssessment } = require('../lib/attempts');
+
+function argValue(args, name) {
+    const index = args.indexOf(name);
+    return index >= 0 ? parseInt(args[index + 1]) : NaN;
+}
+
+function printReport(report) {
+    const scores = `${report.before.score ?? '-'} -> ${report.after.score ?? '-'}`;
+    console.log(`Attempt ${report.attemptId} (${report.status}): ${report.changes.length} response(s) changed, score ${scores}`);
+    report.changes.forEach(change => {
+        console.log(`  question ${change.questionId}: ${change.before.pointsEarned} -> ${change.after.pointsEarned} points`);
+    });
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const attemptId = argValue(args, '--attempt');
+    const assessmentId = argValue(args, '--assessment');
+
+    if (isNaN(attemptId) && isNaN(assessmentId)) {
+        console.error('Usage: node scripts/rescore.js (--attempt <id> | --assessment <id>) [--dry-run]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const reports = isNaN(attemptId)
+        ? await rescoreAssessment(assessmentId, { dryRun })
+        : [await rescoreAttempt(attemptId, { dryRun })].filter(Boolean);
+
+    if (reports.length === 0) {
+        console.error('No attempts found');
+        process.exitCode = 1;
+        return;
+    }
+
+    reports.forEach(printReport);
+    if (dryRun) {
+        console.log('Dry run - nothing was saved');
+    }
+}
+
+main().catch(error => {
+    console.error('Rescore failed:', error.message);
+    process.exitCode = 1;
+});
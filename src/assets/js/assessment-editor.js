@@ -0,0 +1,669 @@
+/**
+ * Assessment Editor
+ * Shared authoring UI for the admin and teacher assessment pages.
+ * Talks to /api/authoring and renders its own Bootstrap modals.
+ */
+
+class AssessmentEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onChange - Called after an assessment or its questions changed
+     */
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.assessment = null;
+        this.editingQuestionId = null;
+        this.modalsReady = false;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    async request(url, method = 'GET', body = null) {
+        const options = { method };
+        if (body) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await authUtils.apiRequest(url, options);
+        const data = await response.json();
+
+        if (!response.ok) {
+            const details = data.errors ? `: ${data.errors.join('; ')}` : '';
+            throw new Error((data.error || 'Request failed') + details);
+        }
+        return data;
+    }
+
+    // Inject the editor modals once per page
+    ensureModals() {
+        if (this.modalsReady) return;
+
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="editorAssessmentModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="editorAssessmentTitle">Assessment</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="alert alert-danger d-none" id="editorAssessmentError"></div>
+                            <div class="row g-3">
+                                <div class="col-4">
+                                    <label class="form-label">Step</label>
+                                    <input type="number" min="1" class="form-control" id="editorStepNumber">
+                                </div>
+                                <div class="col-8">
+                                    <label class="form-label">Title</label>
+                                    <input type="text" class="form-control" id="editorTitle">
+                                </div>
+                                <div class="col-12">
+                                    <label class="form-label">Description</label>
+                                    <textarea class="form-control" rows="2" id="editorDescription"></textarea>
+                                </div>
+                                <div class="col-6">
+                                    <label class="form-label">Duration (minutes)</label>
+                                    <input type="number" min="1" class="form-control" id="editorDuration">
+                                </div>
+                                <div class="col-6">
+                                    <label class="form-label">Passing Score (%)</label>
+                                    <input type="number" min="0" max="100" class="form-control" id="editorPassingScore">
+                                </div>
+                                <div class="col-4">
+                                    <label class="form-label">Max Attempts</label>
+                                    <input type="number" min="1" class="form-control" id="editorMaxAttempts" placeholder="Unlimited">
+                                </div>
+                                <div class="col-4">
+                                    <label class="form-label">Cooldown (min)</label>
+                                    <input type="number" min="0" class="form-control" id="editorCooldown">
+                                </div>
+                                <div class="col-4">
+                                    <label class="form-label">Score Counted</label>
+                                    <select class="form-select" id="editorScoringPolicy">
+                                        <option value="best">Best attempt</option>
+                                        <option value="last">Last attempt</option>
+                                        <option value="average">Average</option>
+                                    </select>
+                                </div>
+                                <div class="col-12">
+                                    <label class="form-label">Answer Review</label>
+                                    <select class="form-select" id="editorReviewPolicy">
+                                        <option value="immediately">Immediately after submitting</option>
+                                        <option value="after_deadline">After the time limit has passed</option>
+                                        <option value="after_grading">After grading</option>
+                                        <option value="never">Never</option>
+                                    </select>
+                                </div>
+                                <div class="col-6">
+                                    <div class="form-check">
+                                        <input class="form-check-input" type="checkbox" id="editorShuffleQuestions">
+                                        <label class="form-check-label" for="editorShuffleQuestions">Shuffle question order</label>
+                                    </div>
+                                </div>
+                                <div class="col-6">
+                                    <div class="form-check">
+                                        <input class="form-check-input" type="checkbox" id="editorShuffleOptions">
+                                        <label class="form-check-label" for="editorShuffleOptions">Shuffle answer options</label>
+                                    </div>
+                                </div>
+                                <div class="col-12">
+                                    <label class="form-label">Question Pool (JSON)</label>
+                                    <textarea class="form-control font-monospace" rows="3" id="editorPoolRules"
+                                              placeholder='[{ "count": 3, "difficulty": "easy" }, { "count": 2, "difficulty": "hard", "tag": "file-io" }]'></textarea>
+                                    <div class="form-text">Leave empty to give every attempt all questions.</div>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary" id="editorSaveAssessment">
+                                <i class="bi bi-check-circle me-1"></i>Save
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <div class="modal fade" id="editorQuestionsModal" tabindex="-1">
+                <div class="modal-dialog modal-xl">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title" id="editorQuestionsTitle">Questions</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="alert alert-danger d-none" id="editorQuestionError"></div>
+                            <div class="row">
+                                <div class="col-lg-5">
+                                    <div class="d-flex justify-content-between align-items-center mb-2">
+                                        <h6 class="mb-0">Question Order</h6>
+                                        <button type="button" class="btn btn-sm btn-primary" id="editorNewQuestion">
+                                            <i class="bi bi-plus-circle me-1"></i>New Question
+                                        </button>
+                                    </div>
+                                    <div class="list-group" id="editorQuestionList"></div>
+                                </div>
+                                <div class="col-lg-7">
+                                    <h6 id="editorQuestionFormTitle">New Question</h6>
+                                    <div class="row g-2">
+                                        <div class="col-md-5">
+                                            <label class="form-label">Type</label>
+                                            <select class="form-select" id="editorQuestionType">
+                                                <option value="multiple_choice">Multiple choice</option>
+                                                <option value="code_reading">Code reading</option>
+                                                <option value="true_false">True / false</option>
+                                                <option value="code_completion">Code completion</option>
+                                                <option value="coding_challenge">Coding challenge</option>
+                                            </select>
+                                        </div>
+                                        <div class="col-md-4">
+                                            <label class="form-label">Difficulty</label>
+                                            <select class="form-select" id="editorDifficulty">
+                                                <option value="easy">Easy</option>
+                                                <option value="medium" selected>Medium</option>
+                                                <option value="hard">Hard</option>
+                                            </select>
+                                        </div>
+                                        <div class="col-md-3">
+                                            <label class="form-label">Points</label>
+                                            <input type="number" min="1" class="form-control" id="editorPoints" value="10">
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Tags</label>
+                                            <input type="text" class="form-control" id="editorTags" placeholder="file-io, exceptions">
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Question</label>
+                                            <textarea class="form-control" rows="2" id="editorQuestionText"></textarea>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Code Snippet</label>
+                                            <textarea class="form-control font-monospace" rows="3" id="editorCodeSnippet"></textarea>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Options (JSON)</label>
+                                            <textarea class="form-control font-monospace" rows="4" id="editorOptions"
+                                                      placeholder='["Answer A", "Answer B"] or { "template": [...], "requirements": [...] }'></textarea>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Correct Answer</label>
+                                            <input type="text" class="form-control" id="editorCorrectAnswer">
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Test Cases (JSON)</label>
+                                            <textarea class="form-control font-monospace" rows="4" id="editorTestCases"
+                                                      placeholder='[{ "input": "", "expected": "Hello", "hidden": false, "weight": 1 }]'></textarea>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Hidden Test Class (Java)</label>
+                                            <textarea class="form-control font-monospace" rows="4" id="editorTestClass"
+                                                      placeholder='public class MainTest { @Test void countsLines() { assertEquals(2, new Main().countLines("a.txt")); } }'></textarea>
+                                            <div class="form-text">JUnit 5 style (@Test, Assertions) or public test* methods; each test counts like a test case. Never shown to students.</div>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Scoring Rules (JSON)</label>
+                                            <textarea class="form-control font-monospace" rows="3" id="editorScoring"
+                                                      placeholder='{ "partialCredit": true, "negativeMarking": 0.25, "acceptedAnswers": [], "patterns": [] }'></textarea>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Grading Rubric (JSON)</label>
+                                            <textarea class="form-control font-monospace" rows="3" id="editorRubric"
+                                                      placeholder='[{ "criterion": "Uses a loop", "points": 4 }]'></textarea>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Parameters (JSON)</label>
+                                            <textarea class="form-control font-monospace" rows="3" id="editorParameters"
+                                                      placeholder='[{ "name": "count", "min": 3, "max": 9 }, { "name": "total", "expr": "count * 2" }]'></textarea>
+                                            <div class="form-text">Use {{name}} in any field; each attempt gets its own values.</div>
+                                        </div>
+                                        <div class="col-12">
+                                            <label class="form-label">Explanation</label>
+                                            <textarea class="form-control" rows="2" id="editorExplanation"></textarea>
+                                        </div>
+                                        <div class="col-12 text-end">
+                                            <button type="button" class="btn btn-outline-secondary me-2" id="editorPreviewVariant">
+                                                <i class="bi bi-shuffle me-1"></i>Preview Variant
+                                            </button>
+                                            <button type="button" class="btn btn-primary" id="editorSaveQuestion">
+                                                <i class="bi bi-check-circle me-1"></i>Save Question
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-outline-secondary me-auto" id="editorExport">
+                                <i class="bi bi-download me-1"></i>Export JSON
+                            </button>
+                            <button type="button" class="btn btn-outline-warning" id="editorRegrade">
+                                <i class="bi bi-arrow-repeat me-1"></i>Regrade Attempts
+                            </button>
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.assessmentModal = new bootstrap.Modal(document.getElementById('editorAssessmentModal'));
+        this.questionsModal = new bootstrap.Modal(document.getElementById('editorQuestionsModal'));
+
+        document.getElementById('editorSaveAssessment').addEventListener('click', () => this.saveAssessment());
+        document.getElementById('editorNewQuestion').addEventListener('click', () => this.openQuestionForm(null));
+        document.getElementById('editorSaveQuestion').addEventListener('click', () => this.saveQuestion());
+        document.getElementById('editorPreviewVariant').addEventListener('click', () => this.previewVariant());
+        document.getElementById('editorExport').addEventListener('click', () => this.exportAssessment(this.assessment.id));
+        document.getElementById('editorRegrade').addEventListener('click', () => this.regrade({ assessmentId: this.assessment.id }));
+        document.getElementById('editorQuestionList').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            const questionId = parseInt(button.dataset.id);
+            switch (button.dataset.action) {
+                case 'edit':
+                    this.openQuestionForm(this.assessment.questions.find(q => q.id === questionId));
+                    break;
+                case 'up':
+                    this.moveQuestion(questionId, -1);
+                    break;
+                case 'down':
+                    this.moveQuestion(questionId, 1);
+                    break;
+                case 'delete':
+                    this.deleteQuestion(questionId);
+                    break;
+                case 'regrade':
+                    this.regrade({ questionId });
+                    break;
+            }
+        });
+
+        this.modalsReady = true;
+    }
+
+    showError(elementId, message) {
+        const element = document.getElementById(elementId);
+        element.textContent = message || '';
+        element.classList.toggle('d-none', !message);
+    }
+
+    // ===== Assessments =====
+
+    openAssessmentForm(assessment = null) {
+        this.ensureModals();
+        this.assessment = assessment;
+
+        document.getElementById('editorAssessmentTitle').textContent = assessment ? 'Edit Assessment' : 'New Assessment';
+        document.getElementById('editorStepNumber').value = assessment ? assessment.step_number : '';
+        document.getElementById('editorTitle').value = assessment ? assessment.title : '';
+        document.getElementById('editorDescription').value = assessment ? (assessment.description || '') : '';
+        document.getElementById('editorDuration').value = assessment ? assessment.duration_minutes : 30;
+        document.getElementById('editorPassingScore').value = assessment ? parseFloat(assessment.passing_score) : 70;
+        document.getElementById('editorMaxAttempts').value = assessment && assessment.max_attempts ? assessment.max_attempts : '';
+        document.getElementById('editorCooldown').value = assessment ? (assessment.cooldown_minutes || 0) : 0;
+        document.getElementById('editorScoringPolicy').value = assessment ? (assessment.scoring_policy || 'best') : 'best';
+        document.getElementById('editorReviewPolicy').value = assessment ? (assessment.review_policy || 'immediately') : 'immediately';
+        document.getElementById('editorShuffleQuestions').checked = Boolean(assessment && assessment.shuffle_questions);
+        document.getElementById('editorShuffleOptions').checked = Boolean(assessment && assessment.shuffle_options);
+        document.getElementById('editorPoolRules').value = assessment && assessment.pool_rules
+            ? JSON.stringify(assessment.pool_rules, null, 2)
+            : '';
+        this.showError('editorAssessmentError', null);
+
+        this.assessmentModal.show();
+    }
+
+    async saveAssessment() {
+        let poolRules;
+        try {
+            poolRules = this.readJsonField('editorPoolRules', 'Question pool');
+        } catch (error) {
+            this.showError('editorAssessmentError', error.message);
+            return;
+        }
+
+        const body = {
+            stepNumber: parseInt(document.getElementById('editorStepNumber').value),
+            title: document.getElementById('editorTitle').value.trim(),
+            description: document.getElementById('editorDescription').value.trim(),
+            durationMinutes: parseInt(document.getElementById('editorDuration').value),
+            passingScore: parseFloat(document.getElementById('editorPassingScore').value),
+            maxAttempts: parseInt(document.getElementById('editorMaxAttempts').value) || null,
+            cooldownMinutes: parseInt(document.getElementById('editorCooldown').value) || 0,
+            scoringPolicy: document.getElementById('editorScoringPolicy').value,
+            reviewPolicy: document.getElementById('editorReviewPolicy').value,
+            shuffleQuestions: document.getElementById('editorShuffleQuestions').checked,
+            shuffleOptions: document.getElementById('editorShuffleOptions').checked,
+            poolRules
+        };
+
+        try {
+            if (this.assessment) {
+                await this.request(`/api/authoring?action=assessment&id=${this.assessment.id}`, 'PUT', body);
+            } else {
+                await this.request('/api/authoring?action=assessment', 'POST', body);
+            }
+            this.assessmentModal.hide();
+            this.onChange();
+        } catch (error) {
+            this.showError('editorAssessmentError', error.message);
+        }
+    }
+
+    async setActive(assessmentId, isActive) {
+        try {
+            await this.request(`/api/authoring?action=publish&id=${assessmentId}`, 'POST', { isActive });
+            this.onChange();
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    /**
+     * Download an assessment in the data/questions/stepN-questions.json format
+     */
+    async exportAssessment(assessmentId) {
+        try {
+            const response = await authUtils.apiRequest(`/api/authoring?action=export&id=${assessmentId}`);
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Export failed');
+            }
+
+            const bank = await response.json();
+            const blob = new Blob([JSON.stringify(bank, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `step${bank.stepNumber}-questions.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
+    }
+
+    // ===== Questions =====
+
+    async manageQuestions(assessmentId) {
+        this.ensureModals();
+
+        try {
+            const data = await this.request(`/api/authoring?action=assessment&id=${assessmentId}`);
+            this.assessment = data.assessment;
+        } catch (error) {
+            alert('Error: ' + error.message);
+            return;
+        }
+
+        document.getElementById('editorQuestionsTitle').textContent =
+            `Step ${this.assessment.step_number}: ${this.assessment.title}`;
+        this.showError('editorQuestionError', null);
+        this.renderQuestionList();
+        this.openQuestionForm(null);
+        this.questionsModal.show();
+    }
+
+    async reloadQuestions() {
+        const data = await this.request(`/api/authoring?action=assessment&id=${this.assessment.id}`);
+        this.assessment = data.assessment;
+        this.renderQuestionList();
+        this.onChange();
+    }
+
+    renderQuestionList() {
+        const list = document.getElementById('editorQuestionList');
+        const questions = this.assessment.questions;
+
+        if (questions.length === 0) {
+            list.innerHTML = '<div class="text-muted small py-3 text-center">No questions yet</div>';
+            return;
+        }
+
+        list.innerHTML = questions.map((question, index) => `
+            <div class="list-group-item d-flex align-items-center ${question.id === this.editingQuestionId ? 'active' : ''}">
+                <span class="badge bg-secondary me-2">${index + 1}</span>
+                <div class="flex-grow-1 text-truncate small" title="${this.escapeHtml(question.question_text)}">
+                    ${this.escapeHtml(question.question_text)}
+                    <div class="text-muted">${question.question_type} · ${parseFloat(question.points)} pts</div>
+                </div>
+                <div class="btn-group btn-group-sm ms-2">
+                    <button class="btn btn-outline-secondary" data-action="up" data-id="${question.id}" ${index === 0 ? 'disabled' : ''}>
+                        <i class="bi bi-arrow-up"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary" data-action="down" data-id="${question.id}" ${index === questions.length - 1 ? 'disabled' : ''}>
+                        <i class="bi bi-arrow-down"></i>
+                    </button>
+                    <button class="btn btn-outline-primary" data-action="edit" data-id="${question.id}">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-outline-warning" data-action="regrade" data-id="${question.id}" title="Regrade answers">
+                        <i class="bi bi-arrow-repeat"></i>
+                    </button>
+                    <button class="btn btn-outline-danger" data-action="delete" data-id="${question.id}">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    openQuestionForm(question) {
+        this.editingQuestionId = question ? question.id : null;
+        const toJsonText = value => (value === null || value === undefined) ? '' : JSON.stringify(value, null, 2);
+
+        document.getElementById('editorQuestionFormTitle').textContent = question ? 'Edit Question' : 'New Question';
+        document.getElementById('editorQuestionType').value = question ? question.question_type : 'multiple_choice';
+        document.getElementById('editorDifficulty').value = question ? question.difficulty : 'medium';
+        document.getElementById('editorPoints').value = question ? parseFloat(question.points) : 10;
+        document.getElementById('editorTags').value = question && Array.isArray(question.tags) ? question.tags.join(', ') : '';
+        document.getElementById('editorQuestionText').value = question ? question.question_text : '';
+        document.getElementById('editorCodeSnippet').value = question ? (question.code_snippet || '') : '';
+        document.getElementById('editorOptions').value = question ? toJsonText(question.options) : '';
+        document.getElementById('editorCorrectAnswer').value = question ? (question.correct_answer || '') : '';
+        document.getElementById('editorTestCases').value = question ? toJsonText(question.test_cases) : '';
+        document.getElementById('editorTestClass').value = question ? (question.test_class || '') : '';
+        document.getElementById('editorScoring').value = question ? toJsonText(question.scoring) : '';
+        document.getElementById('editorRubric').value = question ? toJsonText(question.rubric) : '';
+        document.getElementById('editorParameters').value = question ? toJsonText(question.parameters) : '';
+        document.getElementById('editorExplanation').value = question ? (question.explanation || '') : '';
+
+        if (this.assessment) {
+            this.renderQuestionList();
+        }
+    }
+
+    readJsonField(elementId, label) {
+        const text = document.getElementById(elementId).value.trim();
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${label} is not valid JSON`);
+        }
+    }
+
+    async saveQuestion() {
+        try {
+            const body = {
+                questionType: document.getElementById('editorQuestionType').value,
+                difficulty: document.getElementById('editorDifficulty').value,
+                points: parseFloat(document.getElementById('editorPoints').value),
+                tags: document.getElementById('editorTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+                questionText: document.getElementById('editorQuestionText').value.trim(),
+                codeSnippet: document.getElementById('editorCodeSnippet').value || null,
+                options: this.readJsonField('editorOptions', 'Options'),
+                correctAnswer: document.getElementById('editorCorrectAnswer').value.trim() || null,
+                testCases: this.readJsonField('editorTestCases', 'Test cases'),
+                testClass: document.getElementById('editorTestClass').value.trim() || null,
+                scoring: this.readJsonField('editorScoring', 'Scoring rules'),
+                rubric: this.readJsonField('editorRubric', 'Grading rubric'),
+                parameters: this.readJsonField('editorParameters', 'Parameters'),
+                explanation: document.getElementById('editorExplanation').value.trim() || null
+            };
+
+            if (this.editingQuestionId) {
+                await this.request(`/api/authoring?action=question&id=${this.editingQuestionId}`, 'PUT', body);
+            } else {
+                const data = await this.request('/api/authoring?action=question', 'POST', {
+                    ...body,
+                    assessmentId: this.assessment.id
+                });
+                this.editingQuestionId = data.question.id;
+            }
+
+            this.showError('editorQuestionError', null);
+            await this.reloadQuestions();
+        } catch (error) {
+            this.showError('editorQuestionError', error.message);
+        }
+    }
+
+    /**
+     * Show one random variant of the saved question, as a student could get it
+     */
+    async previewVariant() {
+        if (!this.editingQuestionId) {
+            this.showError('editorQuestionError', 'Save the question before previewing a variant');
+            return;
+        }
+
+        try {
+            this.showError('editorQuestionError', null);
+            const data = await this.request(`/api/authoring?action=preview&id=${this.editingQuestionId}`);
+
+            if (!data.values) {
+                alert('This question has no parameters - every student gets the same question.');
+                return;
+            }
+
+            const values = Object.entries(data.values).map(([name, value]) => `${name} = ${value}`).join(', ');
+            alert(
+                `Variant for seed ${data.seed} (${values})\n\n${data.question.question_text}` +
+                (data.question.code_snippet ? `\n\n${data.question.code_snippet}` : '') +
+                (data.question.correct_answer ? `\n\nCorrect answer: ${data.question.correct_answer}` : '')
+            );
+        } catch (error) {
+            this.showError('editorQuestionError', error.message);
+        }
+    }
+
+    async moveQuestion(questionId, delta) {
+        const ids = this.assessment.questions.map(q => q.id);
+        const index = ids.indexOf(questionId);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= ids.length) return;
+
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+
+        try {
+            await this.request('/api/authoring?action=reorder', 'POST', {
+                assessmentId: this.assessment.id,
+                questionIds: ids
+            });
+            await this.reloadQuestions();
+        } catch (error) {
+            this.showError('editorQuestionError', error.message);
+        }
+    }
+
+    /**
+     * Rescore past attempts after an answer key fix - previews the changes first
+     * @param {Object} scope - { assessmentId } or { questionId }
+     */
+    async regrade(scope) {
+        try {
+            this.showError('editorQuestionError', null);
+            const preview = await this.requestRegrade(scope, true);
+
+            if (preview.attemptsChanged === 0) {
+                alert(`Checked ${preview.attemptsChecked} attempt(s) - no scores would change.`);
+                return;
+            }
+
+            const reason = prompt(
+                `${preview.attemptsChanged} of ${preview.attemptsChecked} attempt(s) will be rescored ` +
+                `(${preview.passChanged} change pass/fail). Reason for the regrade:`
+            );
+            if (reason === null) return;
+
+            const result = await this.requestRegrade({ ...scope, reason }, false);
+            alert(`Regraded ${result.attemptsChanged} attempt(s).`);
+        } catch (error) {
+            this.showError('editorQuestionError', error.message);
+        }
+    }
+
+    /**
+     * Run a regrade batch by batch (the server handles a few attempts per
+     * request), showing the progress on the regrade button
+     * @returns {Promise<Object>} Counts added up over all batches
+     */
+    async requestRegrade(body, dryRun) {
+        const button = document.getElementById('editorRegrade');
+        const label = button.innerHTML;
+        const totals = { attemptsChecked: 0, attemptsChanged: 0, passChanged: 0 };
+        let batch = { runId: null, nextAttemptId: null };
+
+        button.disabled = true;
+        try {
+            do {
+                batch = await this.request(`/api/authoring?action=regrade${dryRun ? '&dryRun=true' : ''}`, 'POST', {
+                    ...body,
+                    runId: batch.runId,
+                    afterAttemptId: batch.nextAttemptId
+                });
+                totals.attemptsChecked += batch.attemptsChecked;
+                totals.attemptsChanged += batch.attemptsChanged;
+                totals.passChanged += batch.passChanged;
+                button.textContent = `${dryRun ? 'Checking' : 'Regrading'} ${batch.progress.processed}/${batch.progress.total}...`;
+            } while (!batch.done);
+        } finally {
+            button.disabled = false;
+            button.innerHTML = label;
+        }
+
+        return { ...totals, runId: batch.runId };
+    }
+
+    async deleteQuestion(questionId) {
+        if (!confirm('Delete this question?')) return;
+
+        const url = `/api/authoring?action=question&id=${questionId}`;
+
+        try {
+            try {
+                await this.request(url, 'DELETE');
+            } catch (error) {
+                // Questions with student answers need a second confirmation
+                if (!error.message.includes('force=true') ||
+                    !confirm('Students have already answered this question. Delete their answers as well?')) {
+                    throw error;
+                }
+                await this.request(`${url}&force=true`, 'DELETE');
+            }
+
+            if (this.editingQuestionId === questionId) {
+                this.openQuestionForm(null);
+            }
+            await this.reloadQuestions();
+        } catch (error) {
+            this.showError('editorQuestionError', error.message);
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssessmentEditor;
+}
+
+// Add to window for global access
+window.AssessmentEditor = AssessmentEditor;
@@ -9,8 +9,6 @@ class DatabaseAssessmentEngine {
         this.options = {
             showProgress: true,
             allowSkip: true,
-            shuffleQuestions: false,
-            shuffleAnswers: false,
             timeLimit: null,
             autoSave: true,
             autoSaveInterval: 30000,
@@ -23,9 +21,16 @@ class DatabaseAssessmentEngine {
         this.userAnswers = {};
         this.assessmentData = null;
         this.attemptData = null;
+        this.policyData = null;
         this.startTime = null;
         this.endTime = null;
         this.autoSaveTimer = null;
+        this.codeEditor = null;
+        this.runCounts = {};
+        this.countdownTimer = null;
+        this.deadline = null;
+        this.serverOffset = 0;
+        this.timeExpired = false;
         this.timeTracker = {};
 
         this.init();
@@ -65,7 +70,9 @@ class DatabaseAssessmentEngine {
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                // Attempt limits and cooldowns come back as 403/429 with a readable message
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
             }
 
             const data = await response.json();
@@ -73,6 +80,7 @@ class DatabaseAssessmentEngine {
             if (data.success) {
                 this.attemptData = data.attempt;
                 this.assessmentData = data.assessment;
+                this.policyData = data.policy || null;
                 this.questions = data.questions || [];
 
                 // Store questions with proper formatting
@@ -83,9 +91,18 @@ class DatabaseAssessmentEngine {
                     timeSpent: 0
                 }));
 
-                // Initialize timer if time limit is set
-                if (this.assessmentData.duration_minutes) {
-                    this.initializeTimer(this.assessmentData.duration_minutes * 60); // Convert to seconds
+                // Resumed attempt - restore saved answers, time and position
+                if (data.resume) {
+                    this.restoreProgress(data.resume);
+                }
+
+                // Initialize timer if time limit is set - the server deadline wins over the local duration
+                if (this.attemptData.deadline_at || this.assessmentData.duration_minutes) {
+                    this.initializeTimer(
+                        this.assessmentData.duration_minutes * 60, // Convert to seconds
+                        this.attemptData.deadline_at,
+                        data.server_time
+                    );
                 }
 
                 // Start auto-save if enabled
@@ -93,7 +110,10 @@ class DatabaseAssessmentEngine {
                     this.setupAutoSave();
                 }
 
-                this.startTime = new Date();
+                // Total time counts from the original start when resuming
+                this.startTime = data.resume
+                    ? new Date(new Date(this.attemptData.started_at).getTime() - this.serverOffset)
+                    : new Date();
                 this.showBottomNav();
                 this.renderCurrentQuestion();
 
@@ -107,6 +127,22 @@ class DatabaseAssessmentEngine {
         }
     }
 
+    /**
+     * Restore the saved state of a resumed attempt
+     * @param {Object} resume - { answers, timeSpent, runCounts, lastQuestionIndex } from the start response
+     */
+    restoreProgress(resume) {
+        this.userAnswers = { ...(resume.answers || {}) };
+        this.runCounts = { ...(resume.runCounts || {}) };
+
+        this.questions.forEach(q => {
+            q.timeSpent = (resume.timeSpent && resume.timeSpent[q.id]) || 0;
+        });
+
+        const lastIndex = parseInt(resume.lastQuestionIndex) || 0;
+        this.currentQuestionIndex = Math.min(Math.max(lastIndex, 0), Math.max(this.questions.length - 1, 0));
+    }
+
     /**
      * Load questions from database
      */
@@ -119,23 +155,14 @@ class DatabaseAssessmentEngine {
             const data = await response.json();
 
             if (data.success) {
+                // Already in the attempt's order - shuffling is decided and stored by the server
                 this.questions = data.questions;
 
-                // Shuffle questions if option is enabled
-                if (this.options.shuffleQuestions) {
-                    this.shuffleArray(this.questions);
-                }
-
                 // Initialize time tracking for each question
                 this.questions.forEach((_, index) => {
                     this.timeTracker[index] = 0;
                 });
 
-                // Shuffle answers if option is enabled
-                if (this.options.shuffleAnswers) {
-                    this.shuffleQuestionAnswers();
-                }
-
             } else {
                 throw new Error(data.error || 'Failed to load questions');
             }
@@ -160,6 +187,9 @@ class DatabaseAssessmentEngine {
 
         this.hideLoading();
 
+        // The previous question's editor goes away with its markup
+        this.codeEditor = null;
+
         // Track time spent on this question
         this.startQuestionTimer();
 
@@ -367,14 +397,16 @@ class DatabaseAssessmentEngine {
                     <div class="code-editor-container mb-3" data-code-editor></div>
                     <textarea class="d-none"
                               data-question-input
-                              name="question_${question.id}">${completeTemplate}</textarea>
+                              name="question_${question.id}">${this.escapeHtml(completeTemplate)}</textarea>
                 </div>
 
+                ${this.renderRunPanel(question)}
+
             </div>
         `;
 
         this.container.innerHTML = html;
-        this.setupCodeEditor();
+        this.setupCodeEditor(question);
         this.setupQuestionEventListeners(question);
     }
 
@@ -416,55 +448,99 @@ class DatabaseAssessmentEngine {
                         ${testCases.map(tc => `
                             <div class="test-case mb-2">
                                 <small class="text-muted">${tc.description}</small>
-                                <div class="text-monospace small">Expected: ${tc.expected}</div>
+                                ${this.renderTestFiles(tc.files)}
+                                <div class="text-monospace small">Expected: ${tc.expected ?? ''}</div>
                             </div>
                         `).join('')}
                     </div>
                 ` : ''}
 
                 <div class="code-editor-section">
-                    <div class="d-flex justify-content-between align-items-center mb-2">
-                        <h6>Your Code:</h6>
-                        <button class="btn btn-success btn-sm" data-execute-code>
-                            <i class="bi bi-play-circle"></i> Test & Execute
-                        </button>
-                    </div>
+                    <h6>Your Code:</h6>
                     <div class="code-editor-container mb-3" data-code-editor></div>
                     <textarea class="d-none"
                               data-question-input
-                              name="question_${question.id}">${completeTemplate}</textarea>
+                              name="question_${question.id}">${this.escapeHtml(completeTemplate)}</textarea>
                 </div>
 
-                <div class="execution-result mb-4" data-execution-result style="display: none;"></div>
+                ${this.renderRunPanel(question)}
 
             </div>
         `;
 
         this.container.innerHTML = html;
-        this.setupCodeEditor();
+        this.setupCodeEditor(question);
         this.setupQuestionEventListeners(question);
     }
 
+    /**
+     * Input files a test case places next to the program, collapsed by default
+     */
+    renderTestFiles(files) {
+        return Object.entries(files || {}).map(([name, content]) => `
+            <details class="small">
+                <summary class="text-monospace">${this.escapeHtml(name)}</summary>
+                <pre class="mb-1">${this.escapeHtml(content)}</pre>
+            </details>
+        `).join('');
+    }
+
+    /**
+     * Run button, custom stdin and the output area below a code editor
+     */
+    renderRunPanel(question) {
+        return `
+            <div class="run-panel mb-4">
+                <div class="d-flex justify-content-between align-items-center mb-2">
+                    <button class="btn btn-success btn-sm" data-execute-code>
+                        <i class="bi bi-play-circle"></i> Run
+                    </button>
+                    <small class="text-muted" data-run-count>${this.formatRunCount(question)}</small>
+                </div>
+                <details class="mb-2">
+                    <summary class="small text-muted">Custom input (stdin)</summary>
+                    <textarea class="form-control font-monospace mt-2" rows="3" data-run-stdin
+                              placeholder="Input passed to your program when you press Run"></textarea>
+                </details>
+                <div class="execution-result" data-execution-result style="display: none;"></div>
+            </div>
+        `;
+    }
+
+    formatRunCount(question) {
+        const runs = this.runCounts[question.id] || 0;
+        return runs === 0 ? 'Not run yet' : `Run ${runs} time${runs === 1 ? '' : 's'}`;
+    }
+
     /**
      * Submit answer for current question
+     * @param {boolean} autoSave - Only store the answer; it is graded when submitted
      */
-    async submitAnswer(question, answer) {
+    async submitAnswer(question, answer, autoSave = false) {
         try {
             const timeSpent = this.getQuestionTimeSpent();
+            const action = autoSave ? 'save-answer' : 'submit-answer';
 
-            const response = await authUtils.apiRequest(`${this.apiUrl}/assessment-handler?action=submit-answer`, {
+            const response = await authUtils.apiRequest(`${this.apiUrl}/assessment-handler?action=${action}`, {
                 method: 'POST',
                 body: JSON.stringify({
                     attemptId: this.attemptData.id,
                     questionId: question.id,
                     answer: answer,
+                    // The server grades choices by position in the attempt's stored option order
+                    optionIndex: this.getOptionIndex(question, answer),
                     timeSpent: timeSpent,
-                    executionResult: this.lastExecutionResult || null
+                    questionIndex: this.currentQuestionIndex
                 })
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const errorData = await response.json().catch(() => ({}));
+                if (errorData.code === 'ATTEMPT_EXPIRED') {
+                    this.handleAttemptExpired(errorData.error);
+                    return null;
+                }
+                throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
             }
 
             const data = await response.json();
@@ -473,6 +549,9 @@ class DatabaseAssessmentEngine {
                 // Store answer locally
                 this.userAnswers[question.id] = answer;
 
+                // Keep the countdown in step with the server clock
+                this.syncTimer(data.deadlineAt, data.serverTime);
+
                 // Show feedback if provided
                 if (data.explanation && data.isCorrect) {
                     this.showAnswerFeedback(data.explanation, data.isCorrect, data.pointsEarned);
@@ -515,7 +594,13 @@ class DatabaseAssessmentEngine {
 
             if (data.success) {
                 this.endTime = new Date();
-                this.showResults(data.results);
+                this.finishAttempt();
+                this.showResults(data.results || {
+                    score: data.summary.pointsEarned,
+                    totalPoints: data.summary.totalPoints,
+                    percentage: data.summary.score,
+                    isPassed: data.summary.passed
+                }, data.review);
             } else {
                 throw new Error(data.error || 'Failed to submit assessment');
             }
@@ -530,16 +615,53 @@ class DatabaseAssessmentEngine {
      * Utility methods
      */
     generateCompleteTemplate(template, userCode) {
-        if (Array.isArray(template)) {
-            const templateString = template.join('\n');
-            return templateString.replace('{{USER_CODE}}', userCode || '/* Write your code here */');
+        const templateString = Array.isArray(template) ? template.join('\n') : template;
+        const placeholderIndex = templateString ? templateString.indexOf('{{USER_CODE}}') : -1;
+        if (placeholderIndex === -1) {
+            return userCode || '/* Write your code here */';
         }
-        return userCode || '/* Write your code here */';
+
+        // Saved answers are the whole program - keep only the student's part between the template text
+        const head = templateString.slice(0, placeholderIndex);
+        const tail = templateString.slice(placeholderIndex + '{{USER_CODE}}'.length);
+        const code = userCode && userCode.length >= head.length + tail.length &&
+            userCode.startsWith(head) && userCode.endsWith(tail)
+            ? userCode.slice(head.length, userCode.length - tail.length)
+            : userCode;
+
+        return head + (code || '/* Write your code here */') + tail;
     }
 
-    setupCodeEditor() {
-        // Implementation would be similar to the original assessment engine
-        // Using CodeMirror or similar syntax highlighter
+    /**
+     * Replace the hidden answer textarea with the Java editor; the template
+     * text around {{USER_CODE}} is read-only. The textarea stays in sync so
+     * getCurrentAnswer and auto-save see every edit.
+     */
+    setupCodeEditor(question) {
+        const editorContainer = this.container.querySelector('[data-code-editor]');
+        const input = this.container.querySelector('[data-question-input]');
+        if (!editorContainer || !input) {
+            return null;
+        }
+
+        // Without the editor script, fall back to editing the plain textarea
+        if (typeof JavaCodeEditor === 'undefined') {
+            input.classList.remove('d-none');
+            input.classList.add('form-control', 'font-monospace');
+            input.rows = 15;
+            input.addEventListener('input', () => this.handleAnswerChange());
+            return null;
+        }
+
+        this.codeEditor = new JavaCodeEditor(editorContainer, {
+            value: input.value,
+            template: question.options?.template,
+            onChange: value => {
+                input.value = value;
+                this.handleAnswerChange();
+            }
+        });
+        return this.codeEditor;
     }
 
     setupQuestionEventListeners(question) {
@@ -566,12 +688,30 @@ class DatabaseAssessmentEngine {
         }
     }
 
+    /**
+     * Position of a choice answer among the options as displayed, or null for other answers
+     */
+    getOptionIndex(question, answer) {
+        if (!Array.isArray(question.options)) {
+            return null;
+        }
+
+        const index = question.options.findIndex(option => (
+            (typeof option === 'string' ? option : option && option.text) === answer
+        ));
+        return index === -1 ? null : index;
+    }
+
     getCurrentAnswer() {
         const radioBtn = this.container.querySelector('input[type="radio"]:checked');
         if (radioBtn) {
             return radioBtn.value;
         }
 
+        if (this.codeEditor) {
+            return this.codeEditor.getValue();
+        }
+
         const textarea = this.container.querySelector('[data-question-input]');
         if (textarea) {
             return textarea.value;
@@ -581,17 +721,144 @@ class DatabaseAssessmentEngine {
     }
 
     // Timer management
-    initializeTimer(totalSeconds) {
-        // Implementation for countdown timer
+    /**
+     * Count down to the attempt deadline
+     * @param {number} totalSeconds - Fallback duration when the server sent no deadline
+     * @param {string|null} deadlineAt - Deadline from the server (ISO string)
+     * @param {string|null} serverTime - Server clock when the response was sent
+     */
+    initializeTimer(totalSeconds, deadlineAt = null, serverTime = null) {
+        this.syncTimer(deadlineAt, serverTime);
+        if (!this.deadline) {
+            this.deadline = this.getServerNow() + totalSeconds * 1000;
+        }
+
+        this.stopTimer();
+        this.updateTimerDisplay();
+        this.countdownTimer = setInterval(() => this.updateTimerDisplay(), 1000);
+    }
+
+    syncTimer(deadlineAt, serverTime) {
+        // The offset corrects for a local clock that is ahead of or behind the server
+        if (serverTime) {
+            this.serverOffset = new Date(serverTime).getTime() - Date.now();
+        }
+        if (deadlineAt) {
+            this.deadline = new Date(deadlineAt).getTime();
+        }
+    }
+
+    getServerNow() {
+        return Date.now() + this.serverOffset;
+    }
+
+    getRemainingSeconds() {
+        if (!this.deadline) return null;
+        return Math.max(0, Math.ceil((this.deadline - this.getServerNow()) / 1000));
+    }
+
+    updateTimerDisplay() {
+        const remaining = this.getRemainingSeconds();
+        if (remaining === null) return;
+
+        const timerContainer = document.getElementById('timerContainer');
+        const timerDisplay = document.getElementById('timerDisplay');
+
+        if (timerDisplay) {
+            const hours = Math.floor(remaining / 3600);
+            const minutes = Math.floor((remaining % 3600) / 60);
+            const seconds = remaining % 60;
+            const mmss = `${minutes.toString().padStart(hours ? 2 : 1, '0')}:${seconds.toString().padStart(2, '0')}`;
+            timerDisplay.textContent = hours ? `${hours}:${mmss}` : mmss;
+        }
+
+        if (timerContainer) {
+            timerContainer.style.display = 'block';
+            if (remaining <= 300) { // Last 5 minutes
+                timerContainer.style.background = 'var(--danger-color)';
+            }
+        }
+
+        if (remaining === 0) {
+            this.stopTimer();
+            this.handleTimeExpired();
+        }
+    }
+
+    stopTimer() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    }
+
+    /**
+     * Time is up: save the answer on screen (the server still accepts it
+     * within its grace window) and submit the assessment
+     */
+    async handleTimeExpired() {
+        if (this.timeExpired) return;
+        this.timeExpired = true;
+
+        const question = this.questions[this.currentQuestionIndex];
+        const answer = question ? this.getCurrentAnswer() : null;
+        if (answer && answer !== this.userAnswers[question.id]) {
+            await this.submitAnswer(question, answer);
+        }
+
+        // Saving may have found the attempt already finalized by the server
+        if (this.attemptData && this.attemptData.status === 'in_progress') {
+            await this.submitAssessment();
+        }
+    }
+
+    /**
+     * The server refused an answer because the deadline had passed and
+     * submitted the attempt itself
+     */
+    handleAttemptExpired(message) {
+        this.finishAttempt();
+        this.container.innerHTML = `
+            <div class="alert alert-warning text-center">
+                <i class="bi bi-clock-history me-2"></i>
+                ${this.escapeHtml(message || 'Time limit exceeded. Your assessment has been submitted.')}
+            </div>
+        `;
+    }
+
+    finishAttempt() {
+        this.stopTimer();
+        if (this.autoSaveTimer) {
+            clearInterval(this.autoSaveTimer);
+            this.autoSaveTimer = null;
+        }
+        if (this.attemptData) {
+            this.attemptData.status = 'submitted';
+        }
+        this.hideBottomNav();
     }
 
     startQuestionTimer() {
         this.questionStartTime = Date.now();
     }
 
+    /**
+     * Add the time of the current visit to the question's total before leaving it
+     */
+    recordQuestionTime() {
+        const question = this.questions[this.currentQuestionIndex];
+        if (question && this.questionStartTime) {
+            question.timeSpent = this.getQuestionTimeSpent();
+            this.questionStartTime = Date.now();
+        }
+    }
+
     getQuestionTimeSpent() {
-        if (!this.questionStartTime) return 0;
-        return Math.floor((Date.now() - this.questionStartTime) / 1000);
+        // Time from earlier visits (and sessions) plus the current visit
+        const question = this.questions[this.currentQuestionIndex];
+        const previous = (question && question.timeSpent) || 0;
+        if (!this.questionStartTime) return previous;
+        return previous + Math.floor((Date.now() - this.questionStartTime) / 1000);
     }
 
     getTotalTimeSpent() {
@@ -622,13 +889,24 @@ class DatabaseAssessmentEngine {
         `;
     }
 
-    showResults(results) {
+    showResults(results, review = null) {
         // Ensure results object has all required properties
         const score = results?.score ?? 0;
         const totalPoints = results?.totalPoints ?? 100;
         const percentage = results?.percentage ?? 0;
         const isPassed = results?.isPassed ?? false;
 
+        let reviewSection = '';
+        if (review && review.available) {
+            reviewSection = `
+                <button class="btn btn-primary mt-4" data-review-attempt>
+                    <i class="bi bi-journal-check me-1"></i>Review Answers
+                </button>
+            `;
+        } else if (review && review.reason) {
+            reviewSection = `<p class="text-muted mt-4"><i class="bi bi-lock me-1"></i>${this.escapeHtml(review.reason)}</p>`;
+        }
+
         this.container.innerHTML = `
             <div class="assessment-results text-center py-5">
                 <h2>Assessment Complete!</h2>
@@ -663,8 +941,17 @@ class DatabaseAssessmentEngine {
                         </div>
                     </div>
                 </div>
+                ${reviewSection}
             </div>
         `;
+
+        const reviewBtn = this.container.querySelector('[data-review-attempt]');
+        if (reviewBtn) {
+            const attemptId = this.attemptData.id;
+            reviewBtn.addEventListener('click', () => {
+                parent.loadContent(`src/content/student-review.html?attemptId=${attemptId}`);
+            });
+        }
     }
 
     redirectToLogin() {
@@ -694,7 +981,7 @@ class DatabaseAssessmentEngine {
             if (currentQuestion) {
                 const answer = this.getCurrentAnswer();
                 if (answer && answer !== this.userAnswers[currentQuestion.id]) {
-                    this.submitAnswer(currentQuestion, answer);
+                    this.submitAnswer(currentQuestion, answer, true);
                 }
             }
         }, this.options.autoSaveInterval);
@@ -703,18 +990,37 @@ class DatabaseAssessmentEngine {
     // Navigation
     goToNextQuestion() {
         if (this.currentQuestionIndex < this.questions.length - 1) {
+            this.recordQuestionTime();
             this.currentQuestionIndex++;
+            this.savePosition();
             this.renderCurrentQuestion();
         }
     }
 
     goToPreviousQuestion() {
         if (this.currentQuestionIndex > 0) {
+            this.recordQuestionTime();
             this.currentQuestionIndex--;
+            this.savePosition();
             this.renderCurrentQuestion();
         }
     }
 
+    /**
+     * Remember the current question on the server so a resumed attempt reopens it
+     */
+    savePosition() {
+        if (!this.attemptData || this.attemptData.status !== 'in_progress') return;
+
+        authUtils.apiRequest(`${this.apiUrl}/assessment-handler?action=position`, {
+            method: 'POST',
+            body: JSON.stringify({
+                attemptId: this.attemptData.id,
+                questionIndex: this.currentQuestionIndex
+            })
+        }).catch(error => console.error('Save position error:', error));
+    }
+
     confirmSubmission() {
         if (confirm('Are you sure you want to submit your assessment? This action cannot be undone.')) {
             this.submitAssessment();
@@ -823,25 +1129,175 @@ class DatabaseAssessmentEngine {
     }
 
     // Utility methods
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-    }
-
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
-    shuffleQuestionAnswers() {
-        // Implementation for shuffling answer options while maintaining correct answer mapping
+    /**
+     * Run the code on the server with the custom stdin and the visible sample
+     * tests. Nothing is graded or saved; the server counts the run.
+     */
+    async executeCode(question) {
+        const code = this.getCurrentAnswer();
+        const runButton = this.container.querySelector('[data-execute-code]');
+        const resultContainer = this.container.querySelector('[data-execution-result]');
+        const stdinInput = this.container.querySelector('[data-run-stdin]');
+        if (!code || !resultContainer) return;
+
+        runButton.disabled = true;
+        resultContainer.style.display = 'block';
+        resultContainer.className = 'execution-result pending';
+        resultContainer.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Running your code...';
+
+        try {
+            const response = await authUtils.apiRequest(`${this.apiUrl}/assessment-handler?action=run`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    attemptId: this.attemptData.id,
+                    questionId: question.id,
+                    code,
+                    stdin: stdinInput ? stdinInput.value : ''
+                })
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                if (data.code === 'ATTEMPT_EXPIRED') {
+                    this.handleAttemptExpired(data.error);
+                    return;
+                }
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.runCounts[question.id] = data.runCount;
+            const runCount = this.container.querySelector('[data-run-count]');
+            if (runCount) {
+                runCount.textContent = this.formatRunCount(question);
+            }
+
+            this.renderRunResult(resultContainer, data);
+        } catch (error) {
+            console.error('Run code error:', error);
+            resultContainer.className = 'execution-result error';
+            resultContainer.textContent = 'Could not run your code: ' + error.message;
+            this.renderOfflineHints(resultContainer);
+        } finally {
+            runButton.disabled = false;
+        }
+    }
+
+    renderRunResult(resultContainer, data) {
+        const { run, sampleResults } = data;
+        const findings = data.findings || [];
+        const passed = sampleResults.filter(result => result.passed).length;
+        const failed = !run.success || passed < sampleResults.length;
+
+        const block = (label, text) => text ? `
+            <div class="mb-2">
+                <div class="small fw-semibold">${label}</div>
+                <pre class="mb-0 small">${this.escapeHtml(text)}</pre>
+            </div>
+        ` : '';
+
+        const samples = sampleResults.map(result => `
+            <li class="mb-2">
+                <i class="bi ${result.passed ? 'bi-check-circle' : 'bi-x-circle'} me-1"></i>
+                ${this.escapeHtml(result.description)}
+                ${result.passed ? '' : `
+                    <div class="small ms-4">
+                        Expected: <code>${this.escapeHtml(result.expectedOutput)}</code><br>
+                        Got: <code>${this.escapeHtml(result.actualOutput || result.error || '')}</code>
+                        ${result.message ? `<br>${this.escapeHtml(result.message)}` : ''}
+                        ${(result.fileResults || []).filter(file => !file.passed).map(file => `
+                            <br>${file.actual === null ? this.escapeHtml(file.message) : `
+                                ${this.escapeHtml(file.name)} - expected: <code>${this.escapeHtml(file.expected)}</code>,
+                                got: <code>${this.escapeHtml(file.actual)}</code>
+                            `}
+                        `).join('')}
+                    </div>
+                `}
+            </li>
+        `).join('');
+
+        resultContainer.className = `execution-result ${failed ? 'error' : 'success'}`;
+        resultContainer.innerHTML = `
+            <div class="fw-semibold mb-2">${this.escapeHtml(run.status || '')}
+                ${run.executionTime !== null && run.executionTime !== undefined ? `<small class="text-muted">(${run.executionTime} ms)</small>` : ''}
+            </div>
+            ${this.renderLocatedMessages('Compiler errors', run.compileErrors)}
+            ${block('Compiler output', run.compileOutput)}
+            ${block('Output', run.stdout)}
+            ${block('Errors', run.stderr)}
+            ${sampleResults.length > 0 ? `
+                <div class="small fw-semibold">Sample tests: ${passed}/${sampleResults.length} passed</div>
+                <ul class="list-unstyled mb-0 mt-1">${samples}</ul>
+            ` : ''}
+            ${this.renderLocatedMessages('Hints', findings)}
+        `;
+
+        this.markEditorLines(resultContainer, [...(run.compileErrors || []), ...findings]);
     }
 
-    executeCode(question) {
-        // Implementation for Judge0 integration (similar to original engine)
+    /**
+     * Without the server, the in-browser static analysis is the only feedback left
+     */
+    renderOfflineHints(resultContainer) {
+        if (!this.codeEditor || typeof JavaStaticAnalyzer === 'undefined') return;
+
+        const findings = new JavaStaticAnalyzer().analyze(this.codeEditor.getValue());
+        resultContainer.insertAdjacentHTML('beforeend', `
+            <div class="mt-2">
+                ${findings.length > 0
+                    ? this.renderLocatedMessages('Hints from checking your code offline', findings)
+                    : '<div class="small">No problems found by the offline checks.</div>'}
+            </div>
+        `);
+        this.markEditorLines(resultContainer, findings);
+    }
+
+    /**
+     * Messages with the student's own line numbers (the server maps them from
+     * the generated class); clicking one moves the caret to it
+     * @param {string} label - Heading of the list
+     * @param {Object[]} items - { line, column, snippetLine, inSnippet, message, severity }
+     */
+    renderLocatedMessages(label, items) {
+        if (!items || items.length === 0) return '';
+
+        const location = item => {
+            if (item.inSnippet) return `Line ${item.snippetLine} of your code`;
+            return item.inSnippet === false ? `Template line ${item.line}` : `Line ${item.line}`;
+        };
+
+        const rows = items.map(item => `
+            <li>
+                <button type="button" class="btn btn-link btn-sm p-0 text-start"
+                        data-error-line="${item.line}" data-error-column="${item.column || 1}">
+                    ${location(item)}
+                </button>: ${this.escapeHtml(item.message)}
+            </li>
+        `).join('');
+
+        return `
+            <div class="mb-2">
+                <div class="small fw-semibold">${label}</div>
+                <ul class="small mb-0 ps-3">${rows}</ul>
+            </div>
+        `;
+    }
+
+    // Mark the lines in the editor's gutter and make the listed locations clickable
+    markEditorLines(resultContainer, items) {
+        if (!this.codeEditor) return;
+
+        this.codeEditor.setErrors(items);
+        resultContainer.querySelectorAll('[data-error-line]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.codeEditor.goToPosition(parseInt(button.dataset.errorLine), parseInt(button.dataset.errorColumn));
+            });
+        });
     }
 
     showAnswerFeedback(explanation, isCorrect, points) {
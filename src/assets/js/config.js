@@ -7,6 +7,7 @@ const CONFIG = {
     JUDGE0: {
         API_URL: 'https://judge0-ce.p.rapidapi.com',
         API_KEY: '', // Set this in config.local.js or environment
+        AUTH_TOKEN: '', // X-Auth-Token for a self-hosted Judge0 instance
         JAVA_LANGUAGE_ID: 62, // Java (OpenJDK 13.0.1)
         TIMEOUT: 10, // seconds
         MEMORY_LIMIT: 128000 // KB
@@ -16,7 +17,7 @@ const CONFIG = {
     COURSE: {
         TOTAL_STEPS: 9,
         PASSING_SCORE: 70, // percentage
-        MAX_ATTEMPTS: 3
+        MAX_ATTEMPTS: 3 // suggested default; the enforced limit is each assessment's max_attempts
     },
 
     // Assessment Types
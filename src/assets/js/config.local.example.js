@@ -7,7 +7,8 @@ const LOCAL_CONFIG = {
     JUDGE0: {
         API_KEY: 'your-rapidapi-key-here',
         // Uncomment to use local Judge0 instance
-        // API_URL: 'http://localhost:2358'
+        // API_URL: 'http://localhost:2358',
+        // AUTH_TOKEN: 'your-judge0-authn-token'
     },
 
     // Development settings
@@ -0,0 +1,507 @@
+/**
+ * Java Static Analyzer
+ * Offline checks on a Java source, without compiling or running it: unbalanced
+ * brackets, resources that are never closed, swallowed exceptions, values that
+ * can be null and are used without a check, and unused local variables.
+ *
+ * Findings carry 1-based line and column numbers of the analyzed source:
+ *   { rule, severity, line, column, message }   // severity: error, warning or info
+ *
+ * Shared by the server grader (lib/grading.js) and the browser, where it gives
+ * hints next to run results and stands in when no code runner is reachable.
+ */
+
+const ANALYZER_TOKEN_PATTERN = new RegExp([
+    '(\\/\\*[\\s\\S]*?(?:\\*\\/|$)|\\/\\/[^\\n]*)',                     // 1 comment
+    '("""[\\s\\S]*?(?:"""|$)|"(?:\\\\.|[^"\\\\\\n])*"?)',               // 2 text block or string
+    '(\'(?:\\\\.|[^\'\\\\\\n])*\'?)',                                   // 3 char literal
+    '(\\d[\\w.]*)',                                                     // 4 number
+    '([A-Za-z_$][\\w$]*)',                                              // 5 identifier or keyword
+    '(\\s+)',                                                           // 6 whitespace
+    '(::|->|[=!<>]=|&&|\\|\\||\\+\\+|--|[\\s\\S])'                      // 7 operator or punctuation
+].join('|'), 'g');
+
+// Words that can start a local variable's type
+const ANALYZER_TYPE_KEYWORDS = new Set(['boolean', 'byte', 'char', 'double', 'float', 'int', 'long', 'short', 'var']);
+const ANALYZER_KEYWORDS = new Set([
+    'abstract', 'assert', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do',
+    'else', 'enum', 'extends', 'final', 'finally', 'for', 'goto', 'if', 'implements', 'import',
+    'instanceof', 'interface', 'native', 'new', 'package', 'private', 'protected', 'public', 'record',
+    'return', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws',
+    'transient', 'try', 'void', 'volatile', 'while', 'yield', 'true', 'false', 'null'
+]);
+const ANALYZER_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+// Types that hold a file, stream or socket open until close() is called
+const RESOURCE_TYPES = new Set([
+    'FileReader', 'FileWriter', 'BufferedReader', 'BufferedWriter', 'FileInputStream',
+    'FileOutputStream', 'InputStreamReader', 'OutputStreamWriter', 'PrintWriter', 'PrintStream',
+    'Scanner', 'ObjectInputStream', 'ObjectOutputStream', 'DataInputStream', 'DataOutputStream',
+    'BufferedInputStream', 'BufferedOutputStream', 'RandomAccessFile', 'Socket', 'ServerSocket'
+]);
+
+// Methods that return null instead of a value in an ordinary situation
+const NULLABLE_METHODS = {
+    readLine: 'returns null at the end of the input',
+    getProperty: 'returns null when the property is not set',
+    getenv: 'returns null when the variable is not set',
+    poll: 'returns null when the queue is empty',
+    peek: 'returns null when the queue is empty',
+    getParent: 'returns null when there is no parent',
+    getParentFile: 'returns null when there is no parent',
+    listFiles: 'returns null when the path is not a readable directory',
+    getResource: 'returns null when the resource does not exist',
+    getResourceAsStream: 'returns null when the resource does not exist'
+};
+const NULL_CHECK_METHODS = new Set(['isNull', 'nonNull', 'requireNonNull', 'requireNonNullElse', 'ofNullable']);
+
+class JavaStaticAnalyzer {
+    /**
+     * Analyze a Java source
+     * Structural checks only run once the brackets balance, since they rely on them.
+     * @param {string} source - Java source code
+     * @returns {Object[]} Findings ordered by position
+     */
+    analyze(source) {
+        const tokens = this.tokenize((source || '').replace(/\r\n?/g, '\n'));
+        const findings = this.checkBrackets(tokens);
+
+        if (findings.length === 0) {
+            const structure = this.getStructure(tokens);
+            findings.push(
+                ...this.checkResources(tokens, structure),
+                ...this.checkCatchBlocks(tokens, structure),
+                ...this.checkNullableValues(tokens, structure),
+                ...this.checkUnusedVariables(tokens, structure)
+            );
+        }
+
+        return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    }
+
+    /**
+     * Split the source into tokens, dropping comments and whitespace
+     * @returns {Object[]} { type, value, line, column } - type is string, char, number, word or symbol
+     */
+    tokenize(source) {
+        const tokens = [];
+        const types = [null, 'comment', 'string', 'char', 'number', 'word', 'space', 'symbol'];
+        let line = 1;
+        let lineStart = 0;
+        let match;
+
+        ANALYZER_TOKEN_PATTERN.lastIndex = 0;
+        while ((match = ANALYZER_TOKEN_PATTERN.exec(source)) !== null) {
+            const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+            const type = types[group];
+
+            if (type !== 'comment' && type !== 'space') {
+                tokens.push({ type, value: match[0], line, column: match.index - lineStart + 1 });
+            }
+
+            const newlines = match[0].split('\n').length - 1;
+            if (newlines > 0) {
+                line += newlines;
+                lineStart = match.index + match[0].lastIndexOf('\n') + 1;
+            }
+        }
+
+        return tokens;
+    }
+
+    finding(token, rule, severity, message) {
+        return { rule, severity, line: token.line, column: token.column, message };
+    }
+
+    is(token, value) {
+        return token !== undefined && token.type !== 'string' && token.type !== 'char' && token.value === value;
+    }
+
+    checkBrackets(tokens) {
+        const findings = [];
+        const stack = [];
+
+        tokens.forEach(token => {
+            if (token.type !== 'symbol') {
+                return;
+            }
+
+            if (token.value === '(' || token.value === '[' || token.value === '{') {
+                stack.push(token);
+                return;
+            }
+
+            const opening = ANALYZER_BRACKETS[token.value];
+            if (!opening) {
+                return;
+            }
+
+            if (stack.length === 0) {
+                findings.push(this.finding(token, 'brace-mismatch', 'error',
+                    `"${token.value}" has no matching "${opening}"`));
+                return;
+            }
+
+            const open = stack[stack.length - 1];
+            if (open.value === opening) {
+                stack.pop();
+                return;
+            }
+
+            findings.push(this.finding(token, 'brace-mismatch', 'error',
+                `"${token.value}" closes the "${open.value}" opened on line ${open.line}`));
+
+            // Carry on from the bracket it was probably meant to close, or treat it as a typo for the expected one
+            const index = stack.map(item => item.value).lastIndexOf(opening);
+            if (index !== -1) {
+                stack.length = index;
+            } else {
+                stack.pop();
+            }
+        });
+
+        stack.forEach(open => {
+            findings.push(this.finding(open, 'brace-mismatch', 'error', `"${open.value}" is never closed`));
+        });
+
+        return findings;
+    }
+
+    /**
+     * Bracket partners (both ways), brace and parenthesis depth of every token,
+     * class bodies and try-with-resources headers
+     */
+    getStructure(tokens) {
+        const partners = new Map();
+        const openers = new Map();
+        const braceDepth = [];
+        const parenDepth = [];
+        const classBodies = new Set();
+        const resourceHeaders = [];
+        const stack = [];
+        let braces = 0;
+        let parens = 0;
+
+        tokens.forEach((token, index) => {
+            if (this.is(token, '}')) {
+                braces--;
+            }
+            if (this.is(token, ')')) {
+                parens--;
+            }
+            braceDepth.push(braces);
+            parenDepth.push(parens);
+
+            if (this.is(token, '{') || this.is(token, '(') || this.is(token, '[')) {
+                stack.push(index);
+                if (token.value === '{') {
+                    braces++;
+                    if (this.isClassBody(tokens, index)) {
+                        classBodies.add(index);
+                    }
+                } else if (token.value === '(') {
+                    parens++;
+                    if (this.is(tokens[index - 1], 'try')) {
+                        resourceHeaders.push(index);
+                    }
+                }
+            } else if (this.is(token, '}') || this.is(token, ')') || this.is(token, ']')) {
+                const open = stack.pop();
+                partners.set(open, index);
+                openers.set(index, open);
+            }
+        });
+
+        return {
+            partners,
+            openers,
+            braceDepth,
+            parenDepth,
+            classBodies,
+            resourceHeaders: resourceHeaders.map(start => [start, partners.get(start)])
+        };
+    }
+
+    isClassBody(tokens, braceIndex) {
+        for (let i = braceIndex - 1; i >= 0; i--) {
+            const token = tokens[i];
+            if (this.is(token, ';') || this.is(token, '{') || this.is(token, '}') || this.is(token, 'new')) {
+                return false;
+            }
+            if (['class', 'interface', 'enum', 'record'].some(keyword => this.is(token, keyword))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Innermost "{" around a token, or -1 at the top level
+    getEnclosingBrace(tokens, structure, index) {
+        const depth = structure.braceDepth[index];
+        for (let i = index - 1; i >= 0; i--) {
+            if (this.is(tokens[i], '{') && structure.braceDepth[i] === depth - 1) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    inResourceHeader(structure, index) {
+        return structure.resourceHeaders.some(([start, end]) => index > start && index < end);
+    }
+
+    /**
+     * Index range where a variable declared at an index is in scope
+     */
+    getScopeEnd(tokens, structure, index) {
+        const depth = structure.braceDepth[index];
+        let end = index + 1;
+        while (end < tokens.length && structure.braceDepth[end] >= depth) {
+            end++;
+        }
+        return end;
+    }
+
+    /**
+     * A resource assigned to a local variable has to be closed, handed to a
+     * try-with-resources statement or returned to the caller
+     */
+    checkResources(tokens, structure) {
+        const findings = [];
+
+        tokens.forEach((token, index) => {
+            const type = tokens[index + 1];
+            if (!this.is(token, 'new') || !type || !RESOURCE_TYPES.has(type.value) || !this.is(tokens[index + 2], '(')) {
+                return;
+            }
+
+            // Nobody closes System.in
+            if (this.is(tokens[index + 3], 'System') && this.is(tokens[index + 5], 'in')) {
+                return;
+            }
+
+            // Only resources kept in a local variable; arguments belong to the object they are passed to
+            const name = tokens[index - 2];
+            if (this.inResourceHeader(structure, index) || !this.is(tokens[index - 1], '=') ||
+                !name || name.type !== 'word' || this.is(tokens[index - 3], '.')) {
+                return;
+            }
+
+            const end = this.getScopeEnd(tokens, structure, index);
+            for (let i = index + 3; i < end; i++) {
+                if (!this.is(tokens[i], name.value) || this.is(tokens[i - 1], '.')) {
+                    continue;
+                }
+                const closed = this.is(tokens[i + 1], '.') && this.is(tokens[i + 2], 'close');
+                const handedOver = this.inResourceHeader(structure, i) || this.is(tokens[i - 1], 'return') ||
+                    this.is(tokens[i - 1], '(') && tokens.slice(Math.max(i - 3, 0), i).some(item => this.is(item, 'new'));
+                if (closed || handedOver) {
+                    return;
+                }
+            }
+
+            findings.push(this.finding(token, 'unclosed-resource', 'warning',
+                `${type.value} "${name.value}" is never closed - open it in a try-with-resources statement: ` +
+                `try (${type.value} ${name.value} = new ${type.value}(...)) { ... }`));
+        });
+
+        return findings;
+    }
+
+    /**
+     * Catch blocks that hide the exception: empty, or only printing the stack trace
+     */
+    checkCatchBlocks(tokens, structure) {
+        const findings = [];
+
+        tokens.forEach((token, index) => {
+            if (!this.is(token, 'catch') || !this.is(tokens[index + 1], '(')) {
+                return;
+            }
+
+            const headerEnd = structure.partners.get(index + 1);
+            const bodyStart = headerEnd + 1;
+            if (!this.is(tokens[bodyStart], '{')) {
+                return;
+            }
+
+            const body = tokens.slice(bodyStart + 1, structure.partners.get(bodyStart)).map(item => item.value);
+            const exception = tokens[index + 2] ? tokens[index + 2].value : 'exception';
+
+            if (body.length === 0) {
+                findings.push(this.finding(token, 'swallowed-exception', 'warning',
+                    `Empty catch block swallows the ${exception} - handle it, report it or rethrow it`));
+            } else if (body.length === 6 && body[2] === 'printStackTrace' && body[1] === '.') {
+                findings.push(this.finding(token, 'swallowed-exception', 'info',
+                    `The ${exception} is only printed - the code carries on as if nothing failed`));
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * A variable assigned from a method that can return null and then
+     * dereferenced before any null check
+     */
+    checkNullableValues(tokens, structure) {
+        const findings = [];
+
+        tokens.forEach((token, index) => {
+            // "name = ...method(...);" as a statement - not inside a condition like while ((line = ...) != null)
+            if (token.type !== 'word' || !this.is(tokens[index + 1], '=') || structure.parenDepth[index] > 0) {
+                return;
+            }
+
+            let end = index + 2;
+            while (end < tokens.length && !(this.is(tokens[end], ';') && structure.parenDepth[end] === 0)) {
+                end++;
+            }
+            if (!this.is(tokens[end - 1], ')')) {
+                return;
+            }
+
+            const callStart = structure.openers.get(end - 1);
+            const method = tokens[callStart - 1];
+            if (!method || !NULLABLE_METHODS[method.value] || !this.is(tokens[callStart - 2], '.')) {
+                return;
+            }
+
+            const name = token.value;
+            const scopeEnd = this.getScopeEnd(tokens, structure, index);
+            for (let i = end + 1; i < scopeEnd; i++) {
+                const current = tokens[i];
+                const isName = this.is(current, name) && !this.is(tokens[i - 1], '.');
+
+                if (isName && this.is(tokens[i + 1], '=')) {
+                    return;
+                }
+                if (this.isNullCheck(tokens, i, name)) {
+                    return;
+                }
+                if (isName && this.is(tokens[i + 1], '.')) {
+                    findings.push(this.finding(current, 'missing-null-check', 'warning',
+                        `"${name}" can be null here - ${method.value}() ${NULLABLE_METHODS[method.value]}`));
+                    return;
+                }
+            }
+        });
+
+        return findings;
+    }
+
+    isNullCheck(tokens, index, name) {
+        const comparison = token => this.is(token, '==') || this.is(token, '!=');
+        const token = tokens[index];
+
+        if (this.is(token, name) && comparison(tokens[index + 1]) && this.is(tokens[index + 2], 'null')) {
+            return true;
+        }
+        if (this.is(token, 'null') && comparison(tokens[index + 1]) && this.is(tokens[index + 2], name)) {
+            return true;
+        }
+        return this.is(token, name) && this.is(tokens[index - 1], '(') &&
+            tokens[index - 2] !== undefined && NULL_CHECK_METHODS.has(tokens[index - 2].value);
+    }
+
+    /**
+     * Local variables that are declared and never mentioned again
+     */
+    checkUnusedVariables(tokens, structure) {
+        const findings = [];
+
+        tokens.forEach((token, index) => {
+            const next = tokens[index + 1];
+            if (token.type !== 'word' || ANALYZER_KEYWORDS.has(token.value) || ANALYZER_TYPE_KEYWORDS.has(token.value) ||
+                token.value === '_' || !(this.is(next, '=') || this.is(next, ';'))) {
+                return;
+            }
+
+            const typeStart = this.findTypeStart(tokens, index - 1);
+            if (typeStart === -1) {
+                return;
+            }
+
+            const before = tokens[typeStart - 1];
+            const startsStatement = ['{', '}', ';', '(', 'final'].some(value => this.is(before, value));
+            if (!startsStatement || this.inResourceHeader(structure, index)) {
+                return;
+            }
+
+            // Fields are used from other methods
+            const enclosing = this.getEnclosingBrace(tokens, structure, index);
+            if (enclosing === -1 || structure.classBodies.has(enclosing) && structure.parenDepth[index] === 0) {
+                return;
+            }
+
+            const scopeEnd = this.getScopeEnd(tokens, structure, index);
+            const used = tokens.slice(index + 1, scopeEnd).some((item, offset) => (
+                this.is(item, token.value) && !this.is(tokens[index + offset], '.')
+            ));
+
+            if (!used) {
+                findings.push(this.finding(token, 'unused-variable', 'warning',
+                    `Variable "${token.value}" is declared but never used`));
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * Index where the type ending at a token starts (int, String[], List<String>,
+     * java.util.Map<K, V>), or -1 when the tokens do not form a type
+     */
+    findTypeStart(tokens, end) {
+        let index = end;
+
+        while (this.is(tokens[index], ']') && this.is(tokens[index - 1], '[')) {
+            index -= 2;
+        }
+
+        if (this.is(tokens[index], '>')) {
+            let depth = 0;
+            for (; index >= 0; index--) {
+                if (this.is(tokens[index], '>')) {
+                    depth++;
+                } else if (this.is(tokens[index], '<')) {
+                    depth--;
+                    if (depth === 0) {
+                        break;
+                    }
+                } else if (!(tokens[index].type === 'word' || this.is(tokens[index], ',') ||
+                    this.is(tokens[index], '?') || this.is(tokens[index], '.') ||
+                    this.is(tokens[index], '[') || this.is(tokens[index], ']'))) {
+                    return -1;
+                }
+            }
+            index--;
+        }
+
+        const type = tokens[index];
+        if (!type || type.type !== 'word' || ANALYZER_KEYWORDS.has(type.value)) {
+            return -1;
+        }
+
+        while (this.is(tokens[index - 1], '.') && tokens[index - 2] && tokens[index - 2].type === 'word') {
+            index -= 2;
+        }
+        return index;
+    }
+
+    /**
+     * Findings as text, one per line
+     */
+    static formatFindings(findings) {
+        return findings.map(finding => `Line ${finding.line}: ${finding.message}`).join('\n');
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof window !== 'undefined') {
+    window.JavaStaticAnalyzer = JavaStaticAnalyzer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JavaStaticAnalyzer };
+}
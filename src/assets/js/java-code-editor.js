@@ -0,0 +1,551 @@
+/**
+ * Java Code Editor
+ * Lightweight editor for the assessment engine, loaded from local assets (no CDN):
+ * syntax highlighting, line numbers, auto-indent, bracket matching and read-only
+ * template regions around {{USER_CODE}}.
+ *
+ * A transparent textarea sits on top of a highlighted copy of its text, so
+ * typing, selection, clipboard and undo stay native.
+ */
+
+const JAVA_KEYWORDS = new Set([
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+    'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+    'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+    'new', 'package', 'private', 'protected', 'public', 'record', 'return', 'short', 'static',
+    'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try',
+    'var', 'void', 'volatile', 'while', 'yield'
+]);
+const JAVA_LITERALS = new Set(['true', 'false', 'null']);
+
+const JAVA_TOKEN_PATTERN = new RegExp([
+    '(\\/\\*[\\s\\S]*?(?:\\*\\/|$))',                                   // 1 block comment
+    '(\\/\\/[^\\n]*)',                                                  // 2 line comment
+    '("""[\\s\\S]*?(?:"""|$)|"(?:\\\\.|[^"\\\\\\n])*"?)',               // 3 text block or string
+    '(\'(?:\\\\.|[^\'\\\\\\n])*\'?)',                                   // 4 char literal
+    '(@[A-Za-z_][\\w$]*)',                                              // 5 annotation
+    '(\\b(?:0[xX][\\da-fA-F_]+|0[bB][01_]+|\\d[\\d_]*(?:\\.\\d[\\d_]*)?(?:[eE][+-]?\\d+)?)[lLfFdD]?\\b)', // 6 number
+    '([A-Za-z_$][\\w$]*)',                                              // 7 identifier
+    '([(){}\\[\\]])',                                                   // 8 bracket
+    '([\\s\\S])'                                                        // 9 anything else
+].join('|'), 'g');
+
+const USER_CODE_PLACEHOLDER = '{{USER_CODE}}';
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+const CLOSING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+class JavaCodeEditor {
+    /**
+     * @param {HTMLElement} container - Element the editor is rendered into
+     * @param {Object} options
+     * @param {string} options.value - Initial source
+     * @param {string|string[]} options.template - Template with {{USER_CODE}}; the text around it is read-only
+     * @param {Function} options.onChange - Called with the full source after every edit
+     * @param {boolean} options.readOnly - Disable editing entirely
+     * @param {number} options.minLines - Visible lines before the editor grows
+     * @param {number} options.maxLines - Visible lines before the editor scrolls
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            value: '',
+            template: null,
+            onChange: null,
+            readOnly: false,
+            minLines: 12,
+            maxLines: 30,
+            indentUnit: '    ',
+            ...options
+        };
+
+        this.lastValue = null;
+        this.lastSelection = [0, 0];
+        this.tabReleased = false;
+        this.errors = [];
+
+        this.render();
+        this.setValue(this.options.value);
+    }
+
+    /**
+     * Text before and after {{USER_CODE}} in a template, or null without a placeholder
+     */
+    static splitTemplate(template) {
+        const text = Array.isArray(template) ? template.join('\n') : template;
+        const index = typeof text === 'string' ? text.indexOf(USER_CODE_PLACEHOLDER) : -1;
+        if (index === -1) {
+            return null;
+        }
+
+        return {
+            head: text.slice(0, index),
+            tail: text.slice(index + USER_CODE_PLACEHOLDER.length)
+        };
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="java-editor">
+                <div class="java-editor-gutter" aria-hidden="true"></div>
+                <div class="java-editor-body">
+                    <pre class="java-editor-highlight" aria-hidden="true"><code></code></pre>
+                    <textarea class="java-editor-input" spellcheck="false" autocomplete="off"
+                              autocapitalize="off" autocorrect="off" wrap="off"
+                              aria-label="Java code editor"></textarea>
+                </div>
+            </div>
+        `;
+
+        this.root = this.container.querySelector('.java-editor');
+        this.gutter = this.container.querySelector('.java-editor-gutter');
+        this.highlight = this.container.querySelector('.java-editor-highlight');
+        this.code = this.highlight.querySelector('code');
+        this.input = this.container.querySelector('.java-editor-input');
+        this.input.readOnly = this.options.readOnly;
+
+        this.input.addEventListener('beforeinput', event => this.handleBeforeInput(event));
+        this.input.addEventListener('input', () => this.handleInput());
+        this.input.addEventListener('keydown', event => this.handleKeyDown(event));
+        this.input.addEventListener('scroll', () => this.syncScroll());
+        ['keyup', 'mouseup', 'select', 'focus'].forEach(type => {
+            this.input.addEventListener(type, () => this.handleSelectionChange());
+        });
+        this.input.addEventListener('focus', () => this.root.classList.add('focused'));
+        this.input.addEventListener('blur', () => this.root.classList.remove('focused'));
+    }
+
+    getValue() {
+        return this.input.value;
+    }
+
+    /**
+     * Replace the whole source; the template regions are re-detected from it
+     */
+    setValue(value) {
+        this.input.value = (value || '').replace(/\r\n?/g, '\n');
+        this.updateRegions();
+        this.lastValue = this.input.value;
+        this.refresh();
+    }
+
+    /**
+     * The student's part of the source - everything when there are no template regions
+     */
+    getUserCode() {
+        const { start, end } = this.getEditableRange();
+        return this.input.value.slice(start, end);
+    }
+
+    focus() {
+        const { start } = this.getEditableRange();
+        this.input.focus();
+        if (this.input.selectionStart < start) {
+            this.input.setSelectionRange(start, start);
+        }
+    }
+
+    /**
+     * Mark compiler errors and analysis findings in the gutter until the next edit
+     * @param {Object[]} errors - { line, column, message, severity } with 1-based editor positions
+     */
+    setErrors(errors) {
+        this.errors = Array.isArray(errors) ? errors : [];
+        this.renderGutter();
+    }
+
+    /**
+     * Put the caret at a line and column and scroll it into view
+     */
+    goToPosition(line, column = 1) {
+        const lines = this.input.value.split('\n');
+        const lineIndex = Math.min(Math.max(line, 1), lines.length) - 1;
+        const offset = lines.slice(0, lineIndex).reduce((total, text) => total + text.length + 1, 0);
+        const position = offset + Math.min(Math.max((column || 1) - 1, 0), lines[lineIndex].length);
+        const lineHeight = parseFloat(getComputedStyle(this.input).lineHeight) || 21;
+
+        this.input.focus();
+        this.input.setSelectionRange(position, position);
+        this.input.scrollTop = Math.max(lineIndex * lineHeight - this.input.clientHeight / 2, 0);
+        this.handleSelectionChange();
+    }
+
+    destroy() {
+        this.container.innerHTML = '';
+    }
+
+    // Read-only template regions
+
+    updateRegions() {
+        const parts = JavaCodeEditor.splitTemplate(this.options.template);
+        const value = this.input.value;
+
+        // A source that no longer matches its template (e.g. an old answer) is fully editable
+        this.regions = parts && value.length >= parts.head.length + parts.tail.length &&
+            value.startsWith(parts.head) && value.endsWith(parts.tail)
+            ? parts
+            : null;
+    }
+
+    getEditableRange(value = this.input.value) {
+        if (!this.regions) {
+            return { start: 0, end: value.length };
+        }
+        return { start: this.regions.head.length, end: value.length - this.regions.tail.length };
+    }
+
+    isEditable(start, end) {
+        if (this.options.readOnly) {
+            return false;
+        }
+        const range = this.getEditableRange();
+        return start >= range.start && end <= range.end;
+    }
+
+    /**
+     * Block edits that reach into a read-only region before they happen
+     */
+    handleBeforeInput(event) {
+        const { selectionStart, selectionEnd } = this.input;
+        let start = selectionStart;
+        let end = selectionEnd;
+
+        if (start === end && event.inputType === 'deleteContentBackward') {
+            start -= 1;
+        } else if (start === end && event.inputType === 'deleteContentForward') {
+            end += 1;
+        } else if (start === end && event.inputType.startsWith('delete')) {
+            // Word and line deletes have no known extent here - the input check catches them
+            return;
+        }
+
+        if (!this.isEditable(start, end)) {
+            event.preventDefault();
+        }
+    }
+
+    handleInput() {
+        const value = this.input.value;
+
+        // Fallback for browsers without beforeinput: undo any change to the template text
+        if (this.regions && !(value.length >= this.regions.head.length + this.regions.tail.length &&
+            value.startsWith(this.regions.head) && value.endsWith(this.regions.tail))) {
+            this.input.value = this.lastValue;
+            this.input.setSelectionRange(...this.lastSelection);
+            return;
+        }
+
+        this.lastValue = value;
+        // Line numbers of old errors no longer hold after an edit
+        this.errors = [];
+        this.refresh();
+
+        if (typeof this.options.onChange === 'function') {
+            this.options.onChange(value);
+        }
+    }
+
+    handleSelectionChange() {
+        this.lastSelection = [this.input.selectionStart, this.input.selectionEnd];
+        this.renderHighlight();
+    }
+
+    // Editing commands
+
+    /**
+     * Replace a range through the browser's editing pipeline so undo keeps working
+     */
+    replaceRange(start, end, text, caretStart = start + text.length, caretEnd = caretStart) {
+        if (!this.isEditable(start, end)) {
+            return false;
+        }
+
+        this.input.setSelectionRange(start, end);
+        const inserted = typeof document.execCommand === 'function' &&
+            document.execCommand('insertText', false, text);
+
+        if (!inserted) {
+            this.input.setRangeText(text, start, end, 'end');
+            this.handleInput();
+        }
+
+        this.input.setSelectionRange(caretStart, caretEnd);
+        this.handleSelectionChange();
+        return true;
+    }
+
+    getLineStart(position) {
+        return this.input.value.lastIndexOf('\n', position - 1) + 1;
+    }
+
+    getIndentation(lineStart) {
+        return this.input.value.slice(lineStart).match(/^[ \t]*/)[0];
+    }
+
+    handleKeyDown(event) {
+        if (this.options.readOnly || event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        // Escape then Tab moves focus out of the editor instead of indenting
+        if (event.key === 'Escape') {
+            this.tabReleased = true;
+            return;
+        }
+        if (event.key === 'Tab' && this.tabReleased) {
+            this.tabReleased = false;
+            return;
+        }
+        this.tabReleased = false;
+
+        if (event.key === 'Tab') {
+            event.preventDefault();
+            this.indentSelection(event.shiftKey);
+        } else if (event.key === 'Enter') {
+            if (this.insertNewline()) {
+                event.preventDefault();
+            }
+        } else if (event.key === '}') {
+            if (this.insertClosingBrace()) {
+                event.preventDefault();
+            }
+        }
+    }
+
+    /**
+     * Enter keeps the current indentation, adds a level after "{" and puts a
+     * "}" right after the caret on its own line
+     */
+    insertNewline() {
+        const { selectionStart, selectionEnd, value } = this.input;
+        const indentation = this.getIndentation(this.getLineStart(selectionStart));
+        const before = value.slice(this.getLineStart(selectionStart), selectionStart).trimEnd();
+        const after = value.slice(selectionEnd);
+        const unit = this.options.indentUnit;
+
+        if (before.endsWith('{') && /^[ \t]*}/.test(after)) {
+            const text = `\n${indentation}${unit}\n${indentation}`;
+            const caret = selectionStart + indentation.length + unit.length + 1;
+            return this.replaceRange(selectionStart, selectionEnd, text, caret);
+        }
+
+        const extra = /[{([]$/.test(before) ? unit : '';
+        return this.replaceRange(selectionStart, selectionEnd, `\n${indentation}${extra}`);
+    }
+
+    /**
+     * A "}" typed on an otherwise blank line drops one indentation level
+     */
+    insertClosingBrace() {
+        const { selectionStart, selectionEnd, value } = this.input;
+        const lineStart = this.getLineStart(selectionStart);
+        const beforeCaret = value.slice(lineStart, selectionStart);
+        const unit = this.options.indentUnit;
+
+        if (selectionStart !== selectionEnd || !/^[ \t]+$/.test(beforeCaret)) {
+            return false;
+        }
+
+        const outdented = beforeCaret.endsWith(unit)
+            ? beforeCaret.slice(0, -unit.length)
+            : beforeCaret.slice(0, -1);
+        return this.replaceRange(lineStart, selectionStart, `${outdented}}`);
+    }
+
+    /**
+     * Tab indents (Shift+Tab outdents) every selected line, or inserts spaces at the caret
+     */
+    indentSelection(outdent) {
+        const { selectionStart, selectionEnd, value } = this.input;
+        const unit = this.options.indentUnit;
+
+        if (!outdent && !value.slice(selectionStart, selectionEnd).includes('\n')) {
+            this.replaceRange(selectionStart, selectionEnd, unit);
+            return;
+        }
+
+        const { start: editableStart } = this.getEditableRange();
+        const blockStart = Math.max(this.getLineStart(selectionStart), editableStart);
+        const blockEnd = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n'
+            ? selectionEnd - 1
+            : selectionEnd;
+        const lineEnd = value.indexOf('\n', blockEnd);
+        const end = lineEnd === -1 ? value.length : lineEnd;
+
+        const lines = value.slice(blockStart, end).split('\n');
+        const changed = lines.map(line => {
+            if (!outdent) {
+                return line.length > 0 ? unit + line : line;
+            }
+            const leading = line.match(/^[ \t]*/)[0];
+            return line.slice(Math.min(leading.length, leading.startsWith('\t') ? 1 : unit.length));
+        }).join('\n');
+
+        this.replaceRange(blockStart, end, changed, blockStart, blockStart + changed.length);
+    }
+
+    // Rendering
+
+    refresh() {
+        this.renderGutter();
+        this.renderHighlight();
+        this.resize();
+    }
+
+    renderGutter() {
+        const value = this.input.value;
+        const lineCount = value.split('\n').length;
+        const { start, end } = this.getEditableRange();
+        const firstEditableLine = value.slice(0, start).split('\n').length;
+        const lastEditableLine = value.slice(0, end).split('\n').length;
+
+        let html = '';
+        for (let line = 1; line <= lineCount; line++) {
+            const readOnly = this.regions && (line < firstEditableLine || line > lastEditableLine);
+            const markers = this.errors.filter(error => error.line === line);
+            const messages = markers.map(error => error.message);
+            // Compiler errors have no severity; analysis warnings and hints are marked more softly
+            const marker = markers.some(error => !error.severity || error.severity === 'error') ? ' has-error' : ' has-warning';
+            const classes = `java-editor-line-number${readOnly ? ' read-only' : ''}${messages.length > 0 ? marker : ''}`;
+            const title = messages.length > 0 ? ` title="${this.escape(messages.join('\n')).replace(/"/g, '&quot;')}"` : '';
+            html += `<div class="${classes}"${title}>${line}</div>`;
+        }
+        this.gutter.innerHTML = html;
+    }
+
+    /**
+     * Split the source into highlighted tokens
+     * @returns {Object[]} { start, end, type } - type is null for plain text
+     */
+    tokenize(value) {
+        const tokens = [];
+        JAVA_TOKEN_PATTERN.lastIndex = 0;
+        let match;
+
+        while ((match = JAVA_TOKEN_PATTERN.exec(value)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            let type = null;
+
+            if (match[1] || match[2]) {
+                type = 'comment';
+            } else if (match[3]) {
+                type = 'string';
+            } else if (match[4]) {
+                type = 'string';
+            } else if (match[5]) {
+                type = 'annotation';
+            } else if (match[6]) {
+                type = 'number';
+            } else if (match[7]) {
+                if (JAVA_KEYWORDS.has(match[7])) {
+                    type = 'keyword';
+                } else if (JAVA_LITERALS.has(match[7])) {
+                    type = 'literal';
+                } else if (/^[A-Z]/.test(match[7])) {
+                    type = 'type';
+                }
+            } else if (match[8]) {
+                type = 'bracket';
+            }
+
+            tokens.push({ start, end, type });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Positions of the bracket next to the caret and its partner, ignoring
+     * brackets inside strings and comments
+     * @returns {Object|null} { positions: number[], matched: boolean }
+     */
+    findMatchingBracket(tokens) {
+        const { selectionStart, selectionEnd, value } = this.input;
+        if (selectionStart !== selectionEnd) {
+            return null;
+        }
+
+        const brackets = tokens.filter(token => token.type === 'bracket');
+        const atCaret = brackets.find(token => token.start === selectionStart - 1) ||
+            brackets.find(token => token.start === selectionStart);
+        if (!atCaret) {
+            return null;
+        }
+
+        const char = value[atCaret.start];
+        const opening = BRACKET_PAIRS[char] !== undefined;
+        const partner = opening ? BRACKET_PAIRS[char] : CLOSING_BRACKETS[char];
+        const index = brackets.indexOf(atCaret);
+        const step = opening ? 1 : -1;
+        let depth = 0;
+
+        for (let i = index + step; i >= 0 && i < brackets.length; i += step) {
+            const current = value[brackets[i].start];
+            if (current === char) {
+                depth++;
+            } else if (current === partner) {
+                if (depth === 0) {
+                    return { positions: [atCaret.start, brackets[i].start], matched: true };
+                }
+                depth--;
+            }
+        }
+
+        return { positions: [atCaret.start], matched: false };
+    }
+
+    renderHighlight() {
+        const value = this.input.value;
+        const tokens = this.tokenize(value);
+        const bracketMatch = this.findMatchingBracket(tokens);
+        const { start: editableStart, end: editableEnd } = this.getEditableRange();
+        const cuts = this.regions ? [editableStart, editableEnd] : [];
+
+        let html = '';
+        tokens.forEach(token => {
+            // Tokens are split where a read-only region starts or ends
+            const bounds = [token.start, ...cuts.filter(cut => cut > token.start && cut < token.end), token.end];
+
+            for (let i = 0; i < bounds.length - 1; i++) {
+                const start = bounds[i];
+                const classes = [];
+                if (token.type) {
+                    classes.push(`tok-${token.type}`);
+                }
+                if (this.regions && (start < editableStart || start >= editableEnd)) {
+                    classes.push('read-only');
+                }
+                if (bracketMatch && bracketMatch.positions.includes(start) && token.type === 'bracket') {
+                    classes.push(bracketMatch.matched ? 'bracket-match' : 'bracket-mismatch');
+                }
+
+                const text = this.escape(value.slice(start, bounds[i + 1]));
+                html += classes.length > 0 ? `<span class="${classes.join(' ')}">${text}</span>` : text;
+            }
+        });
+
+        // A trailing newline needs a character after it to take up a line
+        this.code.innerHTML = html + '\n';
+        this.syncScroll();
+    }
+
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    resize() {
+        const lineHeight = parseFloat(getComputedStyle(this.input).lineHeight) || 21;
+        const padding = 20;
+        const lines = Math.min(Math.max(this.input.value.split('\n').length, this.options.minLines), this.options.maxLines);
+        this.root.style.height = `${lines * lineHeight + padding}px`;
+    }
+
+    syncScroll() {
+        this.highlight.scrollTop = this.input.scrollTop;
+        this.highlight.scrollLeft = this.input.scrollLeft;
+        this.gutter.scrollTop = this.input.scrollTop;
+    }
+}
+
+// Global access for the assessment engine
+window.JavaCodeEditor = JavaCodeEditor;
@@ -10,6 +10,8 @@ class Judge0Integration {
         this.languageId = CONFIG.JUDGE0.JAVA_LANGUAGE_ID;
         this.timeout = CONFIG.JUDGE0.TIMEOUT;
         this.memoryLimit = CONFIG.JUDGE0.MEMORY_LIMIT;
+        this.authToken = CONFIG.JUDGE0.AUTH_TOKEN || '';
+        this.maxBatchSize = 20; // Judge0's default MAX_SUBMISSION_BATCH_SIZE
 
         // Check if we should use backend proxy
         this.useBackend = this.shouldUseBackend();
@@ -54,13 +56,16 @@ class Judge0Integration {
 
     /**
      * Execute Java code using Judge0 API (direct or via backend)
+     * @param {Object} fixtures - { files, outputFiles } of a file-I/O test case, needs the backend
      */
-    async executeCode(sourceCode, input = '', testCases = []) {
+    async executeCode(sourceCode, input = '', testCases = [], fixtures = null) {
         try {
             let result;
 
             if (this.useBackend) {
-                result = await this.executeViaBackend(sourceCode, input);
+                result = await this.executeViaBackend(sourceCode, input, fixtures);
+            } else if (fixtures) {
+                throw new Error('Test files can only be provided by the backend runner');
             } else {
                 result = await this.executeDirect(sourceCode, input);
             }
@@ -74,38 +79,45 @@ class Judge0Integration {
 
         } catch (error) {
             console.error('Judge0 execution error:', error);
-
-            // Enhanced fallback: provide code review instead of execution
-            return {
-                success: true, // Mark as success so students can proceed
-                error: '',
-                output: '⚠️ Live code execution is temporarily unavailable.\n\n' +
-                        '✅ Your code has been saved and will be reviewed.\n\n' +
-                        '💡 Manual Code Review:\n' +
-                        this.generateCodeReview(sourceCode),
-                executionTime: null,
-                memoryUsage: null,
-                fallbackMode: true,
-                manualReview: true
-            };
+            return this.createFallbackResult(sourceCode);
         }
     }
 
+    /**
+     * Enhanced fallback: provide code review instead of execution
+     */
+    createFallbackResult(sourceCode) {
+        const findings = this.analyzeCode(sourceCode);
+        return {
+            success: true, // Mark as success so students can proceed
+            error: '',
+            output: '⚠️ Live code execution is temporarily unavailable.\n\n' +
+                    '✅ Your code has been saved and will be reviewed.\n\n' +
+                    '💡 Code Review:\n' +
+                    this.generateCodeReview(findings),
+            findings,
+            executionTime: null,
+            memoryUsage: null,
+            fallbackMode: true,
+            manualReview: true
+        };
+    }
+
     /**
      * Execute code via backend proxy
      */
-    async executeViaBackend(sourceCode, input) {
+    async executeViaBackend(sourceCode, input, fixtures = null) {
         try {
             // Submit code via backend
             const submitResponse = await fetch(`${this.backendUrl}/api/submissions`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getBackendHeaders(),
                 body: JSON.stringify({
                     source_code: sourceCode,
                     language_id: this.languageId,
-                    stdin: input
+                    stdin: input,
+                    files: fixtures ? fixtures.files : undefined,
+                    output_files: fixtures ? fixtures.outputFiles : undefined
                 })
             });
 
@@ -114,10 +126,13 @@ class Judge0Integration {
             }
 
             const submitData = await submitResponse.json();
-            const token = submitData.token;
 
-            // Poll for results via backend
-            return await this.getResultViaBackend(token);
+            // The backend runner waits for the result, only a bare token needs polling
+            if (submitData.status) {
+                return this.parseExecutionResult(submitData);
+            }
+
+            return await this.getResultViaBackend(submitData.token);
 
         } catch (error) {
             throw new Error(`Backend execution failed: ${error.message}`);
@@ -157,6 +172,114 @@ class Judge0Integration {
         throw new Error('Execution timed out');
     }
 
+    /**
+     * Run the same code once per input in one batch - the backend compiles it once,
+     * direct calls use Judge0's batch endpoints
+     * @param {Object[]} runs - { input, fixtures } per run
+     * @returns {Promise<Object[]>} Parsed results, in the order of runs
+     */
+    async executeBatch(sourceCode, runs) {
+        if (this.useBackend) {
+            return await this.executeBatchViaBackend(sourceCode, runs);
+        }
+        if (runs.some(run => run.fixtures)) {
+            throw new Error('Test files can only be provided by the backend runner');
+        }
+        return await this.executeBatchDirect(sourceCode, runs);
+    }
+
+    /**
+     * Execute a batch via backend proxy
+     */
+    async executeBatchViaBackend(sourceCode, runs) {
+        const response = await fetch(`${this.backendUrl}/api/submissions`, {
+            method: 'POST',
+            headers: this.getBackendHeaders(),
+            body: JSON.stringify({
+                source_code: sourceCode,
+                language_id: this.languageId,
+                runs: runs.map(run => ({
+                    stdin: run.input,
+                    files: run.fixtures ? run.fixtures.files : undefined,
+                    output_files: run.fixtures ? run.fixtures.outputFiles : undefined
+                }))
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error('Backend execution failed: could not submit the test cases');
+        }
+
+        const data = await response.json();
+        return data.runs.map(run => this.parseExecutionResult(run));
+    }
+
+    /**
+     * Execute a batch directly via Judge0 API, in chunks of Judge0's batch size limit
+     */
+    async executeBatchDirect(sourceCode, runs) {
+        const chunks = [];
+        for (let i = 0; i < runs.length; i += this.maxBatchSize) {
+            chunks.push(runs.slice(i, i + this.maxBatchSize));
+        }
+
+        const results = await Promise.all(chunks.map(async chunk => {
+            const response = await fetch(`${this.baseUrl}/submissions/batch?base64_encoded=true`, {
+                method: 'POST',
+                headers: this.getDirectHeaders(),
+                body: JSON.stringify({
+                    submissions: chunk.map(run => this.buildDirectSubmission(sourceCode, run.input))
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status}`);
+            }
+
+            const created = await response.json();
+            if (created.some(entry => !entry.token)) {
+                throw new Error('Judge0 rejected the submission');
+            }
+            return await this.getBatchResultsDirect(created.map(entry => entry.token));
+        }));
+
+        return results.flat();
+    }
+
+    /**
+     * Poll a batch until every submission has finished, one request per round
+     */
+    async getBatchResultsDirect(tokens, maxAttempts = 30, interval = 1000) {
+        const results = new Map();
+        let pending = tokens;
+
+        for (let attempt = 0; attempt < maxAttempts && pending.length > 0; attempt++) {
+            await this.sleep(interval);
+
+            const response = await fetch(`${this.baseUrl}/submissions/batch?tokens=${pending.join(',')}&base64_encoded=true`, {
+                headers: this.getDirectHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error(`API request failed: ${response.status}`);
+            }
+
+            // Submissions come back in the order of the tokens; 1=In Queue, 2=Processing
+            const data = await response.json();
+            (data.submissions || []).forEach((submission, index) => {
+                if (submission && submission.status && submission.status.id > 2) {
+                    results.set(pending[index], this.parseExecutionResult({ ...submission, token: pending[index] }));
+                }
+            });
+            pending = pending.filter(token => !results.has(token));
+        }
+
+        if (pending.length > 0) {
+            throw new Error('Execution timed out');
+        }
+        return tokens.map(token => results.get(token));
+    }
+
     /**
      * Execute code directly via Judge0 API
      */
@@ -169,22 +292,11 @@ class Judge0Integration {
      * Submit code directly to Judge0 API
      */
     async submitCodeDirect(sourceCode, input) {
-        const submissionData = {
-            source_code: btoa(sourceCode),
-            language_id: this.languageId,
-            stdin: btoa(input),
-            cpu_time_limit: this.timeout,
-            memory_limit: this.memoryLimit,
-            wall_time_limit: this.timeout + 5
-        };
+        const submissionData = this.buildDirectSubmission(sourceCode, input);
 
         const response = await fetch(`${this.baseUrl}/submissions`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-RapidAPI-Key': this.apiKey,
-                'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-            },
+            headers: this.getDirectHeaders(),
             body: JSON.stringify(submissionData)
         });
 
@@ -196,6 +308,44 @@ class Judge0Integration {
         return data.token;
     }
 
+    buildDirectSubmission(sourceCode, input) {
+        return {
+            source_code: btoa(sourceCode),
+            language_id: this.languageId,
+            stdin: btoa(input || ''),
+            cpu_time_limit: this.timeout,
+            memory_limit: this.memoryLimit,
+            wall_time_limit: this.timeout + 5
+        };
+    }
+
+    /**
+     * Headers for backend calls - the local and docker runners only run code for signed-in users
+     */
+    getBackendHeaders() {
+        return typeof authUtils !== 'undefined'
+            ? authUtils.getAuthHeaders()
+            : { 'Content-Type': 'application/json' };
+    }
+
+    /**
+     * Headers for direct calls - RapidAPI keys or a self-hosted instance token
+     */
+    getDirectHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.baseUrl.includes('rapidapi.com')) {
+            headers['X-RapidAPI-Key'] = this.apiKey;
+            headers['X-RapidAPI-Host'] = new URL(this.baseUrl).host;
+        }
+
+        if (this.authToken) {
+            headers['X-Auth-Token'] = this.authToken;
+        }
+
+        return headers;
+    }
+
     /**
      * Get execution result directly from Judge0
      */
@@ -203,10 +353,7 @@ class Judge0Integration {
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
             try {
                 const response = await fetch(`${this.baseUrl}/submissions/${token}`, {
-                    headers: {
-                        'X-RapidAPI-Key': this.apiKey,
-                        'X-RapidAPI-Host': 'judge0-ce.p.rapidapi.com'
-                    }
+                    headers: this.getDirectHeaders()
                 });
 
                 if (!response.ok) {
@@ -283,36 +430,61 @@ class Judge0Integration {
             executionTime: response.time ? parseFloat(response.time) * 1000 : null,
             memoryUsage: response.memory ? parseInt(response.memory) : null,
             exitCode: response.exit_code,
-            token: response.token
+            token: response.token,
+            files: response.files || null
         };
     }
 
     /**
-     * Validate code against test cases
+     * Validate code against test cases, all run in one batch
      */
     async validateTestCases(sourceCode, testCases) {
+        const runs = testCases.map(testCase => {
+            const outputFiles = Object.keys(testCase.expectedFiles || {});
+            return {
+                input: testCase.input,
+                fixtures: testCase.files || outputFiles.length > 0
+                    ? { files: testCase.files || null, outputFiles }
+                    : null
+            };
+        });
+
+        let executions;
+        try {
+            executions = await this.executeBatch(sourceCode, runs);
+        } catch (error) {
+            console.error('Judge0 execution error:', error);
+            const fallback = this.createFallbackResult(sourceCode);
+            executions = testCases.map(() => fallback);
+        }
+
         const results = [];
 
         for (let i = 0; i < testCases.length; i++) {
             const testCase = testCases[i];
+            const result = executions[i];
 
             try {
-                const result = await this.executeCode(sourceCode, testCase.input);
+                const comparison = result.fallbackMode
+                    ? { passed: false, message: null }
+                    : await this.compareOutputs(result.output, testCase);
+                const fileResults = result.fallbackMode || runs[i].fixtures === null || runs[i].fixtures.outputFiles.length === 0
+                    ? []
+                    : await this.getComparator().compareFiles(result.files, testCase);
 
                 results.push({
                     testCaseIndex: i,
                     input: testCase.input,
+                    files: testCase.files || null,
                     expectedOutput: testCase.expected,
                     actualOutput: result.output,
-                    passed: this.compareOutputs(result.output, testCase.expected),
+                    passed: comparison.passed && fileResults.every(file => file.passed),
+                    message: comparison.message,
+                    fileResults,
                     executionTime: result.executionTime,
                     error: result.error
                 });
 
-                if (i < testCases.length - 1) {
-                    await this.sleep(500);
-                }
-
             } catch (error) {
                 results.push({
                     testCaseIndex: i,
@@ -329,18 +501,34 @@ class Judge0Integration {
         return results;
     }
 
+    getComparator() {
+        return typeof OutputComparator !== 'undefined'
+            ? OutputComparator
+            : require('./output-comparator').OutputComparator;
+    }
+
     /**
-     * Compare expected vs actual output
+     * Compare actual output with a test case using its comparator
+     * (output-comparator.js - the server grades with the same rules)
+     * @returns {Promise<Object>} { passed, message }
      */
-    compareOutputs(actual, expected) {
-        const normalize = (str) => {
-            return str.trim()
-                     .replace(/\r\n/g, '\n')
-                     .replace(/\r/g, '\n')
-                     .replace(/\s+/g, ' ');
-        };
+    async compareOutputs(actual, testCase) {
+        const Comparator = this.getComparator();
+        if (!Comparator.checksStdout(testCase)) {
+            return { passed: true, message: null };
+        }
 
-        return normalize(actual) === normalize(expected);
+        return Comparator.compare(actual, testCase, {
+            runChecker: async (program, stdin) => {
+                const result = await this.executeCode(program, stdin);
+                return {
+                    success: result.success && !result.fallbackMode,
+                    stdout: result.output,
+                    stderr: result.error,
+                    status: result.status
+                };
+            }
+        });
     }
 
     /**
@@ -393,42 +581,42 @@ class Judge0Integration {
     }
 
     /**
-     * Generate a basic code review when execution is unavailable
+     * Static analysis findings for the code (see java-analyzer.js), at the student's
+     * lines when the code was prepared from a template
+     * Returns no findings when java-analyzer.js is not loaded on the page.
      */
-    generateCodeReview(sourceCode) {
-        const reviews = [];
-
-        // Basic Java syntax checks
-        if (sourceCode.includes('try (') && sourceCode.includes('BufferedReader')) {
-            reviews.push('✅ Good use of try-with-resources for file handling');
-        }
-
-        if (sourceCode.includes('.toLowerCase()')) {
-            reviews.push('✅ Proper case-insensitive string comparison');
-        }
+    analyzeCode(sourceCode) {
+        const Analyzer = typeof JavaStaticAnalyzer !== 'undefined'
+            ? JavaStaticAnalyzer
+            : typeof require === 'function' ? require('./java-analyzer').JavaStaticAnalyzer : null;
 
-        if (sourceCode.includes('return ')) {
-            reviews.push('✅ Method returns a value as expected');
+        if (!Analyzer) {
+            return [];
         }
 
-        if (sourceCode.includes('IOException')) {
-            reviews.push('✅ Proper exception handling declared');
+        const findings = new Analyzer().analyze(sourceCode);
+        if (!this.sourceMap) {
+            return findings;
         }
 
-        // Check for common issues
-        if (!sourceCode.includes('{') || !sourceCode.includes('}')) {
-            reviews.push('⚠️ Check your braces - ensure all blocks are properly closed');
-        }
-
-        if (sourceCode.trim().length < 10) {
-            reviews.push('⚠️ Your solution seems very short - make sure it\'s complete');
-        }
+        return findings
+            .map(finding => ({ ...finding, ...this.sourceMap.toEditorPosition(finding.line, finding.column) }))
+            .filter(finding => finding.inSnippet || finding.rule === 'brace-mismatch');
+    }
 
-        if (reviews.length === 0) {
-            reviews.push('👀 Code structure looks basic - ensure it meets all requirements');
+    /**
+     * Code review from the static analysis findings when execution is unavailable
+     */
+    generateCodeReview(findings) {
+        if (findings.length === 0) {
+            return '✅ No problems found by the static checks - make sure your solution meets all requirements';
         }
 
-        return reviews.join('\n');
+        const icons = { error: '❌', warning: '⚠️', info: '💡' };
+        return findings.map(finding => {
+            const line = finding.inSnippet ? finding.snippetLine : finding.line;
+            return `${icons[finding.severity] || '⚠️'} Line ${line}: ${finding.message}`;
+        }).join('\n');
     }
 
     /**
@@ -441,9 +629,7 @@ class Judge0Integration {
             const pythonCode = 'print("Hello from Python")';
             const directResponse = await fetch('https://ce.judge0.com/submissions', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getBackendHeaders(),
                 body: JSON.stringify({
                     source_code: pythonCode,
                     language_id: 71, // Python 3
@@ -474,9 +660,7 @@ class Judge0Integration {
             const pythonCode = 'print("Hello from Python")';
             const response = await fetch(`${this.backendUrl}/api/submissions`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                headers: this.getBackendHeaders(),
                 body: JSON.stringify({
                     source_code: pythonCode,
                     language_id: 71, // Python 3
@@ -532,6 +716,7 @@ class AssessmentJudge0 extends Judge0Integration {
 
     async executeAssessmentCode(questionData, userCode) {
         try {
+            this.sourceMap = null;
             let executableCode = this.prepareExecutableCode(questionData, userCode);
             const result = await this.executeCode(
                 executableCode,
@@ -581,6 +766,13 @@ class AssessmentJudge0 extends Judge0Integration {
 
                     // Validate and fix common user code issues
                     const validatedUserCode = this.validateAndFixUserCode(cleanUserCode, questionData);
+
+                    // Keep track of the trimming and re-indenting so errors point at the student's lines
+                    this.sourceMap = this.createSourceMap(templateString, userCode, validatedUserCode);
+                    if (this.sourceMap) {
+                        return this.sourceMap.source;
+                    }
+
                     const preparedCode = templateString.replace('{{USER_CODE}}', validatedUserCode);
 
                     return preparedCode;
@@ -598,6 +790,21 @@ class AssessmentJudge0 extends Judge0Integration {
         }
     }
 
+    /**
+     * Source map from the prepared program back to the editor (template plus the code as typed)
+     * Returns null when source-map.js is not loaded on the page.
+     */
+    createSourceMap(template, originalCode, insertedCode) {
+        const SourceMap = typeof SnippetSourceMap !== 'undefined'
+            ? SnippetSourceMap
+            : typeof require === 'function' ? require('./source-map').SnippetSourceMap : null;
+
+        if (!SourceMap) {
+            return null;
+        }
+        return new SourceMap(template, originalCode.replace(/\r\n?/g, '\n'), insertedCode);
+    }
+
     wrapCodeInClass(codeSnippet, className = 'Solution') {
         if (codeSnippet.includes('class ') || codeSnippet.includes('public class')) {
             return codeSnippet;
@@ -635,11 +842,14 @@ public class ${className} {
             }
         } else {
             score = 0;
-            feedback = this.generateErrorFeedback(result.error);
+            feedback = this.generateErrorFeedback(result.error, this.sourceMap);
         }
 
         return {
             ...result,
+            error: this.sourceMap ? this.sourceMap.rewriteOutput(result.error) : result.error,
+            // Editor positions of compiler errors, for highlighting the lines
+            errorLines: this.sourceMap ? this.sourceMap.extractErrors(result.error) : [],
             score: score,
             feedback: feedback,
             maxScore: 100
@@ -655,30 +865,20 @@ public class ${className} {
         testResults.forEach((test, index) => {
             const status = test.passed ? '✅' : '❌';
             feedback += `Test ${index + 1} ${status}\n`;
-
-            // Format input to display CSV content as indented code
-            const formatInput = (input) => {
-                if (!input) return input;
-
-                // Check if this looks like CSV test data
-                if (input.includes('contains:') && input.includes('\\n')) {
-                    // Extract the CSV content and format it as indented code
-                    const csvMatch = input.match(/contains:\s*"([^"]+)"/);
-                    if (csvMatch) {
-                        const csvContent = csvMatch[1].replace(/\\n/g, '\n');
-                        // Indent each line to make it look like code
-                        const indentedContent = csvContent.split('\n').map(line => `    ${line}`).join('\n');
-                        return input.replace(csvMatch[0], `contains:\n\n${indentedContent}\n`);
-                    }
-                }
-
-                // Fallback: just convert \n literals to line breaks
-                return input.replace(/\\n/g, '\n').replace(/"/g, '');
-            };
-
-            feedback += `Input: ${formatInput(test.input)}\n`;
+            feedback += `Input: ${test.input || '(none)'}\n`;
+            // Test files are shown as indented blocks
+            Object.entries(test.files || {}).forEach(([name, content]) => {
+                const indentedContent = content.replace(/\n$/, '').split('\n').map(line => `    ${line}`).join('\n');
+                feedback += `File ${name}:\n\n${indentedContent}\n\n`;
+            });
             feedback += `Expected: ${test.expectedOutput}\n`;
-            feedback += `Got: ${test.actualOutput}\n\n`;
+            feedback += `Got: ${test.actualOutput}\n`;
+            (test.fileResults || []).filter(file => !file.passed).forEach(file => {
+                feedback += file.actual === null
+                    ? `${file.message}\n`
+                    : `${file.name} - expected: ${file.expected.trim()}, got: ${file.actual.trim()}\n`;
+            });
+            feedback += '\n';
         });
 
         if (passedTests === totalTests) {
@@ -692,7 +892,11 @@ public class ${className} {
         return feedback;
     }
 
-    generateErrorFeedback(error) {
+    /**
+     * @param {string} error - Compiler or runtime error of the prepared program
+     * @param {SnippetSourceMap} sourceMap - When given, line numbers are rewritten to the student's code
+     */
+    generateErrorFeedback(error, sourceMap = null) {
         if (!error) return 'Unknown error occurred during execution.';
 
         const errorPatterns = [
@@ -718,7 +922,17 @@ public class ${className} {
             }
         ];
 
-        let feedback = 'Compilation/Runtime Error:\n\n' + error + '\n\n';
+        let feedback = 'Compilation/Runtime Error:\n\n';
+
+        if (sourceMap) {
+            sourceMap.extractErrors(error).forEach(item => {
+                const location = item.inSnippet ? `Line ${item.snippetLine} of your code` : `Template line ${item.line}`;
+                feedback += `${location}: ${item.message}\n`;
+            });
+            feedback += '\n' + sourceMap.rewriteOutput(error) + '\n\n';
+        } else {
+            feedback += error + '\n\n';
+        }
 
         for (const pattern of errorPatterns) {
             if (pattern.pattern.test(error)) {
@@ -4,11 +4,12 @@
  */
 
 class Judge0Client {
-    constructor() {
-        this.baseUrl = 'https://ce.judge0.com';
+    constructor(baseUrl = 'https://ce.judge0.com') {
+        this.baseUrl = baseUrl;
         this.languageId = 62; // Java (OpenJDK 13.0.1)
         this.maxRetries = 3;
         this.retryDelay = 1000;
+        this.maxBatchSize = 20; // Judge0's default MAX_SUBMISSION_BATCH_SIZE
     }
 
     /**
@@ -120,20 +121,123 @@ class Judge0Client {
     }
 
     /**
-     * Test specific test cases against code
+     * Run the same code once per input through Judge0's batch endpoints:
+     * one request creates the submissions, then each poll fetches all unfinished ones
+     * @param {string} code - Java source code
+     * @param {string[]} inputs - Input data per run
+     * @returns {Promise<Array>} Processed results, in the order of inputs
+     */
+    async executeBatch(code, inputs) {
+        const chunks = [];
+        for (let i = 0; i < inputs.length; i += this.maxBatchSize) {
+            chunks.push(inputs.slice(i, i + this.maxBatchSize));
+        }
+
+        const results = await Promise.all(chunks.map(async chunk => {
+            const response = await fetch(`${this.baseUrl}/submissions/batch?base64_encoded=true`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-RapidAPI-Host': 'ce.judge0.com'
+                },
+                body: JSON.stringify({
+                    submissions: chunk.map(input => ({
+                        source_code: btoa(code),
+                        language_id: this.languageId,
+                        stdin: btoa(input || ''),
+                        cpu_time_limit: 5,
+                        memory_limit: 128000
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Judge0 API error: ${response.status}`);
+            }
+
+            const created = await response.json();
+            if (created.some(entry => !entry.token)) {
+                throw new Error('Judge0 rejected the submission');
+            }
+            return this.waitForBatch(created.map(entry => entry.token));
+        }));
+
+        return results.flat();
+    }
+
+    /**
+     * Poll a set of submissions together until every one has finished
+     * @param {string[]} tokens - Submission tokens
+     * @returns {Promise<Array>} Processed results, in the order of tokens
+     */
+    async waitForBatch(tokens) {
+        const results = new Map();
+        let pending = tokens;
+
+        for (let attempt = 0; attempt < this.maxRetries * 10 && pending.length > 0; attempt++) {
+            await this.delay(this.retryDelay);
+
+            const response = await fetch(`${this.baseUrl}/submissions/batch?tokens=${pending.join(',')}&base64_encoded=true`, {
+                headers: { 'X-RapidAPI-Host': 'ce.judge0.com' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Judge0 API error: ${response.status}`);
+            }
+
+            // Submissions come back in the order of the tokens; 1=In Queue, 2=Processing
+            const data = await response.json();
+            (data.submissions || []).forEach((submission, index) => {
+                if (submission && submission.status && submission.status.id > 2) {
+                    results.set(pending[index], this.processResult(submission));
+                }
+            });
+            pending = pending.filter(token => !results.has(token));
+        }
+
+        if (pending.length > 0) {
+            throw new Error('Execution timed out');
+        }
+        return tokens.map(token => results.get(token));
+    }
+
+    /**
+     * Test specific test cases against code, all in one batch
      * @param {string} code - Java source code
      * @param {Array} testCases - Array of test case objects
      * @returns {Promise<Array>} Array of test results
      */
     async runTestCases(code, testCases) {
+        // Submissions from the browser are single files, fixtures need the backend runner
+        const runnable = testCases.filter(testCase => !testCase.files && !testCase.expectedFiles);
+        console.log(`Running ${runnable.length} of ${testCases.length} test cases`);
+
+        let executions = [];
+        let batchError = null;
+        if (runnable.length > 0) {
+            try {
+                executions = await this.executeBatch(code, runnable.map(testCase => testCase.input || ''));
+            } catch (error) {
+                console.error('Judge0 execution error:', error);
+                batchError = error;
+            }
+        }
+
         const results = [];
+        let next = 0;
 
         for (let i = 0; i < testCases.length; i++) {
             const testCase = testCases[i];
-            console.log(`Running test case ${i + 1}/${testCases.length}`);
 
             try {
-                const result = await this.executeCode(code, testCase.input || '');
+                if (testCase.files || testCase.expectedFiles) {
+                    throw new Error('This test case uses files and can only run on the server');
+                }
+                if (batchError) {
+                    throw new Error('Code execution failed: ' + batchError.message);
+                }
+
+                const result = executions[next++];
 
                 const testResult = {
                     ...result,
@@ -144,20 +248,15 @@ class Judge0Client {
                     passed: false
                 };
 
-                // Check if output matches expected
+                // Check if output matches expected, with the test case's comparator
                 if (result.success) {
-                    const expectedOutput = (testCase.expectedOutput || testCase.output || '').trim();
-                    const actualOutput = result.stdout.trim();
-                    testResult.passed = this.compareOutputs(actualOutput, expectedOutput);
+                    const comparison = await this.compareOutputs(result.stdout, testCase);
+                    testResult.passed = comparison.passed;
+                    testResult.message = comparison.message;
                 }
 
                 results.push(testResult);
 
-                // Add delay between requests to avoid rate limiting
-                if (i < testCases.length - 1) {
-                    await this.delay(this.retryDelay);
-                }
-
             } catch (error) {
                 results.push({
                     success: false,
@@ -175,20 +274,20 @@ class Judge0Client {
     }
 
     /**
-     * Compare actual and expected outputs
+     * Compare actual output with a test case using its comparator
+     * (output-comparator.js - the server grades with the same rules)
      * @param {string} actual - Actual output
-     * @param {string} expected - Expected output
-     * @returns {boolean} True if outputs match
+     * @param {Object} testCase - Test case with the expected output and optional compare
+     * @returns {Promise<Object>} { passed, message }
      */
-    compareOutputs(actual, expected) {
-        // Normalize whitespace and line endings
-        const normalizeOutput = (str) => str
-            .replace(/\r\n/g, '\n')
-            .replace(/\r/g, '\n')
-            .trim()
-            .replace(/\s+$/gm, ''); // Remove trailing whitespace from each line
-
-        return normalizeOutput(actual) === normalizeOutput(expected);
+    async compareOutputs(actual, testCase) {
+        const Comparator = typeof OutputComparator !== 'undefined'
+            ? OutputComparator
+            : require('./output-comparator').OutputComparator;
+
+        return Comparator.compare(actual, testCase, {
+            runChecker: (program, stdin) => this.executeCode(program, stdin)
+        });
     }
 
     /**
@@ -0,0 +1,272 @@
+/**
+ * Output comparison for test cases
+ * A test case picks how its expected output is compared with the program's
+ * stdout with "compare" - a type name or an object with options:
+ *
+ *   { "input": "3 4", "expected": "7" }                                   // whitespace (default)
+ *   { "expected": "Total: 7", "compare": "case-insensitive" }
+ *   { "expected": "3.14159", "compare": { "type": "numeric", "tolerance": 0.001 } }
+ *   { "expected": "^Total: \\d+$", "compare": { "type": "regex", "flags": "m" } }
+ *   { "expected": "...", "compare": { "type": "checker", "program": "public class Main { ... }" } }
+ *
+ * Types:
+ *   exact            - identical apart from line endings and trailing whitespace at the end
+ *   whitespace       - runs of whitespace count as one space, leading/trailing whitespace is ignored
+ *   case-insensitive - like whitespace, ignoring letter case
+ *   unordered-lines  - the same lines in any order (each line trimmed, blank lines ignored)
+ *   numeric          - the same words, numbers may differ by `tolerance` (absolute, default 1e-6)
+ *                      or `relativeTolerance` (fraction of the expected value)
+ *   regex            - `expected` is a regular expression the output has to match
+ *   checker          - a Java program decides: it reads the input, the expected and the actual
+ *                      output from stdin (see buildCheckerInput) and passes the test by printing
+ *                      OK as its first line; anything else is shown as the reason it failed
+ *
+ * Files a program writes are listed in the test case's "expectedFiles" and
+ * compared the same way (see compareFiles).
+ *
+ * Shared by the server grader (lib/grading.js) and the browser runners, so a
+ * preview and the grade always agree.
+ */
+
+const COMPARATOR_TYPES = ['exact', 'whitespace', 'case-insensitive', 'unordered-lines', 'numeric', 'regex', 'checker'];
+const DEFAULT_TOLERANCE = 1e-6;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+class OutputComparator {
+    /**
+     * Expected output of a test case, whichever field the author used
+     */
+    static getExpectedOutput(testCase) {
+        const expected = testCase.expected ?? testCase.expectedOutput ?? testCase.output ?? '';
+        return typeof expected === 'string' ? expected : JSON.stringify(expected);
+    }
+
+    /**
+     * Whether a test case judges stdout - a test that only checks the files
+     * the program writes may leave out the expected output
+     */
+    static checksStdout(testCase) {
+        const expected = testCase.expected ?? testCase.expectedOutput ?? testCase.output;
+        return (expected !== undefined && expected !== null) ||
+            OutputComparator.getComparator(testCase).type === 'checker' ||
+            Object.keys(testCase.expectedFiles || {}).length === 0;
+    }
+
+    /**
+     * Comparator options of a test case
+     * @returns {Object} { type, ...options }
+     */
+    static getComparator(testCase) {
+        const compare = testCase && testCase.compare;
+        if (typeof compare === 'string') {
+            return { type: compare };
+        }
+        if (compare && typeof compare === 'object') {
+            return { ...compare, type: compare.type || 'whitespace' };
+        }
+        return { type: 'whitespace' };
+    }
+
+    static normalizeLineEndings(str) {
+        return (str || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    }
+
+    static collapseWhitespace(str) {
+        return OutputComparator.normalizeLineEndings(str).trim().replace(/\s+/g, ' ');
+    }
+
+    static matchesNumeric(actual, expected, comparator) {
+        const actualWords = OutputComparator.collapseWhitespace(actual).split(' ');
+        const expectedWords = OutputComparator.collapseWhitespace(expected).split(' ');
+        if (actualWords.length !== expectedWords.length) {
+            return false;
+        }
+
+        const tolerance = parseFloat(comparator.tolerance ?? DEFAULT_TOLERANCE);
+        const relativeTolerance = parseFloat(comparator.relativeTolerance ?? 0);
+
+        return expectedWords.every((word, index) => {
+            if (!NUMBER_PATTERN.test(word) || !NUMBER_PATTERN.test(actualWords[index])) {
+                return word === actualWords[index];
+            }
+            const expectedValue = parseFloat(word);
+            const difference = Math.abs(parseFloat(actualWords[index]) - expectedValue);
+            return difference <= tolerance || difference <= Math.abs(expectedValue) * relativeTolerance;
+        });
+    }
+
+    static sortedLines(str) {
+        return OutputComparator.normalizeLineEndings(str)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .sort();
+    }
+
+    /**
+     * stdin for a checker program: each part is preceded by its number of lines
+     *
+     *   <n> then n lines of input, <n> then n lines of expected output, <n> then n lines of actual output
+     */
+    static buildCheckerInput(input, expected, actual) {
+        const part = text => {
+            const lines = OutputComparator.normalizeLineEndings(text).replace(/\n$/, '');
+            const list = lines.length > 0 ? lines.split('\n') : [];
+            return [String(list.length), ...list];
+        };
+        return [...part(input), ...part(expected), ...part(actual)].join('\n') + '\n';
+    }
+
+    /**
+     * Compare a program's stdout with a test case
+     * @param {string} actual - stdout of the student's program
+     * @param {Object} testCase - Test case with expected output and optional compare
+     * @param {Object} options
+     * @param {Function} options.runChecker - async (program, stdin) => { success, stdout, stderr },
+     *                                         needed by checker test cases
+     * @returns {Promise<Object>} { passed, message } - message explains a checker's verdict
+     */
+    static async compare(actual, testCase, { runChecker = null } = {}) {
+        const expected = OutputComparator.getExpectedOutput(testCase);
+        const comparator = OutputComparator.getComparator(testCase);
+
+        switch (comparator.type) {
+            case 'exact':
+                return {
+                    passed: OutputComparator.normalizeLineEndings(actual).trimEnd() ===
+                        OutputComparator.normalizeLineEndings(expected).trimEnd(),
+                    message: null
+                };
+
+            case 'case-insensitive':
+                return {
+                    passed: OutputComparator.collapseWhitespace(actual).toLowerCase() ===
+                        OutputComparator.collapseWhitespace(expected).toLowerCase(),
+                    message: null
+                };
+
+            case 'unordered-lines':
+                return {
+                    passed: OutputComparator.sortedLines(actual).join('\n') === OutputComparator.sortedLines(expected).join('\n'),
+                    message: null
+                };
+
+            case 'numeric':
+                return { passed: OutputComparator.matchesNumeric(actual, expected, comparator), message: null };
+
+            case 'regex':
+                try {
+                    return {
+                        passed: new RegExp(expected, comparator.flags || '').test(OutputComparator.normalizeLineEndings(actual).trim()),
+                        message: null
+                    };
+                } catch (error) {
+                    return { passed: false, message: `Invalid expected pattern: ${error.message}` };
+                }
+
+            case 'checker':
+                return await OutputComparator.runCheckerProgram(actual, expected, testCase, comparator, runChecker);
+
+            default:
+                return {
+                    passed: OutputComparator.collapseWhitespace(actual) === OutputComparator.collapseWhitespace(expected),
+                    message: null
+                };
+        }
+    }
+
+    static async runCheckerProgram(actual, expected, testCase, comparator, runChecker) {
+        if (typeof runChecker !== 'function') {
+            return { passed: false, message: 'This test needs a code runner to check the output' };
+        }
+
+        const stdin = OutputComparator.buildCheckerInput(testCase.stdin ?? testCase.input ?? '', expected, actual);
+        try {
+            const result = await runChecker(comparator.program, stdin);
+            const verdict = OutputComparator.normalizeLineEndings(result.stdout).trim();
+            if (!result.success) {
+                return { passed: false, message: `Checker failed: ${result.stderr || result.status || 'no output'}` };
+            }
+            if (verdict.split('\n')[0].trim() === 'OK') {
+                return { passed: true, message: null };
+            }
+            return { passed: false, message: verdict || 'Output rejected by the checker' };
+        } catch (error) {
+            return { passed: false, message: `Checker failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * Compare the files a program wrote with a test case's expectedFiles
+     * Files use the test's comparator; checker tests compare files by whitespace,
+     * their program only judges stdout.
+     * @param {Object} actualFiles - File contents by name, null for a file that was not written
+     * @param {Object} testCase - Test case with expectedFiles
+     * @returns {Promise<Object[]>} [{ name, expected, actual, passed, message }]
+     */
+    static async compareFiles(actualFiles, testCase) {
+        const expectedFiles = testCase.expectedFiles || {};
+        const comparator = OutputComparator.getComparator(testCase);
+        const compare = comparator.type === 'checker' ? 'whitespace' : testCase.compare;
+
+        return Promise.all(Object.entries(expectedFiles).map(async ([name, expected]) => {
+            const actual = actualFiles ? actualFiles[name] ?? null : null;
+            if (actual === null) {
+                return { name, expected, actual, passed: false, message: `${name} was not created` };
+            }
+            const result = await OutputComparator.compare(actual, { expected, compare });
+            return { name, expected, actual, passed: result.passed, message: result.message };
+        }));
+    }
+
+    /**
+     * Check a test case's compare setting
+     * @returns {string[]} Error messages
+     */
+    static validate(testCase) {
+        if (testCase.compare === undefined || testCase.compare === null) {
+            return [];
+        }
+
+        const compare = testCase.compare;
+        if (typeof compare !== 'string' && (typeof compare !== 'object' || Array.isArray(compare))) {
+            return ['compare must be a comparison type or an object with a type'];
+        }
+
+        const comparator = OutputComparator.getComparator(testCase);
+        if (!COMPARATOR_TYPES.includes(comparator.type)) {
+            return [`compare type must be one of: ${COMPARATOR_TYPES.join(', ')}`];
+        }
+
+        const errors = [];
+        if (comparator.type === 'numeric') {
+            ['tolerance', 'relativeTolerance'].forEach(key => {
+                if (comparator[key] !== undefined && !(typeof comparator[key] === 'number' && comparator[key] >= 0)) {
+                    errors.push(`compare.${key} must be a non-negative number`);
+                }
+            });
+        }
+        if (comparator.type === 'regex') {
+            try {
+                new RegExp(OutputComparator.getExpectedOutput(testCase), comparator.flags || '');
+            } catch (error) {
+                errors.push(`expected output is not a valid regular expression: ${error.message}`);
+            }
+        }
+        if (comparator.type === 'checker' && (typeof comparator.program !== 'string' || !comparator.program.trim())) {
+            errors.push('compare.program must contain the checker\'s Java source');
+        }
+        return errors;
+    }
+}
+
+OutputComparator.TYPES = COMPARATOR_TYPES;
+
+// Export for both Node.js and browser
+if (typeof window !== 'undefined') {
+    window.OutputComparator = OutputComparator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OutputComparator };
+}
@@ -0,0 +1,218 @@
+/**
+ * Source map between a generated Java program and the student's editor
+ * The student's snippet is substituted into a template at {{USER_CODE}} and
+ * may be trimmed or re-indented on the way, so javac and stack trace line
+ * numbers refer to the generated class. This maps them back to lines of the
+ * editor (template text plus the snippet as typed) and of the snippet itself.
+ *
+ * Shared by the server grader (lib/grading.js) and the browser runner.
+ */
+
+const SOURCE_MAP_PLACEHOLDER = '{{USER_CODE}}';
+
+class SnippetSourceMap {
+    /**
+     * @param {string|null} template - Template with {{USER_CODE}}, or null when the snippet is the whole program
+     * @param {string} originalCode - The snippet as typed in the editor
+     * @param {string} insertedCode - The snippet as substituted into the template (defaults to originalCode)
+     */
+    constructor(template, originalCode, insertedCode = originalCode) {
+        const placeholderIndex = template ? template.indexOf(SOURCE_MAP_PLACEHOLDER) : -1;
+        const head = placeholderIndex === -1 ? '' : template.slice(0, placeholderIndex);
+        const tail = placeholderIndex === -1 ? '' : template.slice(placeholderIndex + SOURCE_MAP_PLACEHOLDER.length);
+
+        this.source = head + insertedCode + tail;
+        // File name of the generated program; when set, javac output for other files
+        // (e.g. a hidden test class compiled alongside) keeps its line numbers
+        this.fileName = null;
+        this.generatedLines = this.source.split('\n');
+        this.editorLines = (head + originalCode + tail).split('\n');
+
+        // 1-based line of the generated program (and of the editor) where the snippet starts
+        this.startLine = head.split('\n').length;
+        // Template text before the snippet on its first line
+        this.linePrefix = head.slice(head.lastIndexOf('\n') + 1);
+        this.insertedLines = insertedCode.split('\n');
+        this.originalLines = originalCode.split('\n');
+        this.lineMap = this.matchLines(this.insertedLines, this.originalLines);
+    }
+
+    /**
+     * Pair every inserted line with the original line it came from. Trimming and
+     * re-indenting only change whitespace, so lines are matched by their content.
+     */
+    matchLines(insertedLines, originalLines) {
+        let next = 0;
+        return insertedLines.map(line => {
+            const content = line.trim();
+            for (let index = next; index < originalLines.length; index++) {
+                if (originalLines[index].trim() === content) {
+                    next = index + 1;
+                    return index;
+                }
+            }
+            return Math.min(next, originalLines.length - 1);
+        });
+    }
+
+    indentOf(line) {
+        return (line || '').match(/^[ \t]*/)[0].length;
+    }
+
+    /**
+     * Position in the editor for a position in the generated program
+     * @param {number} line - 1-based line of the generated program
+     * @param {number|null} column - 1-based column, if known
+     * @returns {Object} { line, column, snippetLine, inSnippet } - snippetLine is null outside the snippet
+     */
+    toEditorPosition(line, column = null) {
+        const insertedIndex = line - this.startLine;
+
+        if (insertedIndex < 0) {
+            return { line, column, snippetLine: null, inSnippet: false };
+        }
+
+        if (insertedIndex >= this.insertedLines.length) {
+            const shift = this.originalLines.length - this.insertedLines.length;
+            return { line: line + shift, column, snippetLine: null, inSnippet: false };
+        }
+
+        const originalIndex = this.lineMap[insertedIndex];
+        const editorLine = this.startLine + originalIndex;
+
+        return {
+            line: editorLine,
+            column: column === null ? null : this.toEditorColumn(insertedIndex, originalIndex, column),
+            snippetLine: originalIndex + 1,
+            inSnippet: true
+        };
+    }
+
+    /**
+     * Column in the editor for a column of an inserted snippet line. Only the
+     * leading whitespace of a snippet line changes on the way into the template,
+     * so the offset into the code after it is the same in both.
+     */
+    toEditorColumn(insertedIndex, originalIndex, column) {
+        const prefix = insertedIndex === 0 ? this.linePrefix.length : 0;
+        const editorPrefix = originalIndex === 0 ? this.linePrefix.length : 0;
+        const generatedStart = prefix + this.indentOf(this.insertedLines[insertedIndex]);
+        const editorStart = editorPrefix + this.indentOf(this.originalLines[originalIndex]);
+
+        if (column <= prefix) {
+            // On the template text before the snippet
+            return column;
+        }
+        return Math.max(1, column - generatedStart + editorStart);
+    }
+
+    /**
+     * Rewrite compiler output and stack traces to editor lines. javac's copy of
+     * the offending line and its caret are replaced by the line as typed.
+     */
+    rewriteOutput(output) {
+        if (!output) {
+            return output;
+        }
+
+        const lines = output.replace(/\r\n?/g, '\n').split('\n');
+        const result = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const header = lines[i].match(/^([\w$]+\.java):(\d+):(.*)$/);
+            if (!header) {
+                result.push(this.rewriteStackTrace(lines[i]));
+                continue;
+            }
+            if (!this.isGeneratedFile(header[1])) {
+                // Other files are not the student's to see - drop javac's copy of their line
+                const caret = this.findCaret(lines, i);
+                result.push(lines[i]);
+                if (caret) {
+                    result.push(...lines.slice(i + 1, caret.index - 1));
+                    i = caret.index;
+                }
+                continue;
+            }
+
+            const caret = this.findCaret(lines, i);
+            const position = this.toEditorPosition(parseInt(header[2]), caret ? caret.column : null);
+            result.push(`${header[1]}:${position.line}:${header[3]}`);
+
+            if (caret) {
+                result.push(...lines.slice(i + 1, caret.index - 1));
+                result.push(this.editorLines[position.line - 1] ?? lines[caret.index - 1]);
+                result.push(`${' '.repeat(Math.max(position.column - 1, 0))}^`);
+                i = caret.index;
+            }
+        }
+
+        return result.join('\n');
+    }
+
+    rewriteStackTrace(line) {
+        return line.replace(/\(([\w$]+\.java):(\d+)\)/g, (reference, file, lineText) => (
+            this.isGeneratedFile(file) ? `(${file}:${this.toEditorPosition(parseInt(lineText)).line})` : reference
+        ));
+    }
+
+    isGeneratedFile(file) {
+        return this.fileName === null || file === this.fileName;
+    }
+
+    /**
+     * javac echoes the offending line after the message (which may take more
+     * than one line) and puts a caret under the error. The caret line keeps the
+     * tabs of the echoed line, so its offset is the 1-based column.
+     * @returns {Object|null} { index, column } - index of the caret line in lines
+     */
+    findCaret(lines, headerIndex) {
+        for (let index = headerIndex + 2; index < lines.length; index++) {
+            if (/^[\w$]+\.java:\d+:/.test(lines[index])) {
+                return null;
+            }
+            if (/^\s*\^\s*$/.test(lines[index])) {
+                return { index, column: lines[index].indexOf('^') + 1 };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Compiler errors as editor positions, for highlighting lines in the editor
+     * @param {string} output - Raw compiler output for the generated program
+     * @returns {Object[]} { line, column, snippetLine, inSnippet, message }
+     */
+    extractErrors(output) {
+        if (!output) {
+            return [];
+        }
+
+        const lines = output.replace(/\r\n?/g, '\n').split('\n');
+        const errors = [];
+
+        lines.forEach((text, index) => {
+            const header = text.match(/^([\w$]+\.java):(\d+):\s*(?:error:\s*)?(.*)$/);
+            if (!header || !this.isGeneratedFile(header[1])) {
+                return;
+            }
+
+            const caret = this.findCaret(lines, index);
+            errors.push({
+                ...this.toEditorPosition(parseInt(header[2]), caret ? caret.column : null),
+                message: header[3].trim()
+            });
+        });
+
+        return errors;
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof window !== 'undefined') {
+    window.SnippetSourceMap = SnippetSourceMap;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnippetSourceMap };
+}